@@ -0,0 +1,50 @@
+-- CreateTable
+CREATE TABLE "CommissionRule" (
+    "id" TEXT NOT NULL,
+    "serviceItemId" TEXT NOT NULL,
+    "branchId" TEXT,
+    "washerRate" DOUBLE PRECISION NOT NULL,
+    "description" TEXT,
+    "effectiveFrom" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "effectiveTo" TIMESTAMP(3),
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CommissionRule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CommissionRule_serviceItemId_idx" ON "CommissionRule"("serviceItemId");
+
+-- CreateIndex
+CREATE INDEX "CommissionRule_branchId_idx" ON "CommissionRule"("branchId");
+
+-- CreateIndex
+CREATE INDEX "CommissionRule_effectiveFrom_idx" ON "CommissionRule"("effectiveFrom");
+
+-- AddForeignKey
+ALTER TABLE "CommissionRule" ADD CONSTRAINT "CommissionRule_serviceItemId_fkey" FOREIGN KEY ("serviceItemId") REFERENCES "ServiceItem"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CommissionRule" ADD CONSTRAINT "CommissionRule_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Seed global rules that reproduce the previous name-based splits,
+-- so existing and historical payouts do not change
+INSERT INTO "CommissionRule" ("id", "serviceItemId", "washerRate", "description", "effectiveFrom", "updatedAt")
+SELECT
+    md5(random()::text || "id"),
+    "id",
+    CASE
+        WHEN lower("name") LIKE '%engine%' OR lower("name") LIKE '%radiator%' OR lower("name") LIKE '%condenser%' THEN 1.0 / 3
+        WHEN lower("name") LIKE '%rug%' THEN 0.5
+        ELSE 0.4
+    END,
+    CASE
+        WHEN lower("name") LIKE '%engine%' OR lower("name") LIKE '%radiator%' OR lower("name") LIKE '%condenser%' THEN 'Special item: two-thirds company, one-third washer'
+        WHEN lower("name") LIKE '%rug%' THEN 'Rug: 50/50'
+        ELSE 'Standard: 60% company, 40% washer'
+    END,
+    TIMESTAMP '1970-01-01 00:00:00',
+    CURRENT_TIMESTAMP
+FROM "ServiceItem";
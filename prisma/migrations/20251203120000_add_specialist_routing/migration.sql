@@ -0,0 +1,45 @@
+-- AlterTable
+ALTER TABLE "ServiceItem" ADD COLUMN     "requiresSpecialist" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "specialistCategory" TEXT,
+ADD COLUMN     "specialistFallback" TEXT NOT NULL DEFAULT 'queue';
+
+-- CreateTable
+CREATE TABLE "WasherSpecialty" (
+    "id" TEXT NOT NULL,
+    "washerId" TEXT NOT NULL,
+    "branchId" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "lastAssignedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "WasherSpecialty_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "WasherSpecialty_branchId_category_idx" ON "WasherSpecialty"("branchId", "category");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WasherSpecialty_washerId_category_key" ON "WasherSpecialty"("washerId", "category");
+
+-- AddForeignKey
+ALTER TABLE "WasherSpecialty" ADD CONSTRAINT "WasherSpecialty_washerId_fkey" FOREIGN KEY ("washerId") REFERENCES "Washer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WasherSpecialty" ADD CONSTRAINT "WasherSpecialty_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Carry over the previous hard-coded routing: engine, radiator and condenser
+-- items go to the branch's "Idowu" washer
+UPDATE "ServiceItem"
+SET "requiresSpecialist" = true,
+    "specialistCategory" = 'engine',
+    "specialistFallback" = 'queue'
+WHERE lower("name") LIKE '%engine%'
+   OR lower("name") LIKE '%radiator%'
+   OR lower("name") LIKE '%condenser%';
+
+INSERT INTO "WasherSpecialty" ("id", "washerId", "branchId", "category", "updatedAt")
+SELECT md5(random()::text || "id"), "id", "branchId", 'engine', CURRENT_TIMESTAMP
+FROM "Washer"
+WHERE lower("name") = 'idowu';
@@ -0,0 +1,44 @@
+-- AlterTable
+ALTER TABLE "CommissionRule" ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "WashedItem" ADD COLUMN     "commissionRuleId" TEXT,
+ADD COLUMN     "commissionRuleVersion" INTEGER,
+ADD COLUMN     "companyShare" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "washerShare" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AddForeignKey
+ALTER TABLE "WashedItem" ADD CONSTRAINT "WashedItem_commissionRuleId_fkey" FOREIGN KEY ("commissionRuleId") REFERENCES "CommissionRule"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill existing washed items with the price and split that applied at wash time
+-- (branch rules before global rules, latest effectiveFrom first, 60/40 when no rule applies)
+WITH "ItemRule" AS (
+    SELECT
+        wi."id",
+        COALESCE(wi."price", si."price") AS "price",
+        r."id" AS "ruleId",
+        r."version" AS "ruleVersion",
+        COALESCE(r."washerRate", 0.4) AS "washerRate"
+    FROM "WashedItem" wi
+    JOIN "CarWash" cw ON cw."id" = wi."carWashId"
+    JOIN "ServiceItem" si ON si."id" = wi."serviceItemId"
+    LEFT JOIN LATERAL (
+        SELECT cr."id", cr."version", cr."washerRate"
+        FROM "CommissionRule" cr
+        WHERE cr."serviceItemId" = wi."serviceItemId"
+          AND cr."isActive" = true
+          AND (cr."branchId" IS NULL OR cr."branchId" = cw."branchId")
+          AND cr."effectiveFrom" <= cw."washDate"
+          AND (cr."effectiveTo" IS NULL OR cr."effectiveTo" > cw."washDate")
+        ORDER BY (cr."branchId" IS NULL), cr."effectiveFrom" DESC
+        LIMIT 1
+    ) r ON true
+)
+UPDATE "WashedItem" wi
+SET "price" = ir."price",
+    "washerShare" = ir."price" * ir."washerRate",
+    "companyShare" = ir."price" - ir."price" * ir."washerRate",
+    "commissionRuleId" = ir."ruleId",
+    "commissionRuleVersion" = ir."ruleVersion"
+FROM "ItemRule" ir
+WHERE wi."id" = ir."id";
@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE "WasherPayout" (
+    "id" TEXT NOT NULL,
+    "washerId" TEXT NOT NULL,
+    "branchId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "method" TEXT,
+    "note" TEXT,
+    "periodStart" TIMESTAMP(3),
+    "periodEnd" TIMESTAMP(3),
+    "recordedById" TEXT NOT NULL,
+    "paidAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "WasherPayout_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "WasherPayout_washerId_idx" ON "WasherPayout"("washerId");
+
+-- CreateIndex
+CREATE INDEX "WasherPayout_branchId_idx" ON "WasherPayout"("branchId");
+
+-- CreateIndex
+CREATE INDEX "WasherPayout_type_idx" ON "WasherPayout"("type");
+
+-- CreateIndex
+CREATE INDEX "WasherPayout_paidAt_idx" ON "WasherPayout"("paidAt");
+
+-- AddForeignKey
+ALTER TABLE "WasherPayout" ADD CONSTRAINT "WasherPayout_washerId_fkey" FOREIGN KEY ("washerId") REFERENCES "Washer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WasherPayout" ADD CONSTRAINT "WasherPayout_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WasherPayout" ADD CONSTRAINT "WasherPayout_recordedById_fkey" FOREIGN KEY ("recordedById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "CarWash" ADD COLUMN     "isVoided" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "voidReason" TEXT,
+ADD COLUMN     "voidedAt" TIMESTAMP(3),
+ADD COLUMN     "voidedById" TEXT;
+
+-- CreateIndex
+CREATE INDEX "CarWash_isVoided_idx" ON "CarWash"("isVoided");
+
+-- AddForeignKey
+ALTER TABLE "CarWash" ADD CONSTRAINT "CarWash_voidedById_fkey" FOREIGN KEY ("voidedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
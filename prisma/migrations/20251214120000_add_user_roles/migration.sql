@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "User" ALTER COLUMN "role" SET DEFAULT 'cashier';
+
+-- Map legacy roles onto the new role model
+-- "admin" was the default for every account, so it says nothing about who runs the
+-- business: the oldest account becomes the one owner and the other admins become
+-- cashiers. No endpoint changes a role, so any other owner or manager is promoted
+-- by hand after deploying, e.g. UPDATE "User" SET "role" = 'owner' WHERE "email" = '...'
+UPDATE "User" SET "role" = 'owner'
+WHERE "id" = (
+  SELECT "id" FROM "User" WHERE "role" = 'admin' ORDER BY "createdAt", "id" LIMIT 1
+);
+UPDATE "User" SET "role" = 'cashier' WHERE "role" = 'admin';
+UPDATE "User" SET "role" = 'branch_manager' WHERE "role" = 'manager';
+UPDATE "User" SET "role" = 'viewer' WHERE "role" NOT IN ('owner', 'branch_manager', 'cashier', 'viewer');
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "UserBranch" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "branchId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "UserBranch_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "UserBranch_branchId_idx" ON "UserBranch"("branchId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UserBranch_userId_branchId_key" ON "UserBranch"("userId", "branchId");
+
+-- AddForeignKey
+ALTER TABLE "UserBranch" ADD CONSTRAINT "UserBranch_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "UserBranch" ADD CONSTRAINT "UserBranch_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Every existing user is a member of their home branch
+INSERT INTO "UserBranch" ("id", "userId", "branchId")
+SELECT md5(random()::text || "id"), "id", "branchId" FROM "User";
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "BranchServiceItem" (
+    "id" TEXT NOT NULL,
+    "branchId" TEXT NOT NULL,
+    "serviceItemId" TEXT NOT NULL,
+    "price" DOUBLE PRECISION,
+    "isAvailable" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BranchServiceItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "BranchServiceItem_serviceItemId_idx" ON "BranchServiceItem"("serviceItemId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BranchServiceItem_branchId_serviceItemId_key" ON "BranchServiceItem"("branchId", "serviceItemId");
+
+-- AddForeignKey
+ALTER TABLE "BranchServiceItem" ADD CONSTRAINT "BranchServiceItem_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BranchServiceItem" ADD CONSTRAINT "BranchServiceItem_serviceItemId_fkey" FOREIGN KEY ("serviceItemId") REFERENCES "ServiceItem"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE "ServicePrice" (
+    "id" TEXT NOT NULL,
+    "serviceItemId" TEXT NOT NULL,
+    "branchId" TEXT,
+    "price" DOUBLE PRECISION NOT NULL,
+    "effectiveFrom" TIMESTAMP(3) NOT NULL,
+    "effectiveTo" TIMESTAMP(3),
+    "note" TEXT,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ServicePrice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ServicePrice_serviceItemId_branchId_effectiveFrom_idx" ON "ServicePrice"("serviceItemId", "branchId", "effectiveFrom");
+
+-- CreateIndex
+CREATE INDEX "ServicePrice_branchId_idx" ON "ServicePrice"("branchId");
+
+-- AddForeignKey
+ALTER TABLE "ServicePrice" ADD CONSTRAINT "ServicePrice_serviceItemId_fkey" FOREIGN KEY ("serviceItemId") REFERENCES "ServiceItem"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ServicePrice" ADD CONSTRAINT "ServicePrice_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ServicePrice" ADD CONSTRAINT "ServicePrice_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Seed the current prices as the first history entries, valid since the start,
+-- so records backfilled before any change resolve to today's price
+INSERT INTO "ServicePrice" ("id", "serviceItemId", "price", "effectiveFrom", "note")
+SELECT md5(random()::text || "id"), "id", "price", TIMESTAMP '1970-01-01 00:00:00', 'Price before history was tracked'
+FROM "ServiceItem";
+
+INSERT INTO "ServicePrice" ("id", "serviceItemId", "branchId", "price", "effectiveFrom", "note")
+SELECT md5(random()::text || "id"), "serviceItemId", "branchId", "price", TIMESTAMP '1970-01-01 00:00:00', 'Price before history was tracked'
+FROM "BranchServiceItem"
+WHERE "price" IS NOT NULL;
@@ -0,0 +1,112 @@
+-- AlterTable
+ALTER TABLE "CarWash" ADD COLUMN     "customerId" TEXT,
+ADD COLUMN     "vehicleId" TEXT;
+
+-- CreateTable
+CREATE TABLE "Customer" (
+    "id" TEXT NOT NULL,
+    "name" TEXT,
+    "phone" TEXT,
+    "normalizedPhone" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Customer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Vehicle" (
+    "id" TEXT NOT NULL,
+    "plateNumber" TEXT NOT NULL,
+    "normalizedPlate" TEXT NOT NULL,
+    "model" TEXT,
+    "customerId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Vehicle_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Customer_normalizedPhone_key" ON "Customer"("normalizedPhone");
+
+-- CreateIndex
+CREATE INDEX "Customer_name_idx" ON "Customer"("name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Vehicle_normalizedPlate_key" ON "Vehicle"("normalizedPlate");
+
+-- CreateIndex
+CREATE INDEX "Vehicle_customerId_idx" ON "Vehicle"("customerId");
+
+-- CreateIndex
+CREATE INDEX "CarWash_customerId_idx" ON "CarWash"("customerId");
+
+-- CreateIndex
+CREATE INDEX "CarWash_vehicleId_idx" ON "CarWash"("vehicleId");
+
+-- AddForeignKey
+ALTER TABLE "CarWash" ADD CONSTRAINT "CarWash_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CarWash" ADD CONSTRAINT "CarWash_vehicleId_fkey" FOREIGN KEY ("vehicleId") REFERENCES "Vehicle"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Vehicle" ADD CONSTRAINT "Vehicle_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Build the registry from existing records (same normalization as src/services/customerService.js)
+CREATE TEMP TABLE "_normalized_car_wash" AS
+SELECT
+    "id",
+    "carNumber",
+    "carModel",
+    "customerName",
+    "customerPhone",
+    "washDate",
+    NULLIF(upper(regexp_replace(coalesce("carNumber", ''), '[^A-Za-z0-9]', '', 'g')), '') AS "plate",
+    NULLIF(
+        CASE
+            WHEN regexp_replace(coalesce("customerPhone", ''), '\D', '', 'g') ~ '^234[0-9]{10}$'
+                THEN '0' || substr(regexp_replace("customerPhone", '\D', '', 'g'), 4)
+            ELSE regexp_replace(coalesce("customerPhone", ''), '\D', '', 'g')
+        END,
+        ''
+    ) AS "phone"
+FROM "CarWash";
+
+-- One customer per phone, named after their latest visit
+INSERT INTO "Customer" ("id", "name", "phone", "normalizedPhone", "createdAt", "updatedAt")
+SELECT DISTINCT ON ("phone")
+    md5(random()::text || "phone"), "customerName", "customerPhone", "phone", "washDate", CURRENT_TIMESTAMP
+FROM "_normalized_car_wash"
+WHERE "phone" IS NOT NULL
+ORDER BY "phone", "washDate" DESC;
+
+-- One vehicle per plate, linked to the customer from its latest visit
+INSERT INTO "Vehicle" ("id", "plateNumber", "normalizedPlate", "model", "customerId", "createdAt", "updatedAt")
+SELECT DISTINCT ON (n."plate")
+    md5(random()::text || n."plate"), n."carNumber", n."plate", n."carModel", c."id", n."washDate", CURRENT_TIMESTAMP
+FROM "_normalized_car_wash" n
+LEFT JOIN "Customer" c ON c."normalizedPhone" = n."phone"
+WHERE n."plate" IS NOT NULL
+ORDER BY n."plate", n."washDate" DESC;
+
+UPDATE "CarWash" cw
+SET "customerId" = c."id"
+FROM "_normalized_car_wash" n
+JOIN "Customer" c ON c."normalizedPhone" = n."phone"
+WHERE cw."id" = n."id";
+
+UPDATE "CarWash" cw
+SET "vehicleId" = v."id"
+FROM "_normalized_car_wash" n
+JOIN "Vehicle" v ON v."normalizedPlate" = n."plate"
+WHERE cw."id" = n."id";
+
+-- Records with a known vehicle but no phone belong to the vehicle's customer
+UPDATE "CarWash" cw
+SET "customerId" = v."customerId"
+FROM "Vehicle" v
+WHERE cw."vehicleId" = v."id" AND cw."customerId" IS NULL AND v."customerId" IS NOT NULL;
+
+DROP TABLE "_normalized_car_wash";
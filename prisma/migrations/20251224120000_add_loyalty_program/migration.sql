@@ -0,0 +1,101 @@
+-- AlterTable
+ALTER TABLE "CarWash" ADD COLUMN     "discountAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "WashedItem" ADD COLUMN     "discountAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "CarWashDiscount" (
+    "id" TEXT NOT NULL,
+    "carWashId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "description" TEXT,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "loyaltyRuleId" TEXT,
+    "serviceItemId" TEXT,
+    "points" INTEGER,
+    "reducesCommission" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CarWashDiscount_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "LoyaltyRule" (
+    "id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "serviceItemId" TEXT,
+    "stampsRequired" INTEGER,
+    "pointsPerNaira" DOUBLE PRECISION,
+    "pointValue" DOUBLE PRECISION,
+    "branchId" TEXT,
+    "reduceCommission" BOOLEAN NOT NULL DEFAULT false,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LoyaltyRule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "LoyaltyEntry" (
+    "id" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "ruleId" TEXT NOT NULL,
+    "carWashId" TEXT NOT NULL,
+    "branchId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LoyaltyEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CarWashDiscount_carWashId_idx" ON "CarWashDiscount"("carWashId");
+
+-- CreateIndex
+CREATE INDEX "CarWashDiscount_type_idx" ON "CarWashDiscount"("type");
+
+-- CreateIndex
+CREATE INDEX "LoyaltyRule_type_idx" ON "LoyaltyRule"("type");
+
+-- CreateIndex
+CREATE INDEX "LoyaltyRule_branchId_idx" ON "LoyaltyRule"("branchId");
+
+-- CreateIndex
+CREATE INDEX "LoyaltyEntry_customerId_ruleId_idx" ON "LoyaltyEntry"("customerId", "ruleId");
+
+-- CreateIndex
+CREATE INDEX "LoyaltyEntry_carWashId_idx" ON "LoyaltyEntry"("carWashId");
+
+-- CreateIndex
+CREATE INDEX "LoyaltyEntry_branchId_idx" ON "LoyaltyEntry"("branchId");
+
+-- AddForeignKey
+ALTER TABLE "CarWashDiscount" ADD CONSTRAINT "CarWashDiscount_carWashId_fkey" FOREIGN KEY ("carWashId") REFERENCES "CarWash"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CarWashDiscount" ADD CONSTRAINT "CarWashDiscount_loyaltyRuleId_fkey" FOREIGN KEY ("loyaltyRuleId") REFERENCES "LoyaltyRule"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CarWashDiscount" ADD CONSTRAINT "CarWashDiscount_serviceItemId_fkey" FOREIGN KEY ("serviceItemId") REFERENCES "ServiceItem"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoyaltyRule" ADD CONSTRAINT "LoyaltyRule_serviceItemId_fkey" FOREIGN KEY ("serviceItemId") REFERENCES "ServiceItem"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoyaltyRule" ADD CONSTRAINT "LoyaltyRule_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoyaltyEntry" ADD CONSTRAINT "LoyaltyEntry_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoyaltyEntry" ADD CONSTRAINT "LoyaltyEntry_ruleId_fkey" FOREIGN KEY ("ruleId") REFERENCES "LoyaltyRule"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoyaltyEntry" ADD CONSTRAINT "LoyaltyEntry_carWashId_fkey" FOREIGN KEY ("carWashId") REFERENCES "CarWash"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoyaltyEntry" ADD CONSTRAINT "LoyaltyEntry_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,66 @@
+-- AlterTable
+ALTER TABLE "CarWash" ADD COLUMN     "grossAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "WashedItem" ADD COLUMN     "listPrice" DOUBLE PRECISION,
+ADD COLUMN     "overrideReason" TEXT,
+ADD COLUMN     "overrideApprovedById" TEXT;
+
+-- AlterTable
+ALTER TABLE "CommissionRule" ADD COLUMN     "sharesDiscounts" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "CarWashDiscount" ADD COLUMN     "valueType" TEXT,
+ADD COLUMN     "value" DOUBLE PRECISION,
+ADD COLUMN     "reason" TEXT,
+ADD COLUMN     "approvedById" TEXT,
+ADD COLUMN     "promoCodeId" TEXT,
+ALTER COLUMN "reducesCommission" DROP NOT NULL,
+ALTER COLUMN "reducesCommission" DROP DEFAULT;
+
+-- CreateTable
+CREATE TABLE "PromoCode" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "description" TEXT,
+    "valueType" TEXT NOT NULL,
+    "value" DOUBLE PRECISION NOT NULL,
+    "serviceItemId" TEXT,
+    "branchId" TEXT,
+    "validFrom" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "validTo" TIMESTAMP(3),
+    "maxUses" INTEGER,
+    "maxUsesPerCustomer" INTEGER,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PromoCode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PromoCode_code_key" ON "PromoCode"("code");
+
+-- CreateIndex
+CREATE INDEX "PromoCode_branchId_idx" ON "PromoCode"("branchId");
+
+-- CreateIndex
+CREATE INDEX "CarWashDiscount_promoCodeId_idx" ON "CarWashDiscount"("promoCodeId");
+
+-- AddForeignKey
+ALTER TABLE "WashedItem" ADD CONSTRAINT "WashedItem_overrideApprovedById_fkey" FOREIGN KEY ("overrideApprovedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CarWashDiscount" ADD CONSTRAINT "CarWashDiscount_approvedById_fkey" FOREIGN KEY ("approvedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CarWashDiscount" ADD CONSTRAINT "CarWashDiscount_promoCodeId_fkey" FOREIGN KEY ("promoCodeId") REFERENCES "PromoCode"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PromoCode" ADD CONSTRAINT "PromoCode_serviceItemId_fkey" FOREIGN KEY ("serviceItemId") REFERENCES "ServiceItem"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PromoCode" ADD CONSTRAINT "PromoCode_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Existing records: gross = net + discounts (loyalty rewards so far)
+UPDATE "CarWash" SET "grossAmount" = "totalAmount" + "discountAmount";
@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "Payment" (
+    "id" TEXT NOT NULL,
+    "carWashId" TEXT NOT NULL,
+    "method" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "tendered" DOUBLE PRECISION,
+    "change" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "reference" TEXT,
+    "receivedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Payment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Payment_carWashId_idx" ON "Payment"("carWashId");
+
+-- CreateIndex
+CREATE INDEX "Payment_method_idx" ON "Payment"("method");
+
+-- AddForeignKey
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_carWashId_fkey" FOREIGN KEY ("carWashId") REFERENCES "CarWash"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_receivedById_fkey" FOREIGN KEY ("receivedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: existing records were paid in full with their single payment method
+INSERT INTO "Payment" ("id", "carWashId", "method", "amount", "createdAt")
+SELECT 'pay_' || "id", "id", LOWER("paymentMethod"), "totalAmount", "washDate"
+FROM "CarWash"
+WHERE LOWER("paymentMethod") IN ('cash', 'transfer') AND "totalAmount" > 0;
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "CarWash" ADD COLUMN     "amountPaid" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "paymentStatus" TEXT NOT NULL DEFAULT 'unpaid';
+
+-- AlterTable
+ALTER TABLE "Payment" ADD COLUMN     "isSettlement" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE INDEX "CarWash_paymentStatus_idx" ON "CarWash"("paymentStatus");
+
+-- Backfill: amount paid from the payment lines, status from the amount paid
+UPDATE "CarWash" c SET "amountPaid" = p."total"
+FROM (SELECT "carWashId", SUM("amount") AS "total" FROM "Payment" GROUP BY "carWashId") p
+WHERE p."carWashId" = c."id";
+
+UPDATE "CarWash" SET "paymentStatus" = CASE
+    WHEN "amountPaid" >= "totalAmount" THEN 'paid'
+    WHEN "amountPaid" > 0 THEN 'partial'
+    ELSE 'unpaid'
+END;
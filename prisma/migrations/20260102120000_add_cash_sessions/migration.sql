@@ -0,0 +1,52 @@
+-- CreateTable
+CREATE TABLE "CashSession" (
+    "id" TEXT NOT NULL,
+    "branchId" TEXT NOT NULL,
+    "date" TIMESTAMP(3) NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "openingFloat" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "openedById" TEXT NOT NULL,
+    "openedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "cashReceived" DOUBLE PRECISION,
+    "cashPaidOut" DOUBLE PRECISION,
+    "expectedCash" DOUBLE PRECISION,
+    "countedCash" DOUBLE PRECISION,
+    "cashVariance" DOUBLE PRECISION,
+    "expectedTransfer" DOUBLE PRECISION,
+    "statementTransfer" DOUBLE PRECISION,
+    "transferVariance" DOUBLE PRECISION,
+    "expectedPos" DOUBLE PRECISION,
+    "statementPos" DOUBLE PRECISION,
+    "posVariance" DOUBLE PRECISION,
+    "notes" TEXT,
+    "closedById" TEXT,
+    "closedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CashSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CashSession_date_idx" ON "CashSession"("date");
+
+-- CreateIndex
+CREATE INDEX "CashSession_status_idx" ON "CashSession"("status");
+
+-- CreateIndex
+CREATE INDEX "CashSession_openedById_idx" ON "CashSession"("openedById");
+
+-- CreateIndex
+CREATE INDEX "CashSession_closedById_idx" ON "CashSession"("closedById");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CashSession_branchId_date_key" ON "CashSession"("branchId", "date");
+
+-- AddForeignKey
+ALTER TABLE "CashSession" ADD CONSTRAINT "CashSession_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CashSession" ADD CONSTRAINT "CashSession_openedById_fkey" FOREIGN KEY ("openedById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CashSession" ADD CONSTRAINT "CashSession_closedById_fkey" FOREIGN KEY ("closedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "CompanyDailySummary" ADD COLUMN     "isClosed" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "closedAt" TIMESTAMP(3),
+ADD COLUMN     "closedById" TEXT,
+ADD COLUMN     "reopenedAt" TIMESTAMP(3),
+ADD COLUMN     "reopenedById" TEXT,
+ADD COLUMN     "reopenReason" TEXT;
+
+-- CreateIndex
+CREATE INDEX "CompanyDailySummary_isClosed_idx" ON "CompanyDailySummary"("isClosed");
+
+-- AddForeignKey
+ALTER TABLE "CompanyDailySummary" ADD CONSTRAINT "CompanyDailySummary_closedById_fkey" FOREIGN KEY ("closedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CompanyDailySummary" ADD CONSTRAINT "CompanyDailySummary_reopenedById_fkey" FOREIGN KEY ("reopenedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
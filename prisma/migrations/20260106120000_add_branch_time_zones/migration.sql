@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Branch" ADD COLUMN     "timezone" TEXT NOT NULL DEFAULT 'Africa/Lagos';
+
+-- AlterTable
+ALTER TABLE "CashSession" ALTER COLUMN "date" SET DATA TYPE DATE;
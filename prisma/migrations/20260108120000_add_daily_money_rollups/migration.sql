@@ -0,0 +1,146 @@
+-- AlterTable
+ALTER TABLE "CompanyDailySummary" ADD COLUMN     "grossAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "discountAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "netAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "companyShare" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "washerShare" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "loyaltyCost" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "cashAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "transferAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "posAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "outstandingAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "CompanyDailyItemSummary" (
+    "id" TEXT NOT NULL,
+    "branchId" TEXT NOT NULL,
+    "date" DATE NOT NULL,
+    "serviceItemId" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 0,
+    "grossAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "discountAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "companyShare" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "washerShare" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CompanyDailyItemSummary_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CompanyDailyItemSummary_date_idx" ON "CompanyDailyItemSummary"("date");
+
+-- CreateIndex
+CREATE INDEX "CompanyDailyItemSummary_serviceItemId_idx" ON "CompanyDailyItemSummary"("serviceItemId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CompanyDailyItemSummary_branchId_date_serviceItemId_key" ON "CompanyDailyItemSummary"("branchId", "date", "serviceItemId");
+
+-- AddForeignKey
+ALTER TABLE "CompanyDailyItemSummary" ADD CONSTRAINT "CompanyDailyItemSummary_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CompanyDailyItemSummary" ADD CONSTRAINT "CompanyDailyItemSummary_serviceItemId_fkey" FOREIGN KEY ("serviceItemId") REFERENCES "ServiceItem"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Backfill the rollups from the existing car wash records, the way recomputeDailySummaries builds them
+-- Counted records with the business day they fall on in their branch's time zone
+CREATE TEMP TABLE "_counted_car_wash" AS
+SELECT
+    cw."id",
+    cw."branchId",
+    (cw."washDate" AT TIME ZONE 'UTC' AT TIME ZONE b."timezone")::date AS "date",
+    cw."totalAmount",
+    cw."amountPaid",
+    NULL::TIMESTAMP(3) AS "paidBy"
+FROM "CarWash" cw
+JOIN "Branch" b ON b."id" = cw."branchId"
+WHERE NOT cw."isVoided";
+
+-- Closed days only count the payments received up to their close
+UPDATE "_counted_car_wash" d
+SET "paidBy" = s."closedAt",
+    "amountPaid" = (
+        SELECT COALESCE(SUM(p."amount"), 0)
+        FROM "Payment" p
+        WHERE p."carWashId" = d."id" AND p."createdAt" <= s."closedAt"
+    )
+FROM "CompanyDailySummary" s
+WHERE s."branchId" = d."branchId" AND s."date" = d."date" AND s."isClosed";
+
+INSERT INTO "CompanyDailyItemSummary" ("id", "branchId", "date", "serviceItemId", "quantity", "grossAmount", "discountAmount", "companyShare", "washerShare", "updatedAt")
+SELECT
+    md5(random()::text || d."branchId" || d."date" || wi."serviceItemId"),
+    d."branchId",
+    d."date",
+    wi."serviceItemId",
+    COUNT(*),
+    ROUND(SUM(COALESCE(wi."price", si."price"))::numeric, 2),
+    ROUND(SUM(wi."discountAmount")::numeric, 2),
+    ROUND(SUM(wi."companyShare")::numeric, 2),
+    ROUND(SUM(wi."washerShare")::numeric, 2),
+    CURRENT_TIMESTAMP
+FROM "_counted_car_wash" d
+JOIN "WashedItem" wi ON wi."carWashId" = d."id"
+JOIN "ServiceItem" si ON si."id" = wi."serviceItemId"
+GROUP BY d."branchId", d."date", wi."serviceItemId";
+
+UPDATE "CompanyDailySummary" s
+SET "grossAmount" = t."grossAmount",
+    "discountAmount" = t."discountAmount",
+    "netAmount" = ROUND((t."grossAmount" - t."discountAmount")::numeric, 2),
+    "companyShare" = t."companyShare",
+    "washerShare" = t."washerShare"
+FROM (
+    SELECT
+        d."branchId",
+        d."date",
+        ROUND(SUM(COALESCE(wi."price", si."price"))::numeric, 2) AS "grossAmount",
+        ROUND(SUM(wi."discountAmount")::numeric, 2) AS "discountAmount",
+        ROUND(SUM(wi."companyShare")::numeric, 2) AS "companyShare",
+        ROUND(SUM(wi."washerShare")::numeric, 2) AS "washerShare"
+    FROM "_counted_car_wash" d
+    JOIN "WashedItem" wi ON wi."carWashId" = d."id"
+    JOIN "ServiceItem" si ON si."id" = wi."serviceItemId"
+    GROUP BY d."branchId", d."date"
+) t
+WHERE s."branchId" = t."branchId" AND s."date" = t."date";
+
+UPDATE "CompanyDailySummary" s
+SET "loyaltyCost" = t."loyaltyCost"
+FROM (
+    SELECT d."branchId", d."date", ROUND(SUM(cd."amount")::numeric, 2) AS "loyaltyCost"
+    FROM "_counted_car_wash" d
+    JOIN "CarWashDiscount" cd ON cd."carWashId" = d."id"
+    WHERE cd."type" IN ('loyalty_stamp', 'loyalty_points')
+    GROUP BY d."branchId", d."date"
+) t
+WHERE s."branchId" = t."branchId" AND s."date" = t."date";
+
+UPDATE "CompanyDailySummary" s
+SET "cashAmount" = t."cashAmount",
+    "transferAmount" = t."transferAmount",
+    "posAmount" = t."posAmount"
+FROM (
+    SELECT
+        d."branchId",
+        d."date",
+        ROUND(SUM(CASE WHEN p."method" = 'cash' THEN p."amount" ELSE 0 END)::numeric, 2) AS "cashAmount",
+        ROUND(SUM(CASE WHEN p."method" = 'transfer' THEN p."amount" ELSE 0 END)::numeric, 2) AS "transferAmount",
+        ROUND(SUM(CASE WHEN p."method" = 'pos' THEN p."amount" ELSE 0 END)::numeric, 2) AS "posAmount"
+    FROM "_counted_car_wash" d
+    JOIN "Payment" p ON p."carWashId" = d."id"
+    WHERE d."paidBy" IS NULL OR p."createdAt" <= d."paidBy"
+    GROUP BY d."branchId", d."date"
+) t
+WHERE s."branchId" = t."branchId" AND s."date" = t."date";
+
+UPDATE "CompanyDailySummary" s
+SET "outstandingAmount" = t."outstandingAmount"
+FROM (
+    SELECT d."branchId", d."date", ROUND(SUM(d."totalAmount" - d."amountPaid")::numeric, 2) AS "outstandingAmount"
+    FROM "_counted_car_wash" d
+    GROUP BY d."branchId", d."date"
+) t
+WHERE s."branchId" = t."branchId" AND s."date" = t."date";
+
+DROP TABLE "_counted_car_wash";
@@ -0,0 +1,8 @@
+-- Commission rules now apply by their dates alone, inactive ones included.
+-- Rules deactivated before that were only hidden, so end them when they were
+-- deactivated (their last update); one deactivated before it started gets an
+-- empty window and never applies
+UPDATE "CommissionRule"
+SET "effectiveTo" = GREATEST("effectiveFrom", "updatedAt")
+WHERE "isActive" = false
+  AND ("effectiveTo" IS NULL OR "effectiveTo" > "updatedAt");
@@ -1,4 +1,5 @@
 const { PrismaClient } = require('@prisma/client');
+const bcrypt = require('bcryptjs');
 const prisma = new PrismaClient();
 
 async function main() {
@@ -33,6 +34,25 @@ async function main() {
   });
 
   console.log(' Branch B created:', branchB);
+
+  // Registration is owner-only, so the first owner account comes from the seed
+  if (process.env.SEED_OWNER_EMAIL && process.env.SEED_OWNER_PASSWORD) {
+    const hashedPassword = await bcrypt.hash(process.env.SEED_OWNER_PASSWORD, 12);
+
+    const owner = await prisma.user.upsert({
+      where: { email: process.env.SEED_OWNER_EMAIL },
+      update: { role: 'owner' },
+      create: {
+        email: process.env.SEED_OWNER_EMAIL,
+        password: hashedPassword,
+        name: process.env.SEED_OWNER_NAME || 'Owner',
+        role: 'owner',
+        branchId: branchA.id
+      }
+    });
+
+    console.log(' Owner account ready:', owner.email);
+  }
   
   console.log('\n Seed completed successfully!');
   console.log(' Use these IDs in your registration:');
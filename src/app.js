@@ -10,6 +10,16 @@ const authRoutes = require("./routes/authRoutes");
 const recordRoutes = require("./routes/recordRoutes");
 const helperRoutes = require("./routes/helperRoutes");
 const paymentRoutes = require("./routes/paymentRoutes");
+const commissionRoutes = require("./routes/commissionRoutes");
+const payoutRoutes = require("./routes/payoutRoutes");
+const auditRoutes = require("./routes/auditRoutes");
+const branchRoutes = require("./routes/branchRoutes");
+const customerRoutes = require("./routes/customerRoutes");
+const loyaltyRoutes = require("./routes/loyaltyRoutes");
+const promoCodeRoutes = require("./routes/promoCodeRoutes");
+const receivableRoutes = require("./routes/receivableRoutes");
+const cashSessionRoutes = require("./routes/cashSessionRoutes");
+const dayRoutes = require("./routes/dayRoutes");
 
 dotenv.config();
 
@@ -46,7 +56,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Branch-Id'],
   optionsSuccessStatus: 200
 }));
 
@@ -80,15 +90,45 @@ app.get("/health", (req, res) => {
 // Auth routes
 app.use("/api/auth", authRoutes);
 
+// Branch management routes
+app.use("/api/branches", branchRoutes);
+
 // Car wash record routes
 app.use("/api/records", recordRoutes);
 
 // Helper routes (washers & service items)
 app.use("/api", helperRoutes);
 
+// Customer and vehicle registry routes
+app.use("/api", customerRoutes);
+
 // Payment routes
 app.use("/api/payments", paymentRoutes);
 
+// Commission rule routes
+app.use("/api/commission-rules", commissionRoutes);
+
+// Loyalty rule routes
+app.use("/api/loyalty-rules", loyaltyRoutes);
+
+// Promo code routes
+app.use("/api/promo-codes", promoCodeRoutes);
+
+// Washer payout ledger routes
+app.use("/api/payouts", payoutRoutes);
+
+// Receivables (outstanding balances and later payments)
+app.use("/api/receivables", receivableRoutes);
+
+// Cash drawer sessions (end-of-day reconciliation)
+app.use("/api/cash-sessions", cashSessionRoutes);
+
+// Day close and reopen
+app.use("/api/days", dayRoutes);
+
+// Audit log routes
+app.use("/api/audit", auditRoutes);
+
 // 404 Handler
 app.use((req, res) => {
   res.status(404).json({
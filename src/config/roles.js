@@ -0,0 +1,119 @@
+// User roles, from most to least privileged
+const ROLES = {
+  OWNER: 'owner',                   // Runs the business: every branch, pricing, users
+  BRANCH_MANAGER: 'branch_manager', // Runs one branch: washers, edits, voids, payouts
+  CASHIER: 'cashier',               // Logs car washes at the counter
+  VIEWER: 'viewer'                  // Read-only access to records and reports
+};
+
+const ALL_ROLES = Object.values(ROLES);
+
+const { OWNER, BRANCH_MANAGER, CASHIER, VIEWER } = ROLES;
+
+// Permission -> roles allowed to use it
+const PERMISSIONS = {
+  // Users
+  'users:create': [OWNER],
+  'users:manage': [OWNER],
+
+  // Washers and specialist certifications
+  'washers:read': ALL_ROLES,
+  'washers:manage': [OWNER, BRANCH_MANAGER],
+
+  // Service items and pricing
+  'serviceItems:read': ALL_ROLES,
+  'serviceItems:manage': [OWNER],
+
+  // Commission rules
+  'commissionRules:read': [OWNER, BRANCH_MANAGER],
+  'commissionRules:manage': [OWNER],
+
+  // Car wash records
+  'records:read': ALL_ROLES,
+  'records:create': [OWNER, BRANCH_MANAGER, CASHIER],
+  'records:update': [OWNER, BRANCH_MANAGER],
+  'records:void': [OWNER, BRANCH_MANAGER],
+
+  // Payments taken after the wash and outstanding balances (credit customers)
+  'payments:record': [OWNER, BRANCH_MANAGER, CASHIER],
+  'receivables:read': [OWNER, BRANCH_MANAGER, CASHIER],
+
+  // Cash drawer sessions (open with a float, close with the count)
+  'cashSessions:read': [OWNER, BRANCH_MANAGER],
+  'cashSessions:manage': [OWNER, BRANCH_MANAGER, CASHIER],
+
+  // Closing a branch's day freezes its totals; reopening it is privileged
+  'days:close': [OWNER, BRANCH_MANAGER],
+  'days:reopen': [OWNER],
+
+  // Manual discounts and price overrides on car wash records
+  'discounts:approve': [OWNER, BRANCH_MANAGER],
+
+  // Promo codes
+  'promoCodes:read': [OWNER, BRANCH_MANAGER],
+  'promoCodes:manage': [OWNER],
+
+  // Customer and vehicle registry
+  'customers:read': ALL_ROLES,
+  'customers:manage': [OWNER, BRANCH_MANAGER, CASHIER],
+
+  // Loyalty rules (stamp cards and points)
+  'loyalty:read': [OWNER, BRANCH_MANAGER],
+  'loyalty:manage': [OWNER],
+
+  // Daily summaries and payment reports (revenue)
+  'reports:read': [OWNER, BRANCH_MANAGER, VIEWER],
+  'reports:readAllBranches': [OWNER],
+
+  // Rebuild drifted daily summaries from the car wash records
+  'summaries:rebuild': [OWNER],
+
+  // Branches
+  'branches:manage': [OWNER],
+
+  // Act on any branch (not just the ones the user belongs to), or all branches at once
+  'branches:override': [OWNER],
+
+  // Washer payout ledger
+  'payouts:read': [OWNER, BRANCH_MANAGER],
+  'payouts:manage': [OWNER, BRANCH_MANAGER],
+
+  // Audit trail
+  'audit:read': [OWNER]
+};
+
+// How far back (in hours) each role may date a car wash it enters;
+// BACKDATE_WINDOW_HOURS_<ROLE> in the environment overrides, e.g. BACKDATE_WINDOW_HOURS_CASHIER=36
+const BACKDATE_WINDOW_HOURS = {
+  [OWNER]: 24 * 31,
+  [BRANCH_MANAGER]: 24 * 7,
+  [CASHIER]: 24,
+  [VIEWER]: 0
+};
+
+/**
+ * Get how far back (in hours) a role may date a car wash
+ */
+const getBackdateWindowHours = (role) => {
+  const override = parseFloat(process.env[`BACKDATE_WINDOW_HOURS_${String(role).toUpperCase()}`]);
+  if (!isNaN(override)) return override;
+
+  return BACKDATE_WINDOW_HOURS[role] || 0;
+};
+
+/**
+ * Check whether a role has a permission
+ */
+const hasPermission = (role, permission) => {
+  const roles = PERMISSIONS[permission];
+  return Boolean(roles && roles.includes(role));
+};
+
+module.exports = {
+  ROLES,
+  ALL_ROLES,
+  PERMISSIONS,
+  BACKDATE_WINDOW_HOURS,
+  hasPermission,
+  getBackdateWindowHours
+};
@@ -0,0 +1,92 @@
+const prisma = require('../config/database');
+const { parseDateRange } = require('../utils/dateRange');
+const { getRequestTimeZone } = require('../services/branchAccessService');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Get audit log entries, newest first
+ * Query: ?userId=&branchId=&entity=&entityId=&action=&from=YYYY-MM-DD&to=YYYY-MM-DD&page=1&limit=50
+ */
+const getAuditLogs = async (req, res) => {
+  try {
+    const { userId, branchId, entity, entityId, action, from, to } = req.query;
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const where = {
+      ...(userId && { userId }),
+      ...(branchId && { branchId }),
+      ...(entity && { entity }),
+      ...(entityId && { entityId }),
+      ...(action && { action })
+    };
+
+    if (from || to) {
+      const range = parseDateRange({ from, to }, getRequestTimeZone(req));
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error
+        });
+      }
+
+      where.createdAt = {
+        gte: range.startOfDay,
+        lte: range.endOfDay
+      };
+    }
+
+    const [logs, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        include: {
+          user: {
+            select: {
+              id: true,
+              name: true,
+              email: true
+            }
+          },
+          branch: {
+            select: {
+              id: true,
+              name: true,
+              code: true
+            }
+          }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.auditLog.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: logs,
+      count: logs.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching audit logs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit logs',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs
+};
@@ -1,10 +1,51 @@
 const bcrypt = require('bcryptjs');
 const prisma = require('../config/database');
 const { generateToken } = require('../utils/generateToken');
+const { recordAudit } = require('../services/auditService');
+const { ROLES } = require('../config/roles');
+const { ALL_BRANCHES, resolveActiveBranch } = require('../services/branchAccessService');
+
+const branchSelect = {
+  id: true,
+  name: true,
+  code: true,
+  location: true,
+  isActive: true
+};
+
+// Branches a user belongs to, for login / me responses
+const membershipInclude = {
+  branchMemberships: {
+    select: {
+      branchId: true,
+      branch: { select: branchSelect }
+    }
+  }
+};
+
+/**
+ * Check that every branch ID exists and is active
+ * Returns the error message for the first invalid branch, or null
+ */
+const validateBranchIds = async (branchIds) => {
+  const branches = await prisma.branch.findMany({
+    where: { id: { in: branchIds } },
+    select: { id: true, isActive: true }
+  });
+
+  for (const branchId of branchIds) {
+    const branch = branches.find(b => b.id === branchId);
+    if (!branch) return `Invalid branch ID: ${branchId}`;
+    if (!branch.isActive) return `Branch ${branchId} is inactive`;
+  }
+
+  return null;
+};
 
 // Helper function to set cookie and send response
-const sendTokenResponse = (user, statusCode, res, message) => {
-  const token = generateToken(user.id);
+// activeBranchId is stored in the token so the selected branch survives between requests
+const sendTokenResponse = (user, statusCode, res, message, activeBranchId) => {
+  const token = generateToken(user.id, activeBranchId);
 
   const options = {
     expires: new Date(
@@ -26,17 +67,18 @@ const sendTokenResponse = (user, statusCode, res, message) => {
       message,
       data: {
         user: userWithoutPassword,
+        activeBranchId: activeBranchId || user.branchId,
         token
       }
     });
 };
 
-// @desc    Register new user
+// @desc    Register new user (owners create accounts for their staff)
 // @route   POST /api/auth/register
-// @access  Public (or can be Private with protect middleware)
+// @access  Private (owner)
 const register = async (req, res) => {
   try {
-    const { email, password, name, role, branchId } = req.body;
+    const { email, password, name, role, branchId, branchIds = [] } = req.body;
 
     // Validate required fields
     if (!email || !password || !name || !branchId) {
@@ -77,32 +119,67 @@ const register = async (req, res) => {
       });
     }
 
+    // Home branch plus any extra branches the user works in
+    const memberBranchIds = [...new Set([branchId, ...branchIds])];
+
+    const branchError = await validateBranchIds(memberBranchIds);
+    if (branchError) {
+      return res.status(400).json({
+        success: false,
+        message: branchError
+      });
+    }
+
     // Hash password
     const salt = await bcrypt.genSalt(12);
     const hashedPassword = await bcrypt.hash(password, salt);
 
     // Create user with branch assignment
-    const user = await prisma.user.create({
-      data: {
-        email,
-        password: hashedPassword,
-        name,
-        role: role || 'admin',
-        branchId
-      },
-      include: {
-        branch: {
-          select: {
-            id: true,
-            name: true,
-            code: true,
-            location: true
+    const user = await prisma.$transaction(async (tx) => {
+      const user = await tx.user.create({
+        data: {
+          email,
+          password: hashedPassword,
+          name,
+          role: role || ROLES.CASHIER,
+          branchId,
+          branchMemberships: {
+            create: memberBranchIds.map(id => ({ branchId: id }))
           }
+        },
+        include: {
+          branch: {
+            select: {
+              id: true,
+              name: true,
+              code: true,
+              location: true
+            }
+          },
+          ...membershipInclude
         }
-      }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'create',
+        entity: 'User',
+        branchId: user.branchId,
+        after: user
+      });
+
+      return user;
     });
 
-    sendTokenResponse(user, 201, res, 'User registered successfully');
+    // The owner stays logged in as themselves, so no token is issued for the new user
+    const { password: _, ...userWithoutPassword } = user;
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      data: {
+        user: userWithoutPassword
+      }
+    });
   } catch (error) {
     console.error('Register error:', error);
     res.status(500).json({
@@ -118,7 +195,7 @@ const register = async (req, res) => {
 // @access  Public
 const login = async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, branchId } = req.body;
 
     // Validate input
     if (!email || !password) {
@@ -133,14 +210,9 @@ const login = async (req, res) => {
       where: { email },
       include: {
         branch: {
-          select: {
-            id: true,
-            name: true,
-            code: true,
-            location: true,
-            isActive: true
-          }
-        }
+          select: branchSelect
+        },
+        ...membershipInclude
       }
     });
 
@@ -175,7 +247,18 @@ const login = async (req, res) => {
       });
     }
 
-    sendTokenResponse(user, 200, res, 'Login successful');
+    // Optional branch to start in (defaults to the home branch)
+    if (branchId) {
+      const access = await resolveActiveBranch(user, branchId);
+      if (access.error) {
+        return res.status(access.status).json({
+          success: false,
+          message: access.error
+        });
+      }
+    }
+
+    sendTokenResponse(user, 200, res, 'Login successful', branchId);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -201,14 +284,9 @@ const getMe = async (req, res) => {
         isActive: true,
         branchId: true,
         branch: {
-          select: {
-            id: true,
-            name: true,
-            code: true,
-            location: true,
-            isActive: true
-          }
+          select: branchSelect
         },
+        ...membershipInclude,
         createdAt: true,
         updatedAt: true
       }
@@ -223,7 +301,10 @@ const getMe = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: user
+      data: {
+        ...user,
+        activeBranchId: req.user.activeBranchId
+      }
     });
   } catch (error) {
     console.error('GetMe error:', error);
@@ -298,9 +379,19 @@ const changePassword = async (req, res) => {
     const salt = await bcrypt.genSalt(12);
     const hashedPassword = await bcrypt.hash(newPassword, salt);
 
-    await prisma.user.update({
-      where: { id: req.user.id },
-      data: { password: hashedPassword }
+    await prisma.$transaction(async (tx) => {
+      const updatedUser = await tx.user.update({
+        where: { id: req.user.id },
+        data: { password: hashedPassword }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'update',
+        entity: 'User',
+        before: user,
+        after: updatedUser,
+        metadata: { passwordChanged: true }
+      });
     });
 
     res.status(200).json({
@@ -317,31 +408,124 @@ const changePassword = async (req, res) => {
   }
 };
 
-// @desc    Get all available branches (for registration dropdown)
-// @route   GET /api/auth/branches
-// @access  Public (or Private depending on your needs)
-const getBranches = async (req, res) => {
+// @desc    Switch the active branch (reissues the token)
+// @route   POST /api/auth/switch-branch
+// @access  Private
+const switchBranch = async (req, res) => {
   try {
-    const branches = await prisma.branch.findMany({
-      where: { isActive: true },
-      select: {
-        id: true,
-        name: true,
-        code: true,
-        location: true
-      },
-      orderBy: { name: 'asc' }
+    const { branchId } = req.body;
+
+    const access = await resolveActiveBranch(req.user, branchId);
+    if (access.error) {
+      return res.status(access.status).json({
+        success: false,
+        message: access.error
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      include: {
+        branch: {
+          select: branchSelect
+        },
+        ...membershipInclude
+      }
+    });
+
+    sendTokenResponse(
+      user,
+      200,
+      res,
+      branchId === ALL_BRANCHES ? 'Switched to all branches' : `Switched to ${access.branch.name}`,
+      branchId
+    );
+  } catch (error) {
+    console.error('Switch branch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error switching branch',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Set the branches a user belongs to (home branch is always kept)
+// @route   PUT /api/auth/users/:id/branches
+// @access  Private (owner)
+const setUserBranches = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { branchIds } = req.body;
+
+    const existingUser = await prisma.user.findUnique({
+      where: { id },
+      include: membershipInclude
+    });
+
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const memberBranchIds = [...new Set([existingUser.branchId, ...branchIds])];
+
+    const branchError = await validateBranchIds(memberBranchIds);
+    if (branchError) {
+      return res.status(400).json({
+        success: false,
+        message: branchError
+      });
+    }
+
+    const user = await prisma.$transaction(async (tx) => {
+      await tx.userBranch.deleteMany({
+        where: {
+          userId: id,
+          branchId: { notIn: memberBranchIds }
+        }
+      });
+
+      await tx.userBranch.createMany({
+        data: memberBranchIds.map(branchId => ({ userId: id, branchId })),
+        skipDuplicates: true
+      });
+
+      const user = await tx.user.findUnique({
+        where: { id },
+        select: {
+          id: true,
+          email: true,
+          name: true,
+          role: true,
+          branchId: true,
+          ...membershipInclude
+        }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'update',
+        entity: 'User',
+        before: existingUser,
+        after: user,
+        metadata: { branchMembershipsChanged: true }
+      });
+
+      return user;
     });
 
     res.status(200).json({
       success: true,
-      data: branches
+      message: 'User branches updated successfully',
+      data: user
     });
   } catch (error) {
-    console.error('Get branches error:', error);
+    console.error('Set user branches error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching branches',
+      message: 'Error updating user branches',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -353,5 +537,6 @@ module.exports = {
   getMe,
   logout,
   changePassword,
-  getBranches
+  switchBranch,
+  setUserBranches
 };
\ No newline at end of file
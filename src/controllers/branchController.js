@@ -0,0 +1,436 @@
+const prisma = require('../config/database');
+const { ROLES } = require('../config/roles');
+const { recordAudit } = require('../services/auditService');
+
+const CODE_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const branchInclude = {
+  _count: {
+    select: {
+      users: true,
+      washers: true,
+      carWashes: true
+    }
+  }
+};
+
+/**
+ * Normalize a branch code: trimmed, uppercase, no spaces
+ */
+const normalizeCode = (code) => code.trim().toUpperCase().replace(/\s+/g, '');
+
+/**
+ * Pick the next free branch code: "A", "B", ... then "BR27", "BR28", ...
+ */
+const generateBranchCode = async (client = prisma) => {
+  const branches = await client.branch.findMany({ select: { code: true } });
+  const usedCodes = new Set(branches.map(branch => branch.code));
+
+  const letter = CODE_LETTERS.split('').find(code => !usedCodes.has(code));
+  if (letter) return letter;
+
+  let number = branches.length + 1;
+  while (usedCodes.has(`BR${number}`)) number += 1;
+  return `BR${number}`;
+};
+
+/**
+ * Build a readable branch ID from its code (matching the seeded "branch_a", "branch_b")
+ * Adds a numeric suffix if the ID was already taken by a branch whose code has since changed
+ */
+const generateBranchId = async (code, client = prisma) => {
+  const baseId = `branch_${code.toLowerCase()}`;
+
+  let id = baseId;
+  let suffix = 2;
+  while (await client.branch.findUnique({ where: { id }, select: { id: true } })) {
+    id = `${baseId}_${suffix}`;
+    suffix += 1;
+  }
+
+  return id;
+};
+
+/**
+ * Find another branch that already uses this name or code (case-insensitive)
+ * Returns an error message, or null when there is no conflict
+ */
+const findBranchConflict = async ({ name, code, excludeId }) => {
+  const conditions = [];
+  if (name) conditions.push({ name: { equals: name, mode: 'insensitive' } });
+  if (code) conditions.push({ code: { equals: code, mode: 'insensitive' } });
+  if (conditions.length === 0) return null;
+
+  const conflict = await prisma.branch.findFirst({
+    where: {
+      OR: conditions,
+      ...(excludeId && { id: { not: excludeId } })
+    },
+    select: { name: true, code: true }
+  });
+
+  if (!conflict) return null;
+
+  if (name && conflict.name.toLowerCase() === name.toLowerCase()) {
+    return `A branch named "${conflict.name}" already exists`;
+  }
+  return `Branch code "${conflict.code}" is already in use`;
+};
+
+/**
+ * Get all branches
+ * Query: ?includeInactive=true to include deactivated branches
+ */
+const getBranches = async (req, res) => {
+  try {
+    const { includeInactive } = req.query;
+
+    const branches = await prisma.branch.findMany({
+      where: includeInactive === 'true' ? {} : { isActive: true },
+      include: branchInclude,
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: branches,
+      count: branches.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching branches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch branches',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get branch by ID
+ */
+const getBranchById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const branch = await prisma.branch.findUnique({
+      where: { id },
+      include: branchInclude
+    });
+
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: branch
+    });
+
+  } catch (error) {
+    console.error('Error fetching branch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch branch',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a branch
+ * Code defaults to the next free letter; the ID is derived from the code
+ * Body: { name, code?, location?, timezone? } - timezone defaults to Africa/Lagos
+ */
+const createBranch = async (req, res) => {
+  try {
+    const { name, location, timezone } = req.body;
+    const trimmedName = name.trim();
+    const code = req.body.code ? normalizeCode(req.body.code) : await generateBranchCode();
+
+    const conflict = await findBranchConflict({ name: trimmedName, code });
+    if (conflict) {
+      return res.status(400).json({
+        success: false,
+        message: conflict
+      });
+    }
+
+    const branch = await prisma.$transaction(async (tx) => {
+      const id = await generateBranchId(code, tx);
+
+      const branch = await tx.branch.create({
+        data: {
+          id,
+          name: trimmedName,
+          code,
+          location,
+          timezone
+        }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'create',
+        entity: 'Branch',
+        branchId: branch.id,
+        after: branch
+      });
+
+      return branch;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Branch created successfully',
+      data: branch
+    });
+
+  } catch (error) {
+    console.error('Error creating branch:', error);
+
+    if (error.code === 'P2002') {
+      return res.status(400).json({
+        success: false,
+        message: 'A branch with this name or code already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create branch',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a branch (rename, change code, relocate, change time zone or reactivate)
+ * Reactivating does not reactivate the washers and users deactivated with the branch
+ * A new time zone applies to day boundaries from then on; stored summaries are not moved
+ * Body: { name?, code?, location?, timezone?, isActive? }
+ */
+const updateBranch = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, location, timezone, isActive } = req.body;
+    const trimmedName = name !== undefined ? name.trim() : undefined;
+    const code = req.body.code !== undefined ? normalizeCode(req.body.code) : undefined;
+
+    const existingBranch = await prisma.branch.findUnique({ where: { id } });
+
+    if (!existingBranch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+
+    if (isActive === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use DELETE /api/branches/:id to deactivate a branch'
+      });
+    }
+
+    const conflict = await findBranchConflict({ name: trimmedName, code, excludeId: id });
+    if (conflict) {
+      return res.status(400).json({
+        success: false,
+        message: conflict
+      });
+    }
+
+    const branch = await prisma.$transaction(async (tx) => {
+      const branch = await tx.branch.update({
+        where: { id },
+        data: {
+          ...(trimmedName && { name: trimmedName }),
+          ...(code && { code }),
+          ...(location !== undefined && { location }),
+          ...(timezone && { timezone }),
+          ...(isActive === true && { isActive: true })
+        }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'update',
+        entity: 'Branch',
+        branchId: id,
+        before: existingBranch,
+        after: branch
+      });
+
+      return branch;
+    });
+
+    res.json({
+      success: true,
+      message: 'Branch updated successfully',
+      data: branch
+    });
+
+  } catch (error) {
+    console.error('Error updating branch:', error);
+
+    if (error.code === 'P2002') {
+      return res.status(400).json({
+        success: false,
+        message: 'A branch with this name or code already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update branch',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Deactivate a branch (soft delete); records and reports are kept
+ * - Washers (and their specialist certifications) at the branch are deactivated
+ * - Users whose home branch it is move to another active branch they belong to
+ *   (owners to any active branch); users with nowhere to go are deactivated
+ * The last active branch cannot be deactivated
+ */
+const deactivateBranch = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingBranch = await prisma.branch.findUnique({ where: { id } });
+
+    if (!existingBranch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+
+    if (!existingBranch.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Branch is already inactive'
+      });
+    }
+
+    const otherActiveBranches = await prisma.branch.findMany({
+      where: { isActive: true, id: { not: id } },
+      select: { id: true },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    if (otherActiveBranches.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot deactivate the last active branch'
+      });
+    }
+
+    const otherActiveBranchIds = otherActiveBranches.map(branch => branch.id);
+
+    const result = await prisma.$transaction(async (tx) => {
+      const branch = await tx.branch.update({
+        where: { id },
+        data: { isActive: false }
+      });
+
+      const washers = await tx.washer.updateMany({
+        where: { branchId: id, isActive: true },
+        data: { isActive: false }
+      });
+
+      await tx.washerSpecialty.updateMany({
+        where: { branchId: id, isActive: true },
+        data: { isActive: false }
+      });
+
+      // Re-home or deactivate the branch's users
+      const homeUsers = await tx.user.findMany({
+        where: { branchId: id, isActive: true },
+        select: {
+          id: true,
+          role: true,
+          branchMemberships: {
+            select: { branchId: true }
+          }
+        }
+      });
+
+      const movedUserIds = [];
+      const deactivatedUserIds = [];
+
+      for (const user of homeUsers) {
+        const memberBranchId = user.branchMemberships
+          .map(membership => membership.branchId)
+          .find(branchId => otherActiveBranchIds.includes(branchId));
+        const newHomeBranchId = memberBranchId || (user.role === ROLES.OWNER ? otherActiveBranchIds[0] : null);
+
+        if (newHomeBranchId) {
+          await tx.user.update({
+            where: { id: user.id },
+            data: {
+              branchId: newHomeBranchId,
+              branchMemberships: {
+                connectOrCreate: {
+                  where: { userId_branchId: { userId: user.id, branchId: newHomeBranchId } },
+                  create: { branchId: newHomeBranchId }
+                }
+              }
+            }
+          });
+          movedUserIds.push(user.id);
+        } else {
+          await tx.user.update({
+            where: { id: user.id },
+            data: { isActive: false }
+          });
+          deactivatedUserIds.push(user.id);
+        }
+      }
+
+      const impact = {
+        washersDeactivated: washers.count,
+        usersMoved: movedUserIds.length,
+        usersDeactivated: deactivatedUserIds.length
+      };
+
+      await recordAudit(tx, req, {
+        action: 'delete',
+        entity: 'Branch',
+        branchId: id,
+        before: existingBranch,
+        after: branch,
+        metadata: { ...impact, movedUserIds, deactivatedUserIds }
+      });
+
+      return { branch, impact };
+    });
+
+    res.json({
+      success: true,
+      message: 'Branch deactivated successfully',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error deactivating branch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate branch',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getBranches,
+  getBranchById,
+  createBranch,
+  updateBranch,
+  deactivateBranch
+};
@@ -0,0 +1,362 @@
+const prisma = require('../config/database');
+const { parseDateRange, toSummaryDate, fromSummaryDate } = require('../utils/dateRange');
+const { roundAmount } = require('../utils/money');
+const { recordAudit } = require('../services/auditService');
+const { getExpectedTotals } = require('../services/cashSessionService');
+const { closeDay } = require('../services/summaryService');
+const { getRequestTimeZone } = require('../services/branchAccessService');
+
+const cashSessionInclude = {
+  branch: {
+    select: {
+      id: true,
+      name: true,
+      code: true
+    }
+  },
+  openedBy: {
+    select: {
+      id: true,
+      name: true
+    }
+  },
+  closedBy: {
+    select: {
+      id: true,
+      name: true
+    }
+  }
+};
+
+/**
+ * Open the cash drawer for a business day (user's branch)
+ * Body: { openingFloat, date? } - date defaults to today
+ */
+const openCashSession = async (req, res) => {
+  try {
+    const { date } = req.body;
+    const openingFloat = roundAmount(parseFloat(req.body.openingFloat) || 0);
+    const branchId = req.branchId;
+
+    const range = parseDateRange({ date }, getRequestTimeZone(req));
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    const existingSession = await prisma.cashSession.findUnique({
+      where: {
+        branchId_date: {
+          branchId,
+          date: toSummaryDate(range.from)
+        }
+      }
+    });
+
+    if (existingSession) {
+      return res.status(400).json({
+        success: false,
+        message: `A cash session is already ${existingSession.status} for ${range.from}`
+      });
+    }
+
+    const session = await prisma.$transaction(async (tx) => {
+      const session = await tx.cashSession.create({
+        data: {
+          branchId,
+          date: toSummaryDate(range.from),
+          openingFloat,
+          openedById: req.user.id
+        },
+        include: cashSessionInclude
+      });
+
+      await recordAudit(tx, req, {
+        action: 'create',
+        entity: 'CashSession',
+        after: session
+      });
+
+      return session;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Cash session opened successfully',
+      data: session
+    });
+
+  } catch (error) {
+    // Another open for the same day got in between the check and the create
+    if (error.code === 'P2002') {
+      return res.status(400).json({
+        success: false,
+        message: 'A cash session is already open for this day'
+      });
+    }
+
+    console.error('Error opening cash session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open cash session',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the cash session for a day with the totals expected so far (user's branch)
+ * Query: ?date=YYYY-MM-DD (defaults to today)
+ */
+const getCurrentCashSession = async (req, res) => {
+  try {
+    const range = parseDateRange({ date: req.query.date }, getRequestTimeZone(req));
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    const session = await prisma.cashSession.findUnique({
+      where: {
+        branchId_date: {
+          branchId: req.branchId,
+          date: toSummaryDate(range.from)
+        }
+      },
+      include: cashSessionInclude
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: `No cash session for ${range.from}`
+      });
+    }
+
+    // Closed sessions keep the totals stored at close
+    const expected = session.status === 'open'
+      ? await getExpectedTotals(prisma, session)
+      : null;
+
+    res.json({
+      success: true,
+      data: { ...session, ...expected }
+    });
+
+  } catch (error) {
+    console.error('Error fetching cash session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch cash session',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Close a cash session with what was counted (user's branch)
+ * Stores the expected totals and the variances, and closes the day (locking its records)
+ * Body: { countedCash, statementTransfer, statementPos?, notes? }
+ */
+const closeCashSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { notes } = req.body;
+    const branchId = req.branchId;
+
+    const existingSession = await prisma.cashSession.findFirst({
+      where: { id, branchId }
+    });
+
+    if (!existingSession) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cash session not found in your branch'
+      });
+    }
+
+    if (existingSession.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cash session is already closed'
+      });
+    }
+
+    const countedCash = roundAmount(parseFloat(req.body.countedCash));
+    const statementTransfer = roundAmount(parseFloat(req.body.statementTransfer));
+    const statementPos = req.body.statementPos !== undefined && req.body.statementPos !== null
+      ? roundAmount(parseFloat(req.body.statementPos))
+      : null;
+
+    const session = await prisma.$transaction(async (tx) => {
+      const expected = await getExpectedTotals(tx, existingSession);
+
+      const session = await tx.cashSession.update({
+        where: { id },
+        data: {
+          status: 'closed',
+          cashReceived: expected.cashReceived,
+          cashPaidOut: expected.cashPaidOut,
+          expectedCash: expected.expectedCash,
+          countedCash,
+          cashVariance: roundAmount(countedCash - expected.expectedCash),
+          expectedTransfer: expected.expectedTransfer,
+          statementTransfer,
+          transferVariance: roundAmount(statementTransfer - expected.expectedTransfer),
+          expectedPos: expected.expectedPos,
+          statementPos,
+          posVariance: statementPos !== null ? roundAmount(statementPos - expected.expectedPos) : null,
+          notes,
+          closedById: req.user.id,
+          closedAt: new Date()
+        },
+        include: cashSessionInclude
+      });
+
+      await recordAudit(tx, req, {
+        action: 'update',
+        entity: 'CashSession',
+        before: existingSession,
+        after: session,
+        metadata: { operation: 'close' }
+      });
+
+      const day = fromSummaryDate(session.date);
+
+      const closedDay = await closeDay(tx, { branchId, date: day, closedById: req.user.id });
+      if (closedDay) {
+        await recordAudit(tx, req, {
+          action: 'update',
+          entity: 'CompanyDailySummary',
+          entityId: closedDay.id,
+          after: closedDay,
+          metadata: { operation: 'close', cashSessionId: id }
+        });
+      }
+
+      return session;
+    });
+
+    res.json({
+      success: true,
+      message: 'Cash session closed successfully',
+      data: session
+    });
+
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error closing cash session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close cash session',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add a closed session's variances to a running total
+ */
+const addVariances = (totals, session) => {
+  totals.sessions += 1;
+  totals.cashVariance = roundAmount(totals.cashVariance + (session.cashVariance || 0));
+  totals.transferVariance = roundAmount(totals.transferVariance + (session.transferVariance || 0));
+  totals.posVariance = roundAmount(totals.posVariance + (session.posVariance || 0));
+};
+
+const emptyVariances = () => ({ sessions: 0, cashVariance: 0, transferVariance: 0, posVariance: 0 });
+
+/**
+ * Get cash session history with variances (active branch, or all branches for owners)
+ * Closed sessions' variances are also totalled per branch and per closing user
+ * Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD&userId=xxx&status=open|closed
+ */
+const getCashSessions = async (req, res) => {
+  try {
+    const { from, to, userId, status } = req.query;
+    const where = { ...req.branchFilter };
+
+    if (from || to) {
+      const range = parseDateRange({ from, to }, getRequestTimeZone(req));
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error
+        });
+      }
+
+      // Sessions are keyed by their business day, not an instant
+      where.date = {
+        gte: toSummaryDate(range.from),
+        lte: toSummaryDate(range.to)
+      };
+    }
+
+    if (userId) {
+      where.OR = [{ openedById: userId }, { closedById: userId }];
+    }
+
+    if (status) {
+      where.status = status;
+    }
+
+    const sessions = await prisma.cashSession.findMany({
+      where,
+      include: cashSessionInclude,
+      orderBy: [{ date: 'desc' }, { branchId: 'asc' }]
+    });
+
+    const byBranch = {};
+    const byUser = {};
+    const totals = emptyVariances();
+
+    sessions.filter(session => session.status === 'closed').forEach(session => {
+      if (!byBranch[session.branchId]) {
+        byBranch[session.branchId] = { branch: session.branch, ...emptyVariances() };
+      }
+      if (!byUser[session.closedById]) {
+        byUser[session.closedById] = { user: session.closedBy, ...emptyVariances() };
+      }
+
+      addVariances(byBranch[session.branchId], session);
+      addVariances(byUser[session.closedById], session);
+      addVariances(totals, session);
+    });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({ ...session, day: fromSummaryDate(session.date) })),
+        byBranch: Object.values(byBranch),
+        byUser: Object.values(byUser),
+        totals
+      },
+      count: sessions.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching cash sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch cash sessions',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  openCashSession,
+  getCurrentCashSession,
+  closeCashSession,
+  getCashSessions
+};
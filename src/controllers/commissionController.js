@@ -0,0 +1,482 @@
+const prisma = require('../config/database');
+const { recordAudit } = require('../services/auditService');
+const { loadCurrentPrices } = require('../services/pricingService');
+
+/**
+ * Create a commission rule for a service item
+ * Omit branchId for a global rule, or set it to override the split at one branch
+ * sharesDiscounts: whether manual and promo discounts also come off the washer's share
+ */
+const createCommissionRule = async (req, res) => {
+  try {
+    const { serviceItemId, branchId, washerRate, sharesDiscounts, description, effectiveFrom, effectiveTo } = req.body;
+
+    const rate = parseFloat(washerRate);
+    if (isNaN(rate) || rate < 0 || rate > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Washer rate must be a number between 0 and 1'
+      });
+    }
+
+    const fromDate = effectiveFrom ? new Date(effectiveFrom) : new Date();
+    const toDate = effectiveTo ? new Date(effectiveTo) : null;
+
+    if (toDate && toDate <= fromDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'effectiveTo must be later than effectiveFrom'
+      });
+    }
+
+    const serviceItem = await prisma.serviceItem.findUnique({
+      where: { id: serviceItemId }
+    });
+
+    if (!serviceItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service item not found'
+      });
+    }
+
+    if (branchId) {
+      const branch = await prisma.branch.findUnique({
+        where: { id: branchId }
+      });
+
+      if (!branch) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid branch ID'
+        });
+      }
+    }
+
+    const rule = await prisma.$transaction(async (tx) => {
+      const rule = await tx.commissionRule.create({
+        data: {
+          serviceItemId,
+          branchId: branchId || null,
+          washerRate: rate,
+          sharesDiscounts: Boolean(sharesDiscounts),
+          description,
+          effectiveFrom: fromDate,
+          effectiveTo: toDate
+        },
+        include: {
+          serviceItem: {
+            select: {
+              id: true,
+              name: true
+            }
+          },
+          branch: {
+            select: {
+              id: true,
+              name: true,
+              code: true
+            }
+          }
+        }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'create',
+        entity: 'CommissionRule',
+        after: rule
+      });
+
+      return rule;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Commission rule created successfully',
+      data: rule
+    });
+
+  } catch (error) {
+    console.error('Error creating commission rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create commission rule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get commission rules
+ * Query: ?serviceItemId=xxx&branchId=xxx&isActive=true
+ * branchId=global returns only rules that apply to every branch
+ */
+const getCommissionRules = async (req, res) => {
+  try {
+    const { serviceItemId, branchId, isActive } = req.query;
+
+    const where = {};
+
+    if (serviceItemId) {
+      where.serviceItemId = serviceItemId;
+    }
+
+    if (branchId) {
+      where.branchId = branchId === 'global' ? null : branchId;
+    }
+
+    if (isActive !== undefined) {
+      where.isActive = isActive === 'true';
+    }
+
+    const rules = await prisma.commissionRule.findMany({
+      where,
+      include: {
+        serviceItem: {
+          select: {
+            id: true,
+            name: true
+          }
+        },
+        branch: {
+          select: {
+            id: true,
+            name: true,
+            code: true
+          }
+        }
+      },
+      orderBy: [
+        { serviceItemId: 'asc' },
+        { effectiveFrom: 'desc' }
+      ]
+    });
+
+    res.json({
+      success: true,
+      data: rules,
+      count: rules.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching commission rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch commission rules',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get commission rule by ID
+ */
+const getCommissionRuleById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rule = await prisma.commissionRule.findUnique({
+      where: { id },
+      include: {
+        serviceItem: {
+          select: {
+            id: true,
+            name: true,
+            price: true
+          }
+        },
+        branch: {
+          select: {
+            id: true,
+            name: true,
+            code: true
+          }
+        }
+      }
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commission rule not found'
+      });
+    }
+
+    // The item's price at the rule's branch today, from the price history
+    const getPrice = await loadCurrentPrices([{ serviceItemId: rule.serviceItemId, branchId: rule.branchId }]);
+    const price = getPrice(rule.serviceItemId, rule.branchId);
+
+    res.json({
+      success: true,
+      data: price === undefined ? rule : { ...rule, serviceItem: { ...rule.serviceItem, price } }
+    });
+
+  } catch (error) {
+    console.error('Error fetching commission rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch commission rule',
+      error: error.message
+    });
+  }
+};
+
+const ruleInclude = {
+  serviceItem: {
+    select: {
+      id: true,
+      name: true
+    }
+  },
+  branch: {
+    select: {
+      id: true,
+      name: true,
+      code: true
+    }
+  }
+};
+
+/**
+ * Dates that end a rule now (or when it already ended); one that has not started
+ * gets an empty window. Rules resolve by their dates alone, so an ended rule
+ * keeps applying to the washes it covered
+ */
+const endRuleData = (rule, now) => {
+  if (rule.effectiveFrom > now) {
+    return { isActive: false, effectiveTo: rule.effectiveFrom };
+  }
+
+  return {
+    isActive: false,
+    effectiveTo: rule.effectiveTo && rule.effectiveTo < now ? rule.effectiveTo : now
+  };
+};
+
+/**
+ * Whether any washed item was split with this rule
+ */
+const hasAppliedToWashes = async (ruleId) =>
+  Boolean(await prisma.washedItem.findFirst({
+    where: { commissionRuleId: ruleId },
+    select: { id: true }
+  }));
+
+/**
+ * Update commission rule (rate, discount policy, description, effective dates, active flag)
+ * The split of a rule never changes once created: a new rate or discount policy ends
+ * the rule now and starts its next version, so washes before the change (including
+ * ones edited later) keep resolving to the old split
+ */
+const updateCommissionRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { washerRate, sharesDiscounts, description, effectiveFrom, effectiveTo, isActive } = req.body;
+
+    const existingRule = await prisma.commissionRule.findUnique({
+      where: { id }
+    });
+
+    if (!existingRule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commission rule not found'
+      });
+    }
+
+    if (washerRate !== undefined) {
+      const rate = parseFloat(washerRate);
+      if (isNaN(rate) || rate < 0 || rate > 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Washer rate must be a number between 0 and 1'
+        });
+      }
+    }
+
+    const splitChanged = (washerRate !== undefined && parseFloat(washerRate) !== existingRule.washerRate)
+      || (sharesDiscounts !== undefined && sharesDiscounts !== existingRule.sharesDiscounts);
+    const datesChanged = (effectiveFrom && new Date(effectiveFrom).getTime() !== existingRule.effectiveFrom.getTime())
+      || (effectiveTo !== undefined && (effectiveTo ? new Date(effectiveTo).getTime() : null) !== (existingRule.effectiveTo ? existingRule.effectiveTo.getTime() : null));
+
+    const now = new Date();
+
+    if (isActive === true && !existingRule.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'An ended rule cannot be reactivated; create a new rule'
+      });
+    }
+
+    // Moving the dates of a rule in use would move washes to another split
+    if (datesChanged && await hasAppliedToWashes(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This rule has applied to car washes, so its dates cannot change; delete it to end it now, or create a new rule'
+      });
+    }
+
+    if (splitChanged && effectiveFrom) {
+      return res.status(400).json({
+        success: false,
+        message: 'A new rate or discount policy starts now; create a new rule to schedule one'
+      });
+    }
+
+    if (splitChanged && (!existingRule.isActive || (existingRule.effectiveTo && existingRule.effectiveTo <= now))) {
+      return res.status(400).json({
+        success: false,
+        message: 'This rule has ended; create a new rule to change its split'
+      });
+    }
+
+    // The next version starts now, or when the rule was due to start if that is later
+    const fromDate = splitChanged
+      ? (existingRule.effectiveFrom > now ? existingRule.effectiveFrom : now)
+      : (effectiveFrom ? new Date(effectiveFrom) : existingRule.effectiveFrom);
+    const toDate = effectiveTo !== undefined
+      ? (effectiveTo ? new Date(effectiveTo) : null)
+      : existingRule.effectiveTo;
+
+    if (toDate && toDate <= fromDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'effectiveTo must be later than effectiveFrom'
+      });
+    }
+
+    const rule = await prisma.$transaction(async (tx) => {
+      if (!splitChanged) {
+        const rule = await tx.commissionRule.update({
+          where: { id },
+          data: {
+            ...(description !== undefined && { description }),
+            ...(effectiveFrom && { effectiveFrom: fromDate }),
+            ...(effectiveTo !== undefined && { effectiveTo: toDate }),
+            ...(isActive === false && existingRule.isActive && endRuleData(existingRule, now))
+          },
+          include: ruleInclude
+        });
+
+        await recordAudit(tx, req, {
+          action: 'update',
+          entity: 'CommissionRule',
+          before: existingRule,
+          after: rule
+        });
+
+        return rule;
+      }
+
+      const endedRule = await tx.commissionRule.update({
+        where: { id },
+        data: endRuleData(existingRule, now)
+      });
+
+      await recordAudit(tx, req, {
+        action: 'update',
+        entity: 'CommissionRule',
+        before: existingRule,
+        after: endedRule
+      });
+
+      const rule = await tx.commissionRule.create({
+        data: {
+          serviceItemId: existingRule.serviceItemId,
+          branchId: existingRule.branchId,
+          washerRate: washerRate !== undefined ? parseFloat(washerRate) : existingRule.washerRate,
+          sharesDiscounts: sharesDiscounts !== undefined ? sharesDiscounts : existingRule.sharesDiscounts,
+          version: existingRule.version + 1,
+          description: description !== undefined ? description : existingRule.description,
+          effectiveFrom: fromDate,
+          effectiveTo: toDate
+        },
+        include: ruleInclude
+      });
+
+      await recordAudit(tx, req, {
+        action: 'create',
+        entity: 'CommissionRule',
+        after: rule,
+        metadata: { previousRuleId: id }
+      });
+
+      return rule;
+    });
+
+    res.json({
+      success: true,
+      message: splitChanged
+        ? `Commission rule updated; version ${rule.version} applies from ${rule.effectiveFrom.toISOString()}`
+        : 'Commission rule updated successfully',
+      data: rule
+    });
+
+  } catch (error) {
+    console.error('Error updating commission rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update commission rule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete commission rule (soft delete: the rule ends now and is marked inactive,
+ * but still applies to the washes it covered)
+ */
+const deleteCommissionRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rule = await prisma.$transaction(async (tx) => {
+      const existingRule = await tx.commissionRule.findUnique({ where: { id } });
+
+      if (!existingRule) return null;
+
+      const rule = await tx.commissionRule.update({
+        where: { id },
+        data: endRuleData(existingRule, new Date())
+      });
+
+      await recordAudit(tx, req, {
+        action: 'delete',
+        entity: 'CommissionRule',
+        before: existingRule,
+        after: rule
+      });
+
+      return rule;
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commission rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Commission rule deactivated successfully',
+      data: rule
+    });
+
+  } catch (error) {
+    console.error('Error deleting commission rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate commission rule',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createCommissionRule,
+  getCommissionRules,
+  getCommissionRuleById,
+  updateCommissionRule,
+  deleteCommissionRule
+};
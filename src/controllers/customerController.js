@@ -0,0 +1,447 @@
+const prisma = require('../config/database');
+const { recordAudit } = require('../services/auditService');
+const { normalizePhone, normalizePlate, getVisitStats } = require('../services/customerService');
+const { getLoyaltyStatus } = require('../services/loyaltyService');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Most recent visits shown on a customer or vehicle
+const VISIT_HISTORY_LIMIT = 50;
+
+/**
+ * Read ?page=&limit= with sane bounds
+ */
+const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Visit history for a customer or vehicle in the active branch (every branch for "all")
+ */
+const getVisitHistory = (where, branchFilter) => prisma.carWash.findMany({
+  where: {
+    ...where,
+    isVoided: false,
+    ...branchFilter
+  },
+  select: {
+    id: true,
+    carNumber: true,
+    carModel: true,
+    totalAmount: true,
+    paymentMethod: true,
+    washDate: true,
+    branch: {
+      select: {
+        id: true,
+        name: true,
+        code: true
+      }
+    },
+    washedItems: {
+      select: {
+        price: true,
+        serviceItem: {
+          select: {
+            id: true,
+            name: true
+          }
+        },
+        washer: {
+          select: {
+            id: true,
+            name: true
+          }
+        }
+      }
+    }
+  },
+  orderBy: { washDate: 'desc' },
+  take: VISIT_HISTORY_LIMIT
+});
+
+// ============ CUSTOMER CONTROLLER ============
+
+/**
+ * Get customers with visit stats (stats cover the active branch)
+ * Query: ?search=name|phone|plate&page=1&limit=50
+ */
+const getCustomers = async (req, res) => {
+  try {
+    const { search } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+
+    const where = {};
+
+    if (search) {
+      const phone = normalizePhone(search);
+      const plate = normalizePlate(search);
+
+      where.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        ...(phone ? [{ normalizedPhone: { contains: phone } }] : []),
+        ...(plate ? [{ vehicles: { some: { normalizedPlate: { contains: plate } } } }] : [])
+      ];
+    }
+
+    const [customers, total] = await Promise.all([
+      prisma.customer.findMany({
+        where,
+        include: {
+          vehicles: {
+            select: {
+              id: true,
+              plateNumber: true,
+              model: true
+            }
+          }
+        },
+        orderBy: { updatedAt: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.customer.count({ where })
+    ]);
+
+    const stats = await getVisitStats({
+      field: 'customerId',
+      ids: customers.map(customer => customer.id),
+      branchFilter: req.branchFilter
+    });
+
+    res.json({
+      success: true,
+      data: customers.map(customer => ({ ...customer, ...stats[customer.id] })),
+      count: customers.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching customers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch customers',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a customer with vehicles, visit stats, loyalty balances and visit history
+ */
+const getCustomerById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const customer = await prisma.customer.findUnique({
+      where: { id },
+      include: {
+        vehicles: {
+          select: {
+            id: true,
+            plateNumber: true,
+            model: true
+          }
+        }
+      }
+    });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const [stats, loyalty, visits] = await Promise.all([
+      getVisitStats({ field: 'customerId', ids: [id], branchFilter: req.branchFilter }),
+      getLoyaltyStatus({ customerId: id, branchId: req.branchId }),
+      getVisitHistory({ customerId: id }, req.branchFilter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...customer,
+        ...stats[id],
+        loyalty,
+        visits
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching customer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch customer',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a customer's name or phone
+ */
+const updateCustomer = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, phone } = req.body;
+
+    const existingCustomer = await prisma.customer.findUnique({ where: { id } });
+
+    if (!existingCustomer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const normalizedPhone = phone !== undefined ? normalizePhone(phone) : undefined;
+
+    if (normalizedPhone) {
+      const duplicate = await prisma.customer.findFirst({
+        where: { normalizedPhone, id: { not: id } }
+      });
+
+      if (duplicate) {
+        return res.status(400).json({
+          success: false,
+          message: 'Another customer already has this phone number'
+        });
+      }
+    }
+
+    const customer = await prisma.$transaction(async (tx) => {
+      const customer = await tx.customer.update({
+        where: { id },
+        data: {
+          ...(name !== undefined && { name }),
+          ...(phone !== undefined && { phone, normalizedPhone })
+        }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'update',
+        entity: 'Customer',
+        before: existingCustomer,
+        after: customer
+      });
+
+      return customer;
+    });
+
+    res.json({
+      success: true,
+      message: 'Customer updated successfully',
+      data: customer
+    });
+
+  } catch (error) {
+    console.error('Error updating customer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update customer',
+      error: error.message
+    });
+  }
+};
+
+// ============ VEHICLE CONTROLLER ============
+
+/**
+ * Get vehicles with visit stats (stats cover the active branch)
+ * Query: ?search=plate|model&page=1&limit=50
+ */
+const getVehicles = async (req, res) => {
+  try {
+    const { search } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+
+    const where = {};
+
+    if (search) {
+      const plate = normalizePlate(search);
+
+      where.OR = [
+        ...(plate ? [{ normalizedPlate: { contains: plate } }] : []),
+        { model: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+
+    const [vehicles, total] = await Promise.all([
+      prisma.vehicle.findMany({
+        where,
+        include: {
+          customer: {
+            select: {
+              id: true,
+              name: true,
+              phone: true
+            }
+          }
+        },
+        orderBy: { updatedAt: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.vehicle.count({ where })
+    ]);
+
+    const stats = await getVisitStats({
+      field: 'vehicleId',
+      ids: vehicles.map(vehicle => vehicle.id),
+      branchFilter: req.branchFilter
+    });
+
+    res.json({
+      success: true,
+      data: vehicles.map(vehicle => ({ ...vehicle, ...stats[vehicle.id] })),
+      count: vehicles.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching vehicles:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch vehicles',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Look up a vehicle by plate number (front desk check-in)
+ * Includes the customer's loyalty balances so rewards can be offered
+ * Query: ?plate=LAG-123-AB
+ */
+const lookupVehicle = async (req, res) => {
+  try {
+    const normalizedPlate = normalizePlate(req.query.plate);
+
+    if (!normalizedPlate) {
+      return res.status(400).json({
+        success: false,
+        message: 'A plate number is required'
+      });
+    }
+
+    const vehicle = await prisma.vehicle.findUnique({
+      where: { normalizedPlate },
+      include: {
+        customer: {
+          select: {
+            id: true,
+            name: true,
+            phone: true
+          }
+        }
+      }
+    });
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'No vehicle found with this plate number'
+      });
+    }
+
+    const [stats, loyalty] = await Promise.all([
+      getVisitStats({ field: 'vehicleId', ids: [vehicle.id], branchFilter: req.branchFilter }),
+      vehicle.customerId ? getLoyaltyStatus({ customerId: vehicle.customerId, branchId: req.branchId }) : null
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...vehicle,
+        ...stats[vehicle.id],
+        loyalty
+      }
+    });
+
+  } catch (error) {
+    console.error('Error looking up vehicle:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up vehicle',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a vehicle with its customer, visit stats and visit history
+ */
+const getVehicleById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const vehicle = await prisma.vehicle.findUnique({
+      where: { id },
+      include: {
+        customer: {
+          select: {
+            id: true,
+            name: true,
+            phone: true
+          }
+        }
+      }
+    });
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    const [stats, visits] = await Promise.all([
+      getVisitStats({ field: 'vehicleId', ids: [id], branchFilter: req.branchFilter }),
+      getVisitHistory({ vehicleId: id }, req.branchFilter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...vehicle,
+        ...stats[id],
+        visits
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching vehicle:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch vehicle',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  // Customer exports
+  getCustomers,
+  getCustomerById,
+  updateCustomer,
+
+  // Vehicle exports
+  getVehicles,
+  lookupVehicle,
+  getVehicleById
+};
@@ -0,0 +1,326 @@
+const prisma = require('../config/database');
+const { parseDateRange, toSummaryDate, formatDate } = require('../utils/dateRange');
+const { badRequest } = require('../utils/errors');
+const { recordAudit } = require('../services/auditService');
+const { findClosedDay, closeDay, reopenDay, rebuildDailySummaries } = require('../services/summaryService');
+const { getRequestTimeZone } = require('../services/branchAccessService');
+
+const dayInclude = {
+  branch: {
+    select: {
+      id: true,
+      name: true,
+      code: true
+    }
+  },
+  closedBy: {
+    select: {
+      id: true,
+      name: true
+    }
+  },
+  reopenedBy: {
+    select: {
+      id: true,
+      name: true
+    }
+  }
+};
+
+/**
+ * Get days with their totals and close status (active branch, or all branches for owners)
+ * Query: ?date=YYYY-MM-DD or ?from=YYYY-MM-DD&to=YYYY-MM-DD, optional &isClosed=true
+ */
+const getDays = async (req, res) => {
+  try {
+    const range = parseDateRange(req.query, getRequestTimeZone(req));
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    const where = {
+      ...req.branchFilter,
+      date: {
+        gte: toSummaryDate(range.from),
+        lte: toSummaryDate(range.to)
+      }
+    };
+
+    if (req.query.isClosed !== undefined) {
+      where.isClosed = req.query.isClosed === 'true';
+    }
+
+    const days = await prisma.companyDailySummary.findMany({
+      where,
+      include: dayInclude,
+      orderBy: [{ date: 'desc' }, { branchId: 'asc' }]
+    });
+
+    res.json({
+      success: true,
+      data: days,
+      count: days.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching days:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch days',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Close a day for user's branch: its summaries are recomputed one last time and frozen,
+ * and no car wash can be added, backdated into, edited or voided on it until it is reopened
+ * Body: { date? } - defaults to today; days after today cannot be closed
+ */
+const closeBranchDay = async (req, res) => {
+  try {
+    const branchId = req.branchId;
+    const timeZone = getRequestTimeZone(req);
+
+    const range = parseDateRange({ date: req.body.date }, timeZone);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    if (range.from > formatDate(new Date(), timeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Days after today cannot be closed'
+      });
+    }
+
+    if (await findClosedDay({ branchId, date: range.from })) {
+      return res.status(400).json({
+        success: false,
+        message: `${range.from} is already closed`
+      });
+    }
+
+    const day = await prisma.$transaction(async (tx) => {
+      const closedDay = await closeDay(tx, { branchId, date: range.from, closedById: req.user.id });
+      if (!closedDay) {
+        throw badRequest(`${range.from} is already closed`);
+      }
+
+      const day = await tx.companyDailySummary.findUnique({
+        where: { id: closedDay.id },
+        include: dayInclude
+      });
+
+      await recordAudit(tx, req, {
+        action: 'update',
+        entity: 'CompanyDailySummary',
+        entityId: day.id,
+        after: day,
+        metadata: { operation: 'close' }
+      });
+
+      return day;
+    });
+
+    res.json({
+      success: true,
+      message: `${range.from} closed successfully`,
+      data: day
+    });
+
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error closing day:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close day',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reopen a closed day for user's branch so its records can change again
+ * Body: { date, reason }
+ */
+const reopenBranchDay = async (req, res) => {
+  try {
+    const branchId = req.branchId;
+    const { reason } = req.body;
+
+    const range = parseDateRange({ date: req.body.date }, getRequestTimeZone(req));
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    const closedDay = await findClosedDay({ branchId, date: range.from });
+
+    if (!closedDay) {
+      return res.status(400).json({
+        success: false,
+        message: `${range.from} is not closed`
+      });
+    }
+
+    const day = await prisma.$transaction(async (tx) => {
+      const reopenedDay = await reopenDay(tx, {
+        branchId,
+        date: range.from,
+        reopenedById: req.user.id,
+        reason: reason.trim()
+      });
+      if (!reopenedDay) {
+        throw badRequest(`${range.from} is not closed`);
+      }
+
+      const day = await tx.companyDailySummary.findUnique({
+        where: { id: closedDay.id },
+        include: dayInclude
+      });
+
+      await recordAudit(tx, req, {
+        action: 'update',
+        entity: 'CompanyDailySummary',
+        entityId: day.id,
+        before: closedDay,
+        after: day,
+        metadata: { operation: 'reopen', reason: reason.trim() }
+      });
+
+      return day;
+    });
+
+    res.json({
+      success: true,
+      message: `${range.from} reopened successfully`,
+      data: day
+    });
+
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error reopening day:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reopen day',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Check (and with fix, rebuild) summaries over a date range for the active branch,
+ * or every active branch when viewing all branches
+ * Returns { from, to, branches, driftedDays, fixedDays } or { error }
+ */
+const checkBranchSummaries = async (req, params, { fix }) => {
+  const range = parseDateRange(params, getRequestTimeZone(req));
+  if (range.error) {
+    return { error: range.error };
+  }
+
+  const branchIds = req.branchId
+    ? [req.branchId]
+    : (await prisma.branch.findMany({ where: { isActive: true }, select: { id: true } })).map(branch => branch.id);
+
+  const branches = [];
+  for (const branchId of branchIds) {
+    branches.push(await rebuildDailySummaries({ branchId, from: range.from, to: range.to, fix, req }));
+  }
+
+  return {
+    from: range.from,
+    to: range.to,
+    branches,
+    driftedDays: branches.reduce((sum, branch) => sum + branch.drift.length, 0),
+    fixedDays: branches.reduce((sum, branch) => sum + branch.fixed, 0)
+  };
+};
+
+/**
+ * Compare stored summaries with counts rebuilt from the car wash records, without changing anything
+ * Query: ?date=YYYY-MM-DD or ?from=YYYY-MM-DD&to=YYYY-MM-DD (defaults to today)
+ */
+const getSummaryDrift = async (req, res) => {
+  try {
+    const result = await checkBranchSummaries(req, req.query, { fix: false });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error checking summaries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check summaries',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Rebuild drifted summaries from the car wash records (closed days are reported, not changed)
+ * Body: { date? } or { from, to } (defaults to today)
+ */
+const rebuildSummaries = async (req, res) => {
+  try {
+    const result = await checkBranchSummaries(req, req.body, { fix: true });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${result.fixedDays} day(s) rebuilt`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error rebuilding summaries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rebuild summaries',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getDays,
+  closeBranchDay,
+  reopenBranchDay,
+  getSummaryDrift,
+  rebuildSummaries
+};
@@ -1,4 +1,15 @@
 const prisma = require('../config/database');
+const { SPECIALIST_FALLBACKS, normalizeCategory, getSpecialistCategory } = require('../services/specialistService');
+const { recordAudit } = require('../services/auditService');
+const {
+  findPriceAt,
+  resolveServiceItem,
+  getBranchServiceItems,
+  loadCurrentPrices,
+  schedulePriceChange,
+  endBranchPrice,
+  cancelScheduledPrice
+} = require('../services/pricingService');
 
 // ============ WASHER CONTROLLER ============
 
@@ -8,7 +19,7 @@ const prisma = require('../config/database');
 const createWasher = async (req, res) => {
   try {
     const { name, phone } = req.body;
-    const branchId = req.user.branchId; // Get branch from authenticated user
+    const branchId = req.branchId; // Active branch (see filterByBranch)
 
     // Validate required fields
     if (!name) {
@@ -34,21 +45,31 @@ const createWasher = async (req, res) => {
     }
 
     // Create washer with branch assignment
-    const washer = await prisma.washer.create({
-      data: {
-        name,
-        phone,
-        branchId
-      },
-      include: {
-        branch: {
-          select: {
-            id: true,
-            name: true,
-            code: true
+    const washer = await prisma.$transaction(async (tx) => {
+      const washer = await tx.washer.create({
+        data: {
+          name,
+          phone,
+          branchId
+        },
+        include: {
+          branch: {
+            select: {
+              id: true,
+              name: true,
+              code: true
+            }
           }
         }
-      }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'create',
+        entity: 'Washer',
+        after: washer
+      });
+
+      return washer;
     });
 
     res.status(201).json({
@@ -73,10 +94,9 @@ const createWasher = async (req, res) => {
 const getAllWashers = async (req, res) => {
   try {
     const { isActive } = req.query;
-    const branchId = req.user.branchId;
 
     const where = {
-      branchId // Filter by user's branch
+      ...req.branchFilter // Active branch, or every branch for owners viewing "all"
     };
     
     if (isActive !== undefined) {
@@ -125,12 +145,11 @@ const getAllWashers = async (req, res) => {
 const getWasherById = async (req, res) => {
   try {
     const { id } = req.params;
-    const branchId = req.user.branchId;
 
     const washer = await prisma.washer.findFirst({
       where: {
         id,
-        branchId
+        ...req.branchFilter
       },
       include: {
         branch: {
@@ -179,7 +198,7 @@ const updateWasher = async (req, res) => {
   try {
     const { id } = req.params;
     const { name, phone, isActive } = req.body;
-    const branchId = req.user.branchId;
+    const branchId = req.branchId;
 
     // Verify washer belongs to user's branch
     const existingWasher = await prisma.washer.findFirst({
@@ -211,22 +230,33 @@ const updateWasher = async (req, res) => {
       }
     }
 
-    const washer = await prisma.washer.update({
-      where: { id },
-      data: {
-        ...(name && { name }),
-        ...(phone !== undefined && { phone }),
-        ...(isActive !== undefined && { isActive })
-      },
-      include: {
-        branch: {
-          select: {
-            id: true,
-            name: true,
-            code: true
+    const washer = await prisma.$transaction(async (tx) => {
+      const washer = await tx.washer.update({
+        where: { id },
+        data: {
+          ...(name && { name }),
+          ...(phone !== undefined && { phone }),
+          ...(isActive !== undefined && { isActive })
+        },
+        include: {
+          branch: {
+            select: {
+              id: true,
+              name: true,
+              code: true
+            }
           }
         }
-      }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'update',
+        entity: 'Washer',
+        before: existingWasher,
+        after: washer
+      });
+
+      return washer;
     });
 
     res.json({
@@ -252,7 +282,7 @@ const updateWasher = async (req, res) => {
 const deleteWasher = async (req, res) => {
   try {
     const { id } = req.params;
-    const branchId = req.user.branchId;
+    const branchId = req.branchId;
 
     // Verify washer belongs to user's branch
     const washer = await prisma.washer.findFirst({
@@ -266,9 +296,20 @@ const deleteWasher = async (req, res) => {
       });
     }
 
-    const updatedWasher = await prisma.washer.update({
-      where: { id },
-      data: { isActive: false }
+    const updatedWasher = await prisma.$transaction(async (tx) => {
+      const updatedWasher = await tx.washer.update({
+        where: { id },
+        data: { isActive: false }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'delete',
+        entity: 'Washer',
+        before: washer,
+        after: updatedWasher
+      });
+
+      return updatedWasher;
     });
 
     res.json({
@@ -287,15 +328,203 @@ const deleteWasher = async (req, res) => {
   }
 };
 
+// ============ SPECIALIST CONTROLLER ============
+
+/**
+ * Get specialists in user's branch
+ * Query: ?category=engine
+ */
+const getSpecialists = async (req, res) => {
+  try {
+    const { category } = req.query;
+
+    const where = {
+      ...req.branchFilter,
+      isActive: true
+    };
+
+    if (category) {
+      where.category = normalizeCategory(category);
+    }
+
+    const specialties = await prisma.washerSpecialty.findMany({
+      where,
+      include: {
+        washer: {
+          select: {
+            id: true,
+            name: true,
+            phone: true,
+            isActive: true
+          }
+        }
+      },
+      orderBy: [
+        { category: 'asc' },
+        { lastAssignedAt: { sort: 'asc', nulls: 'first' } }
+      ]
+    });
+
+    res.json({
+      success: true,
+      data: specialties,
+      count: specialties.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching specialists:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch specialists',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Certify a washer as a specialist for an item category (only if in user's branch)
+ */
+const addWasherSpecialty = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const category = normalizeCategory(req.body.category);
+    const branchId = req.branchId;
+
+    // Verify washer belongs to user's branch
+    const washer = await prisma.washer.findFirst({
+      where: { id, branchId }
+    });
+
+    if (!washer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Washer not found in your branch'
+      });
+    }
+
+    // Reactivate an existing certification instead of duplicating it
+    const specialty = await prisma.$transaction(async (tx) => {
+      const specialty = await tx.washerSpecialty.upsert({
+        where: {
+          washerId_category: {
+            washerId: id,
+            category
+          }
+        },
+        update: { isActive: true },
+        create: {
+          washerId: id,
+          branchId,
+          category
+        },
+        include: {
+          washer: {
+            select: {
+              id: true,
+              name: true
+            }
+          }
+        }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'create',
+        entity: 'WasherSpecialty',
+        after: specialty
+      });
+
+      return specialty;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${washer.name} is now a "${category}" specialist`,
+      data: specialty
+    });
+
+  } catch (error) {
+    console.error('Error adding washer specialty:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add washer specialty',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a washer's specialist certification (soft delete)
+ */
+const removeWasherSpecialty = async (req, res) => {
+  try {
+    const { id, category } = req.params;
+    const branchId = req.branchId;
+
+    const specialty = await prisma.washerSpecialty.findFirst({
+      where: {
+        washerId: id,
+        category: normalizeCategory(category),
+        branchId
+      }
+    });
+
+    if (!specialty) {
+      return res.status(404).json({
+        success: false,
+        message: 'Specialty not found for this washer in your branch'
+      });
+    }
+
+    const updatedSpecialty = await prisma.$transaction(async (tx) => {
+      const updatedSpecialty = await tx.washerSpecialty.update({
+        where: { id: specialty.id },
+        data: { isActive: false }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'delete',
+        entity: 'WasherSpecialty',
+        before: specialty,
+        after: updatedSpecialty
+      });
+
+      return updatedSpecialty;
+    });
+
+    res.json({
+      success: true,
+      message: 'Washer specialty removed successfully',
+      data: updatedSpecialty
+    });
+
+  } catch (error) {
+    console.error('Error removing washer specialty:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove washer specialty',
+      error: error.message
+    });
+  }
+};
+
 // ============ SERVICE ITEM CONTROLLER ============
 // Service items are GLOBAL - shared across all branches
 
+/**
+ * Show a service item's global price as of now, from the price history
+ */
+const withCurrentPrice = async (serviceItem) => {
+  const getPrice = await loadCurrentPrices([{ serviceItemId: serviceItem.id }]);
+  const price = getPrice(serviceItem.id);
+  return price === undefined ? serviceItem : { ...serviceItem, price };
+};
+
 /**
  * Create a new service item (global, not branch-specific)
  */
 const createServiceItem = async (req, res) => {
   try {
-    const { name, description, price } = req.body;
+    const { name, description, price, washerRate, requiresSpecialist, specialistCategory, specialistFallback } = req.body;
 
     // Validate required fields
     if (!name) {
@@ -315,12 +544,58 @@ const createServiceItem = async (req, res) => {
       });
     }
 
-    const serviceItem = await prisma.serviceItem.create({
-      data: {
-        name,
-        description,
-        price: priceValue
-      }
+    if (specialistFallback !== undefined && !SPECIALIST_FALLBACKS.includes(specialistFallback)) {
+      return res.status(400).json({
+        success: false,
+        message: `Specialist fallback must be one of: ${SPECIALIST_FALLBACKS.join(', ')}`
+      });
+    }
+
+    // Optional washer rate creates the item's global commission rule
+    const rateValue = washerRate !== undefined ? parseFloat(washerRate) : undefined;
+
+    if (rateValue !== undefined && (isNaN(rateValue) || rateValue < 0 || rateValue > 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Washer rate must be a number between 0 and 1'
+      });
+    }
+
+    const serviceItem = await prisma.$transaction(async (tx) => {
+      const serviceItem = await tx.serviceItem.create({
+        data: {
+          name,
+          description,
+          price: priceValue,
+          ...(requiresSpecialist !== undefined && { requiresSpecialist }),
+          ...(specialistCategory && { specialistCategory: normalizeCategory(specialistCategory) }),
+          ...(specialistFallback && { specialistFallback }),
+          ...(rateValue !== undefined && {
+            commissionRules: {
+              create: { washerRate: rateValue }
+            }
+          }),
+          // First entry of the item's price history
+          prices: {
+            create: {
+              price: priceValue,
+              effectiveFrom: new Date(),
+              createdById: req.user.id
+            }
+          }
+        },
+        include: {
+          commissionRules: true
+        }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'create',
+        entity: 'ServiceItem',
+        after: serviceItem
+      });
+
+      return serviceItem;
     });
 
     res.status(201).json({
@@ -349,30 +624,39 @@ const createServiceItem = async (req, res) => {
 };
 
 /**
- * Get all service items (global, available to all branches)
+ * Get all service items with the active branch's prices and availability
+ * Items not offered at the branch are hidden unless ?includeUnavailable=true
  */
 const getAllServiceItems = async (req, res) => {
   try {
-    const { isActive } = req.query;
+    const { isActive, includeUnavailable } = req.query;
 
     const where = {};
     if (isActive !== undefined) {
       where.isActive = isActive === 'true';
     }
 
-    const serviceItems = await prisma.serviceItem.findMany({
+    // Prices and availability for the active branch (global defaults for "all")
+    const branchServiceItems = await getBranchServiceItems({
+      branchId: req.branchId,
       where,
-      orderBy: { name: 'asc' },
       select: {
         id: true,
         name: true,
         description: true,
         price: true,
         isActive: true,
+        requiresSpecialist: true,
+        specialistCategory: true,
+        specialistFallback: true,
         createdAt: true
       }
     });
 
+    const serviceItems = includeUnavailable === 'true'
+      ? branchServiceItems
+      : branchServiceItems.filter(item => item.isAvailable);
+
     res.json({
       success: true,
       data: serviceItems,
@@ -390,7 +674,7 @@ const getAllServiceItems = async (req, res) => {
 };
 
 /**
- * Get service item by ID
+ * Get service item by ID (price and availability for the active branch)
  */
 const getServiceItemById = async (req, res) => {
   try {
@@ -414,9 +698,29 @@ const getServiceItemById = async (req, res) => {
       });
     }
 
+    const [override, prices] = await Promise.all([
+      req.branchId
+        ? prisma.branchServiceItem.findUnique({
+          where: {
+            branchId_serviceItemId: {
+              branchId: req.branchId,
+              serviceItemId: id
+            }
+          }
+        })
+        : null,
+      prisma.servicePrice.findMany({
+        where: {
+          serviceItemId: id,
+          OR: req.branchId ? [{ branchId: req.branchId }, { branchId: null }] : [{ branchId: null }]
+        },
+        orderBy: { effectiveFrom: 'desc' }
+      })
+    ]);
+
     res.json({
       success: true,
-      data: serviceItem
+      data: resolveServiceItem(serviceItem, { branchId: req.branchId, override, prices })
     });
 
   } catch (error) {
@@ -429,13 +733,85 @@ const getServiceItemById = async (req, res) => {
   }
 };
 
+/**
+ * Get specialist routing for a service item and the certified washers in user's branch
+ */
+const getServiceItemSpecialists = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const serviceItem = await prisma.serviceItem.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        name: true,
+        requiresSpecialist: true,
+        specialistCategory: true,
+        specialistFallback: true
+      }
+    });
+
+    if (!serviceItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service item not found'
+      });
+    }
+
+    const category = getSpecialistCategory(serviceItem);
+
+    const specialists = await prisma.washerSpecialty.findMany({
+      where: {
+        ...req.branchFilter,
+        category,
+        isActive: true,
+        washer: { isActive: true }
+      },
+      include: {
+        washer: {
+          select: {
+            id: true,
+            name: true,
+            phone: true
+          }
+        }
+      },
+      orderBy: { lastAssignedAt: { sort: 'asc', nulls: 'first' } }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        serviceItem,
+        category,
+        specialists
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching service item specialists:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch service item specialists',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Update service item
  */
 const updateServiceItem = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, price, isActive } = req.body;
+    const { name, description, price, effectiveFrom, priceNote, isActive, requiresSpecialist, specialistCategory, specialistFallback } = req.body;
+
+    if (specialistFallback !== undefined && !SPECIALIST_FALLBACKS.includes(specialistFallback)) {
+      return res.status(400).json({
+        success: false,
+        message: `Specialist fallback must be one of: ${SPECIALIST_FALLBACKS.join(', ')}`
+      });
+    }
 
     // Validate price if provided
     if (price !== undefined) {
@@ -448,20 +824,55 @@ const updateServiceItem = async (req, res) => {
       }
     }
 
-    const serviceItem = await prisma.serviceItem.update({
-      where: { id },
-      data: {
-        ...(name && { name }),
-        ...(description !== undefined && { description }),
-        ...(price !== undefined && { price: parseFloat(price) }),
-        ...(isActive !== undefined && { isActive })
+    if (effectiveFrom !== undefined && (price === undefined || isNaN(new Date(effectiveFrom).getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'effectiveFrom must be a valid date and requires a price'
+      });
+    }
+
+    const serviceItem = await prisma.$transaction(async (tx) => {
+      const existingItem = await tx.serviceItem.findUnique({ where: { id } });
+
+      // Price changes go through the price history; a future effectiveFrom schedules the change
+      if (price !== undefined && existingItem) {
+        await schedulePriceChange(tx, {
+          serviceItemId: id,
+          price: parseFloat(price),
+          effectiveFrom,
+          note: priceNote,
+          createdById: req.user.id
+        });
       }
+
+      const serviceItem = await tx.serviceItem.update({
+        where: { id },
+        data: {
+          ...(name && { name }),
+          ...(description !== undefined && { description }),
+          ...(isActive !== undefined && { isActive }),
+          ...(requiresSpecialist !== undefined && { requiresSpecialist }),
+          ...(specialistCategory !== undefined && {
+            specialistCategory: specialistCategory ? normalizeCategory(specialistCategory) : null
+          }),
+          ...(specialistFallback !== undefined && { specialistFallback })
+        }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'update',
+        entity: 'ServiceItem',
+        before: existingItem,
+        after: serviceItem
+      });
+
+      return serviceItem;
     });
 
     res.json({
       success: true,
       message: 'Service item updated successfully',
-      data: serviceItem
+      data: await withCurrentPrice(serviceItem)
     });
 
   } catch (error) {
@@ -496,15 +907,28 @@ const deleteServiceItem = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const serviceItem = await prisma.serviceItem.update({
-      where: { id },
-      data: { isActive: false }
+    const serviceItem = await prisma.$transaction(async (tx) => {
+      const existingItem = await tx.serviceItem.findUnique({ where: { id } });
+
+      const serviceItem = await tx.serviceItem.update({
+        where: { id },
+        data: { isActive: false }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'delete',
+        entity: 'ServiceItem',
+        before: existingItem,
+        after: serviceItem
+      });
+
+      return serviceItem;
     });
 
     res.json({
       success: true,
       message: 'Service item deactivated successfully',
-      data: serviceItem
+      data: await withCurrentPrice(serviceItem)
     });
 
   } catch (error) {
@@ -525,6 +949,370 @@ const deleteServiceItem = async (req, res) => {
   }
 };
 
+// ============ SERVICE PRICE HISTORY CONTROLLER ============
+
+/**
+ * Get a service item's price history, including scheduled changes
+ * Shows global prices and the active branch's overrides (every branch for "all")
+ */
+const getServiceItemPriceHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const serviceItem = await prisma.serviceItem.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        name: true,
+        price: true
+      }
+    });
+
+    if (!serviceItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service item not found'
+      });
+    }
+
+    const entries = await prisma.servicePrice.findMany({
+      where: {
+        serviceItemId: id,
+        ...(req.branchId && { OR: [{ branchId: req.branchId }, { branchId: null }] })
+      },
+      include: {
+        branch: {
+          select: {
+            id: true,
+            name: true,
+            code: true
+          }
+        },
+        createdBy: {
+          select: {
+            id: true,
+            name: true
+          }
+        }
+      },
+      orderBy: [{ branchId: 'asc' }, { effectiveFrom: 'desc' }]
+    });
+
+    const now = new Date();
+    const current = findPriceAt(entries, { serviceItemId: id, date: now });
+    const history = entries.map(entry => ({
+      ...entry,
+      status: entry.effectiveFrom > now
+        ? 'scheduled'
+        : (!entry.effectiveTo || entry.effectiveTo > now ? 'current' : 'past')
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        serviceItem: {
+          ...serviceItem,
+          price: current ? current.price : serviceItem.price
+        },
+        history
+      },
+      count: history.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching price history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch price history',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Cancel a scheduled price change (only changes that have not taken effect yet)
+ */
+const cancelScheduledPriceChange = async (req, res) => {
+  try {
+    const { id, priceId } = req.params;
+
+    const entry = await prisma.servicePrice.findFirst({
+      where: { id: priceId, serviceItemId: id }
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price entry not found'
+      });
+    }
+
+    if (entry.effectiveFrom <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only scheduled price changes can be cancelled; this price is already in effect'
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await cancelScheduledPrice(tx, entry);
+
+      await recordAudit(tx, req, {
+        action: 'delete',
+        entity: 'ServicePrice',
+        branchId: entry.branchId,
+        before: entry
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Scheduled price change cancelled successfully'
+    });
+
+  } catch (error) {
+    console.error('Error cancelling scheduled price change:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel scheduled price change',
+      error: error.message
+    });
+  }
+};
+
+// ============ BRANCH SERVICE ITEM CONTROLLER ============
+
+/**
+ * Get a service item's price and availability at every branch
+ */
+const getServiceItemBranchSettings = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const serviceItem = await prisma.serviceItem.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        name: true,
+        price: true,
+        isActive: true
+      }
+    });
+
+    if (!serviceItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service item not found'
+      });
+    }
+
+    const [branches, overrides, prices] = await Promise.all([
+      prisma.branch.findMany({
+        where: { isActive: true },
+        select: {
+          id: true,
+          name: true,
+          code: true
+        },
+        orderBy: { name: 'asc' }
+      }),
+      prisma.branchServiceItem.findMany({
+        where: { serviceItemId: id }
+      }),
+      prisma.servicePrice.findMany({
+        where: { serviceItemId: id },
+        orderBy: { effectiveFrom: 'desc' }
+      })
+    ]);
+
+    const overrideMap = Object.fromEntries(overrides.map(override => [override.branchId, override]));
+
+    const branchSettings = branches.map(branch => {
+      const resolved = resolveServiceItem(serviceItem, {
+        branchId: branch.id,
+        override: overrideMap[branch.id],
+        prices
+      });
+      return {
+        branch,
+        price: resolved.price,
+        hasBranchPrice: resolved.hasBranchPrice,
+        isAvailable: resolved.isAvailable
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        serviceItem,
+        branches: branchSettings
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching service item branch settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch service item branch settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Set a branch's price override and/or availability for a service item
+ * Body: { price?, isAvailable?, effectiveFrom?, note? }
+ * price null ends the override (global price applies); a future effectiveFrom schedules the change
+ */
+const setServiceItemBranchSettings = async (req, res) => {
+  try {
+    const { id, branchId } = req.params;
+    const { price, isAvailable, effectiveFrom, note } = req.body;
+
+    const [serviceItem, branch] = await Promise.all([
+      prisma.serviceItem.findUnique({ where: { id } }),
+      prisma.branch.findUnique({ where: { id: branchId } })
+    ]);
+
+    if (!serviceItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service item not found'
+      });
+    }
+
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+
+    const priceValue = price === undefined || price === null ? price : parseFloat(price);
+
+    if (priceValue !== undefined && priceValue !== null && (isNaN(priceValue) || priceValue < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Price must be a valid positive number'
+      });
+    }
+
+    const settings = await prisma.$transaction(async (tx) => {
+      const existingSettings = await tx.branchServiceItem.findUnique({
+        where: { branchId_serviceItemId: { branchId, serviceItemId: id } }
+      });
+
+      // Branch prices go through the price history (refreshing the current override);
+      // a future effectiveFrom schedules the change
+      if (priceValue === null) {
+        await endBranchPrice(tx, { serviceItemId: id, branchId, effectiveFrom });
+      } else if (priceValue !== undefined) {
+        await schedulePriceChange(tx, {
+          serviceItemId: id,
+          branchId,
+          price: priceValue,
+          effectiveFrom,
+          note,
+          createdById: req.user.id
+        });
+      }
+
+      const settings = await tx.branchServiceItem.upsert({
+        where: { branchId_serviceItemId: { branchId, serviceItemId: id } },
+        update: {
+          ...(isAvailable !== undefined && { isAvailable })
+        },
+        create: {
+          branchId,
+          serviceItemId: id,
+          ...(isAvailable !== undefined && { isAvailable })
+        }
+      });
+
+      await recordAudit(tx, req, {
+        action: existingSettings ? 'update' : 'create',
+        entity: 'BranchServiceItem',
+        branchId,
+        before: existingSettings,
+        after: settings
+      });
+
+      const prices = await tx.servicePrice.findMany({
+        where: {
+          serviceItemId: id,
+          OR: [{ branchId }, { branchId: null }]
+        },
+        orderBy: { effectiveFrom: 'desc' }
+      });
+
+      return resolveServiceItem(serviceItem, { branchId, override: settings, prices });
+    });
+
+    res.json({
+      success: true,
+      message: `${serviceItem.name} settings updated for ${branch.name}`,
+      data: settings
+    });
+
+  } catch (error) {
+    console.error('Error updating service item branch settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update service item branch settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a branch's override for a service item (global price and availability apply again)
+ */
+const removeServiceItemBranchSettings = async (req, res) => {
+  try {
+    const { id, branchId } = req.params;
+
+    const existingSettings = await prisma.branchServiceItem.findUnique({
+      where: { branchId_serviceItemId: { branchId, serviceItemId: id } }
+    });
+
+    if (!existingSettings) {
+      return res.status(404).json({
+        success: false,
+        message: 'This branch has no override for the service item'
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      // Branch price history ends now; past records keep the prices they were charged
+      await endBranchPrice(tx, { serviceItemId: id, branchId });
+
+      await tx.branchServiceItem.delete({
+        where: { id: existingSettings.id }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'delete',
+        entity: 'BranchServiceItem',
+        branchId,
+        before: existingSettings
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Branch override removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Error removing service item branch settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove service item branch settings',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   // Washer exports
   createWasher,
@@ -533,10 +1321,25 @@ module.exports = {
   updateWasher,
   deleteWasher,
   
+  // Specialist exports
+  getSpecialists,
+  addWasherSpecialty,
+  removeWasherSpecialty,
+  
   // Service Item exports
   createServiceItem,
   getAllServiceItems,
   getServiceItemById,
   updateServiceItem,
-  deleteServiceItem
+  deleteServiceItem,
+  getServiceItemSpecialists,
+
+  // Service price history exports
+  getServiceItemPriceHistory,
+  cancelScheduledPriceChange,
+
+  // Branch service item exports
+  getServiceItemBranchSettings,
+  setServiceItemBranchSettings,
+  removeServiceItemBranchSettings
 };
\ No newline at end of file
@@ -0,0 +1,347 @@
+const prisma = require('../config/database');
+const { recordAudit } = require('../services/auditService');
+
+const ruleInclude = {
+  serviceItem: {
+    select: {
+      id: true,
+      name: true
+    }
+  },
+  branch: {
+    select: {
+      id: true,
+      name: true,
+      code: true
+    }
+  }
+};
+
+/**
+ * Check a rule's settings for its type
+ * Returns an error message, or null when the settings are valid
+ */
+const validateRuleSettings = ({ type, serviceItemId, stampsRequired, pointsPerNaira, pointValue }) => {
+  if (type === 'stamp') {
+    if (!serviceItemId) return 'Stamp cards need a service item';
+    if (!Number.isInteger(stampsRequired) || stampsRequired < 2) {
+      return 'stampsRequired must be a whole number of at least 2';
+    }
+  }
+
+  if (type === 'points') {
+    if (!(pointsPerNaira > 0)) return 'pointsPerNaira must be greater than 0';
+    if (!(pointValue > 0)) return 'pointValue must be greater than 0';
+  }
+
+  return null;
+};
+
+/**
+ * Create a loyalty rule
+ * type "stamp": every stampsRequired-th wash of serviceItemId is free
+ * type "points": pointsPerNaira earned on the amount paid, redeemed at pointValue naira each
+ * Omit branchId for a rule that applies to every branch
+ */
+const createLoyaltyRule = async (req, res) => {
+  try {
+    const { type, name, serviceItemId, branchId, reduceCommission } = req.body;
+    const stampsRequired = req.body.stampsRequired !== undefined ? parseInt(req.body.stampsRequired, 10) : undefined;
+    const pointsPerNaira = req.body.pointsPerNaira !== undefined ? parseFloat(req.body.pointsPerNaira) : undefined;
+    const pointValue = req.body.pointValue !== undefined ? parseFloat(req.body.pointValue) : undefined;
+
+    const settingsError = validateRuleSettings({ type, serviceItemId, stampsRequired, pointsPerNaira, pointValue });
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        message: settingsError
+      });
+    }
+
+    if (type === 'stamp') {
+      const serviceItem = await prisma.serviceItem.findUnique({
+        where: { id: serviceItemId }
+      });
+
+      if (!serviceItem) {
+        return res.status(404).json({
+          success: false,
+          message: 'Service item not found'
+        });
+      }
+    }
+
+    if (branchId) {
+      const branch = await prisma.branch.findUnique({
+        where: { id: branchId }
+      });
+
+      if (!branch) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid branch ID'
+        });
+      }
+    }
+
+    const rule = await prisma.$transaction(async (tx) => {
+      const rule = await tx.loyaltyRule.create({
+        data: {
+          type,
+          name,
+          branchId: branchId || null,
+          reduceCommission: Boolean(reduceCommission),
+          ...(type === 'stamp' && { serviceItemId, stampsRequired }),
+          ...(type === 'points' && { pointsPerNaira, pointValue })
+        },
+        include: ruleInclude
+      });
+
+      await recordAudit(tx, req, {
+        action: 'create',
+        entity: 'LoyaltyRule',
+        after: rule
+      });
+
+      return rule;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Loyalty rule created successfully',
+      data: rule
+    });
+
+  } catch (error) {
+    console.error('Error creating loyalty rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create loyalty rule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get loyalty rules
+ * Query: ?type=stamp|points&branchId=xxx|global&isActive=true
+ */
+const getLoyaltyRules = async (req, res) => {
+  try {
+    const { type, branchId, isActive } = req.query;
+
+    const where = {};
+
+    if (type) {
+      where.type = type;
+    }
+
+    if (branchId) {
+      where.branchId = branchId === 'global' ? null : branchId;
+    }
+
+    if (isActive !== undefined) {
+      where.isActive = isActive === 'true';
+    }
+
+    const rules = await prisma.loyaltyRule.findMany({
+      where,
+      include: ruleInclude,
+      orderBy: [
+        { type: 'asc' },
+        { createdAt: 'desc' }
+      ]
+    });
+
+    res.json({
+      success: true,
+      data: rules,
+      count: rules.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching loyalty rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch loyalty rules',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get loyalty rule by ID
+ */
+const getLoyaltyRuleById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rule = await prisma.loyaltyRule.findUnique({
+      where: { id },
+      include: ruleInclude
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loyalty rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule
+    });
+
+  } catch (error) {
+    console.error('Error fetching loyalty rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch loyalty rule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update loyalty rule (name, stamps required, points rates, commission handling, active flag)
+ * The type, service item and branch are fixed - create a new rule instead
+ * Past records are not affected - they store the discounts applied at the time
+ */
+const updateLoyaltyRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, reduceCommission, isActive } = req.body;
+
+    const existingRule = await prisma.loyaltyRule.findUnique({
+      where: { id }
+    });
+
+    if (!existingRule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loyalty rule not found'
+      });
+    }
+
+    const stampsRequired = req.body.stampsRequired !== undefined
+      ? parseInt(req.body.stampsRequired, 10)
+      : existingRule.stampsRequired;
+    const pointsPerNaira = req.body.pointsPerNaira !== undefined
+      ? parseFloat(req.body.pointsPerNaira)
+      : existingRule.pointsPerNaira;
+    const pointValue = req.body.pointValue !== undefined
+      ? parseFloat(req.body.pointValue)
+      : existingRule.pointValue;
+
+    const settingsError = validateRuleSettings({
+      type: existingRule.type,
+      serviceItemId: existingRule.serviceItemId,
+      stampsRequired,
+      pointsPerNaira,
+      pointValue
+    });
+
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        message: settingsError
+      });
+    }
+
+    const rule = await prisma.$transaction(async (tx) => {
+      const rule = await tx.loyaltyRule.update({
+        where: { id },
+        data: {
+          ...(name !== undefined && { name }),
+          ...(reduceCommission !== undefined && { reduceCommission }),
+          ...(isActive !== undefined && { isActive }),
+          ...(existingRule.type === 'stamp' && { stampsRequired }),
+          ...(existingRule.type === 'points' && { pointsPerNaira, pointValue })
+        },
+        include: ruleInclude
+      });
+
+      await recordAudit(tx, req, {
+        action: 'update',
+        entity: 'LoyaltyRule',
+        before: existingRule,
+        after: rule
+      });
+
+      return rule;
+    });
+
+    res.json({
+      success: true,
+      message: 'Loyalty rule updated successfully',
+      data: rule
+    });
+
+  } catch (error) {
+    console.error('Error updating loyalty rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update loyalty rule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete loyalty rule (soft delete by setting isActive to false)
+ * Customers keep their balances; they are used again if the rule is reactivated
+ */
+const deleteLoyaltyRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rule = await prisma.$transaction(async (tx) => {
+      const existingRule = await tx.loyaltyRule.findUnique({ where: { id } });
+
+      const rule = await tx.loyaltyRule.update({
+        where: { id },
+        data: { isActive: false }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'delete',
+        entity: 'LoyaltyRule',
+        before: existingRule,
+        after: rule
+      });
+
+      return rule;
+    });
+
+    res.json({
+      success: true,
+      message: 'Loyalty rule deactivated successfully',
+      data: rule
+    });
+
+  } catch (error) {
+    console.error('Error deleting loyalty rule:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Loyalty rule not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate loyalty rule',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createLoyaltyRule,
+  getLoyaltyRules,
+  getLoyaltyRuleById,
+  updateLoyaltyRule,
+  deleteLoyaltyRule
+};
@@ -1,57 +1,196 @@
 const prisma = require('../config/database');
+const { parseDateRange, groupByPeriod } = require('../utils/dateRange');
+const { roundAmount } = require('../utils/money');
+const { combineCompanyTotals, toPaymentMethods, sumCompanySummaries } = require('../services/summaryService');
+const { getRequestTimeZone } = require('../services/branchAccessService');
 
 /**
- * Calculate payment split for a service item
- * Regular items: 60% company, 40% washer
- * Special items (engine, radiator, condenser): (amount/3)*2 company, amount/3 washer
- * Rug: 50% company, 50% washer
- * 
- * Note: Special items are ALWAYS credited to "idowu" regardless of who washed them
- * Note: Rug has 50/50 split and is credited to the assigned washer
+ * Aggregate washed items into per-washer payments and totals
+ * Note: Shares are the split stored on each washed item at creation time
+ * Amounts are gross (item prices), with discounts and the net shown alongside
  */
-const calculatePaymentSplit = (serviceItemName, price) => {
-  const specialItems = ['engine', 'radiator', 'condenser'];
-  const isSpecialItem = specialItems.some(item => 
-    serviceItemName.toLowerCase().includes(item)
-  );
-  
-  const isRug = serviceItemName.toLowerCase().includes('rug');
-
-  if (isSpecialItem) {
-    const washerShare = price / 3;
-    const companyShare = (price / 3) * 2;
-    return { companyShare, washerShare };
-  } else if (isRug) {
-    const washerShare = price * 0.5;
-    const companyShare = price * 0.5;
-    return { companyShare, washerShare };
-  } else {
-    const companyShare = price * 0.6;
-    const washerShare = price * 0.4;
-    return { companyShare, washerShare };
-  }
+const summarizeWasherPayments = (washedItems) => {
+  const washerSummaries = {};
+  let totalCompanyEarnings = 0;
+  let totalWasherEarnings = 0;
+  let totalSales = 0;
+  let totalDiscounts = 0;
+  const uniqueCars = new Set();
+
+  washedItems.forEach(item => {
+    const washerId = item.washer.id;
+    const washerName = item.washer.name;
+    const washerPhone = item.washer.phone;
+    const price = item.price ?? item.serviceItem.price; // FIXED: Check item.price first
+    const serviceItemName = item.serviceItem.name;
+    const carWashId = item.carWash.id;
+
+    // Track unique cars
+    uniqueCars.add(carWashId);
+
+    // Initialize washer summary if not exists
+    if (!washerSummaries[washerId]) {
+      washerSummaries[washerId] = {
+        washerId,
+        washerName,
+        washerPhone,
+        totalAmount: 0,
+        discountAmount: 0,
+        washerEarnings: 0,
+        companyEarnings: 0,
+        itemsWashed: 0,
+        carsWashed: new Set(),
+        items: []
+      };
+    }
+
+    // Split stored on the item when the record was created
+    const { companyShare, washerShare } = item;
+
+    // Update washer summary
+    washerSummaries[washerId].totalAmount += price;
+    washerSummaries[washerId].discountAmount += item.discountAmount;
+    washerSummaries[washerId].washerEarnings += washerShare;
+    washerSummaries[washerId].companyEarnings += companyShare;
+    washerSummaries[washerId].itemsWashed += 1;
+    washerSummaries[washerId].carsWashed.add(carWashId);
+    washerSummaries[washerId].items.push({
+      carNumber: item.carWash.carNumber,
+      serviceItem: serviceItemName,
+      price,
+      discountAmount: item.discountAmount,
+      washerShare,
+      companyShare,
+      washDate: item.carWash.washDate
+    });
+
+    // Update totals
+    totalSales += price;
+    totalDiscounts += item.discountAmount;
+    totalCompanyEarnings += companyShare;
+    totalWasherEarnings += washerShare;
+  });
+
+  // Convert washer summaries to array and format
+  const washerPayments = Object.values(washerSummaries).map(summary => ({
+    washerId: summary.washerId,
+    washerName: summary.washerName,
+    washerPhone: summary.washerPhone,
+    totalAmount: roundAmount(summary.totalAmount),
+    discountAmount: roundAmount(summary.discountAmount),
+    netAmount: roundAmount(summary.totalAmount - summary.discountAmount),
+    washerEarnings: roundAmount(summary.washerEarnings),
+    companyEarnings: roundAmount(summary.companyEarnings),
+    itemsWashed: summary.itemsWashed,
+    carsWashed: summary.carsWashed.size,
+    items: summary.items
+  }));
+
+  // Sort by total earnings (descending)
+  washerPayments.sort((a, b) => b.washerEarnings - a.washerEarnings);
+
+  return {
+    summary: {
+      totalSales: roundAmount(totalSales),
+      totalDiscounts: roundAmount(totalDiscounts),
+      netSales: roundAmount(totalSales - totalDiscounts),
+      totalCompanyEarnings: roundAmount(totalCompanyEarnings),
+      totalWasherEarnings: roundAmount(totalWasherEarnings),
+      totalCarsWashed: uniqueCars.size,
+      totalItemsWashed: washedItems.length
+    },
+    washerPayments
+  };
+};
+
+/**
+ * Aggregate one washer's items into totals and an item list
+ */
+const summarizeWasherItems = (washedItems) => {
+  let totalAmount = 0;
+  let discountAmount = 0;
+  let washerEarnings = 0;
+  let companyEarnings = 0;
+  const carsWashed = new Set();
+  const items = [];
+
+  washedItems.forEach(item => {
+    const price = item.price ?? item.serviceItem.price; // FIXED: Check item.price first
+    const serviceItemName = item.serviceItem.name;
+    const { companyShare, washerShare } = item;
+
+    totalAmount += price;
+    discountAmount += item.discountAmount;
+    washerEarnings += washerShare;
+    companyEarnings += companyShare;
+    carsWashed.add(item.carWash.id);
+
+    items.push({
+      carNumber: item.carWash.carNumber,
+      carModel: item.carWash.carModel,
+      customerName: item.carWash.customerName,
+      serviceItem: serviceItemName,
+      price,
+      discountAmount: item.discountAmount,
+      washerShare,
+      companyShare,
+      washDate: item.carWash.washDate
+    });
+  });
+
+  return {
+    summary: {
+      totalAmount: roundAmount(totalAmount),
+      discountAmount: roundAmount(discountAmount),
+      netAmount: roundAmount(totalAmount - discountAmount),
+      washerEarnings: roundAmount(washerEarnings),
+      companyEarnings: roundAmount(companyEarnings),
+      itemsWashed: washedItems.length,
+      carsWashed: carsWashed.size
+    },
+    items
+  };
 };
 
 /**
- * Get daily payment summary for all washers (branch-specific)
- * Note: Special items (engine, radiator, condenser) are always credited to "idowu"
+ * Company payment summary and payment methods from rolled-up daily totals
+ */
+const toCompanyPayments = (totals) => ({
+  summary: {
+    totalSales: totals.grossAmount,
+    totalDiscounts: totals.discountAmount,
+    netSales: totals.netAmount,
+    companyEarnings: totals.companyShare,
+    washerEarnings: totals.washerShare,
+    totalCarsWashed: totals.totalCarsWashed,
+    totalItemsWashed: totals.totalItemsWashed
+  },
+  paymentMethods: toPaymentMethods(totals)
+});
+
+/**
+ * Get payment summary for all washers (active branch, or all branches for owners)
+ * Query: ?date=YYYY-MM-DD or ?from=YYYY-MM-DD&to=YYYY-MM-DD, optional &groupBy=day|week|month
+ * Note: Specialist items are credited to the washer they were routed to at creation
  */
 const getDailyPaymentSummary = async (req, res) => {
   try {
-    const { date } = req.query;
-    const branchId = req.user.branchId;
+    const range = parseDateRange(req.query, getRequestTimeZone(req));
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
 
-    const targetDate = date ? new Date(date) : new Date();
-    const startOfDay = new Date(targetDate);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(targetDate);
-    endOfDay.setHours(23, 59, 59, 999);
+    const { startOfDay, endOfDay } = range;
 
-    // Fetch all washed items for the day with related data (filtered by branch)
+    // Fetch all washed items in the range with related data (filtered by branch)
     const washedItems = await prisma.washedItem.findMany({
       where: {
         carWash: {
-          branchId, // Filter by branch
+          ...req.branchFilter, // Active branch, or every branch for "all"
+          isVoided: false,
           washDate: {
             gte: startOfDay,
             lte: endOfDay
@@ -84,91 +223,27 @@ const getDailyPaymentSummary = async (req, res) => {
       }
     });
 
-    // Calculate payment summary per washer
-    const washerSummaries = {};
-    let totalCompanyEarnings = 0;
-    let totalWasherEarnings = 0;
-    let totalSales = 0;
-    const uniqueCars = new Set();
-
-    washedItems.forEach(item => {
-      const washerId = item.washer.id;
-      const washerName = item.washer.name;
-      const washerPhone = item.washer.phone;
-      const price = item.price || item.serviceItem.price; // FIXED: Check item.price first
-      const serviceItemName = item.serviceItem.name;
-      const carWashId = item.carWash.id;
-
-      // Track unique cars
-      uniqueCars.add(carWashId);
-
-      // Initialize washer summary if not exists
-      if (!washerSummaries[washerId]) {
-        washerSummaries[washerId] = {
-          washerId,
-          washerName,
-          washerPhone,
-          totalAmount: 0,
-          washerEarnings: 0,
-          companyEarnings: 0,
-          itemsWashed: 0,
-          carsWashed: new Set(),
-          items: []
-        };
-      }
+    const { summary, washerPayments } = summarizeWasherPayments(washedItems);
 
-      // Calculate split
-      const { companyShare, washerShare } = calculatePaymentSplit(serviceItemName, price);
-
-      // Update washer summary
-      washerSummaries[washerId].totalAmount += price;
-      washerSummaries[washerId].washerEarnings += washerShare;
-      washerSummaries[washerId].companyEarnings += companyShare;
-      washerSummaries[washerId].itemsWashed += 1;
-      washerSummaries[washerId].carsWashed.add(carWashId);
-      washerSummaries[washerId].items.push({
-        carNumber: item.carWash.carNumber,
-        serviceItem: serviceItemName,
-        price,
-        washerShare,
-        companyShare
-      });
-
-      // Update totals
-      totalSales += price;
-      totalCompanyEarnings += companyShare;
-      totalWasherEarnings += washerShare;
-    });
-
-    // Convert washer summaries to array and format
-    const washerPayments = Object.values(washerSummaries).map(summary => ({
-      washerId: summary.washerId,
-      washerName: summary.washerName,
-      washerPhone: summary.washerPhone,
-      totalAmount: Math.round(summary.totalAmount * 100) / 100,
-      washerEarnings: Math.round(summary.washerEarnings * 100) / 100,
-      companyEarnings: Math.round(summary.companyEarnings * 100) / 100,
-      itemsWashed: summary.itemsWashed,
-      carsWashed: summary.carsWashed.size,
-      items: summary.items
-    }));
-
-    // Sort by total earnings (descending)
-    washerPayments.sort((a, b) => b.washerEarnings - a.washerEarnings);
+    // Per-period totals, e.g. weekly washer payouts
+    const periods = range.groupBy
+      ? groupByPeriod(washedItems, item => item.carWash.washDate, range).map(({ period, records }) => ({
+        period,
+        ...summarizeWasherPayments(records)
+      }))
+      : undefined;
 
     res.json({
       success: true,
       data: {
-        branch: req.user.branch,
-        date: targetDate.toISOString().split('T')[0],
-        summary: {
-          totalSales: Math.round(totalSales * 100) / 100,
-          totalCompanyEarnings: Math.round(totalCompanyEarnings * 100) / 100,
-          totalWasherEarnings: Math.round(totalWasherEarnings * 100) / 100,
-          totalCarsWashed: uniqueCars.size,
-          totalItemsWashed: washedItems.length
-        },
-        washerPayments
+        branch: req.branch,
+        date: range.from,
+        from: range.from,
+        to: range.to,
+        groupBy: range.groupBy,
+        summary,
+        washerPayments,
+        periods
       }
     });
 
@@ -183,29 +258,32 @@ const getDailyPaymentSummary = async (req, res) => {
 };
 
 /**
- * Get payment summary for a specific washer (branch-specific)
- * Note: If washer is "idowu", this will include all special items
+ * Get payment summary for a specific washer (active branch, or all branches for owners)
+ * Query: ?date=YYYY-MM-DD or ?from=YYYY-MM-DD&to=YYYY-MM-DD, optional &groupBy=day|week|month
+ * Note: For a specialist, this includes the specialist items routed to them
  */
 const getWasherPaymentSummary = async (req, res) => {
   try {
     const { washerId } = req.params;
-    const { date } = req.query;
-    const branchId = req.user.branchId;
+    const range = parseDateRange(req.query, getRequestTimeZone(req));
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
 
-    const targetDate = date ? new Date(date) : new Date();
-    const startOfDay = new Date(targetDate);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(targetDate);
-    endOfDay.setHours(23, 59, 59, 999);
+    const { startOfDay, endOfDay } = range;
 
     // Fetch washer details (verify branch)
     const washer = await prisma.washer.findFirst({
-      where: { 
+      where: {
         id: washerId,
-        branchId
+        ...req.branchFilter
       },
       select: {
         id: true,
+        branchId: true,
         name: true,
         phone: true,
         isActive: true
@@ -215,16 +293,17 @@ const getWasherPaymentSummary = async (req, res) => {
     if (!washer) {
       return res.status(404).json({
         success: false,
-        message: 'Washer not found in your branch'
+        message: 'Washer not found in this branch'
       });
     }
 
-    // Fetch all washed items for this washer on the specified date
+    // Fetch all washed items for this washer in the range
     const washedItems = await prisma.washedItem.findMany({
       where: {
         washerId,
         carWash: {
-          branchId, // Ensure branch filter
+          branchId: washer.branchId, // Ensure branch filter
+          isVoided: false,
           washDate: {
             gte: startOfDay,
             lte: endOfDay
@@ -251,34 +330,14 @@ const getWasherPaymentSummary = async (req, res) => {
       }
     });
 
-    // Calculate payment summary
-    let totalAmount = 0;
-    let washerEarnings = 0;
-    let companyEarnings = 0;
-    const carsWashed = new Set();
-    const items = [];
-
-    washedItems.forEach(item => {
-      const price = item.price || item.serviceItem.price; // FIXED: Check item.price first
-      const serviceItemName = item.serviceItem.name;
-      const { companyShare, washerShare } = calculatePaymentSplit(serviceItemName, price);
-
-      totalAmount += price;
-      washerEarnings += washerShare;
-      companyEarnings += companyShare;
-      carsWashed.add(item.carWash.id);
-
-      items.push({
-        carNumber: item.carWash.carNumber,
-        carModel: item.carWash.carModel,
-        customerName: item.carWash.customerName,
-        serviceItem: serviceItemName,
-        price,
-        washerShare,
-        companyShare,
-        washDate: item.carWash.washDate
-      });
-    });
+    const { summary, items } = summarizeWasherItems(washedItems);
+
+    const periods = range.groupBy
+      ? groupByPeriod(washedItems, item => item.carWash.washDate, range).map(({ period, records }) => ({
+        period,
+        summary: summarizeWasherItems(records).summary
+      }))
+      : undefined;
 
     res.json({
       success: true,
@@ -288,16 +347,14 @@ const getWasherPaymentSummary = async (req, res) => {
           name: washer.name,
           phone: washer.phone
         },
-        branch: req.user.branch,
-        date: targetDate.toISOString().split('T')[0],
-        summary: {
-          totalAmount: Math.round(totalAmount * 100) / 100,
-          washerEarnings: Math.round(washerEarnings * 100) / 100,
-          companyEarnings: Math.round(companyEarnings * 100) / 100,
-          itemsWashed: washedItems.length,
-          carsWashed: carsWashed.size
-        },
-        items
+        branch: req.branch,
+        date: range.from,
+        from: range.from,
+        to: range.to,
+        groupBy: range.groupBy,
+        summary,
+        items,
+        periods
       }
     });
 
@@ -312,101 +369,45 @@ const getWasherPaymentSummary = async (req, res) => {
 };
 
 /**
- * Get company payment summary for a date (branch-specific)
+ * Get company payment summary (active branch, or all branches for owners)
+ * Query: ?date=YYYY-MM-DD or ?from=YYYY-MM-DD&to=YYYY-MM-DD, optional &groupBy=day|week|month
  */
 const getCompanyPaymentSummary = async (req, res) => {
   try {
-    const { date } = req.query;
-    const branchId = req.user.branchId;
-
-    const targetDate = date ? new Date(date) : new Date();
-    const startOfDay = new Date(targetDate);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(targetDate);
-    endOfDay.setHours(23, 59, 59, 999);
-
-    // Fetch all car wash records for the day (filtered by branch)
-    const carWashRecords = await prisma.carWash.findMany({
-      where: {
-        branchId,
-        washDate: {
-          gte: startOfDay,
-          lte: endOfDay
-        }
-      },
-      select: {
-        id: true,
-        totalAmount: true,
-        paymentMethod: true
-      }
-    });
-
-    // Fetch all washed items for the day (filtered by branch)
-    const washedItems = await prisma.washedItem.findMany({
-      where: {
-        carWash: {
-          branchId,
-          washDate: {
-            gte: startOfDay,
-            lte: endOfDay
-          }
-        }
-      },
-      include: {
-        serviceItem: {
-          select: {
-            name: true,
-            price: true
-          }
-        }
-      }
-    });
+    const range = parseDateRange(req.query, getRequestTimeZone(req));
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
 
-    let totalSales = 0;
-    let companyEarnings = 0;
-    let washerEarnings = 0;
-    const paymentMethods = {
-      cash: 0,
-      transfer: 0
-    };
-
-    // Calculate payment method totals from carWash records
-    carWashRecords.forEach(record => {
-      if (record.paymentMethod) {
-        const method = record.paymentMethod.toLowerCase();
-        if (method === 'cash' || method === 'transfer') {
-          paymentMethods[method] += record.totalAmount;
-        }
-      }
-    });
+    // Summed from the daily rollups in the database (filtered by branch)
+    const totals = await sumCompanySummaries({ where: req.branchFilter, from: range.from, to: range.to });
 
-    // Calculate earnings from washed items
-    washedItems.forEach(item => {
-      const price = item.price || item.serviceItem.price; // FIXED: Check item.price first
-      const serviceItemName = item.serviceItem.name;
-      const { companyShare, washerShare } = calculatePaymentSplit(serviceItemName, price);
+    // Per-period totals, e.g. monthly P&L
+    let periods;
+    if (range.groupBy) {
+      const days = await sumCompanySummaries({ where: req.branchFilter, from: range.from, to: range.to, by: ['date'] });
 
-      totalSales += price;
-      companyEarnings += companyShare;
-      washerEarnings += washerShare;
-    });
+      // Rollup dates are calendar days stored at midnight UTC
+      periods = groupByPeriod(days, day => day.date, { ...range, timeZone: 'UTC' })
+        .map(({ period, records }) => ({
+          period,
+          ...toCompanyPayments(combineCompanyTotals(records))
+        }));
+    }
 
     res.json({
       success: true,
       data: {
-        branch: req.user.branch,
-        date: targetDate.toISOString().split('T')[0],
-        summary: {
-          totalSales: Math.round(totalSales * 100) / 100,
-          companyEarnings: Math.round(companyEarnings * 100) / 100,
-          washerEarnings: Math.round(washerEarnings * 100) / 100,
-          totalCarsWashed: carWashRecords.length,
-          totalItemsWashed: washedItems.length
-        },
-        paymentMethods: {
-          cash: Math.round(paymentMethods.cash * 100) / 100,
-          transfer: Math.round(paymentMethods.transfer * 100) / 100
-        }
+        branch: req.branch,
+        date: range.from,
+        from: range.from,
+        to: range.to,
+        groupBy: range.groupBy,
+        ...toCompanyPayments(totals),
+        periods
       }
     });
 
@@ -424,4 +425,4 @@ module.exports = {
   getDailyPaymentSummary,
   getWasherPaymentSummary,
   getCompanyPaymentSummary
-};
\ No newline at end of file
+};
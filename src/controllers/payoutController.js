@@ -0,0 +1,346 @@
+const prisma = require('../config/database');
+const { parseDateRange } = require('../utils/dateRange');
+const { roundAmount } = require('../utils/money');
+const { recordAudit } = require('../services/auditService');
+const {
+  getWasherEarnings,
+  getSettledForPeriod,
+  getWasherBalance
+} = require('../services/payoutService');
+const { getRequestTimeZone } = require('../services/branchAccessService');
+
+const payoutInclude = {
+  washer: {
+    select: {
+      id: true,
+      name: true,
+      phone: true
+    }
+  },
+  recordedBy: {
+    select: {
+      id: true,
+      name: true
+    }
+  }
+};
+
+/**
+ * Settle a washer's earnings for a period (user's branch)
+ * Amount defaults to everything still due for the period; a smaller amount is a partial payment
+ * Body: { washerId, from, to, amount?, method?, note? }
+ */
+const settleWasherEarnings = async (req, res) => {
+  try {
+    const { washerId, from, to, amount, method, note } = req.body;
+    const branchId = req.branchId;
+
+    const range = parseDateRange({ from, to }, getRequestTimeZone(req));
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    const { startOfDay, endOfDay } = range;
+
+    // Verify washer belongs to user's branch
+    const washer = await prisma.washer.findFirst({
+      where: { id: washerId, branchId }
+    });
+
+    if (!washer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Washer not found in your branch'
+      });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const [earned, alreadySettled] = await Promise.all([
+        getWasherEarnings({ washerId, branchId, startOfDay, endOfDay, client: tx }),
+        getSettledForPeriod({ washerId, branchId, startOfDay, endOfDay, client: tx })
+      ]);
+
+      const due = roundAmount(earned - alreadySettled);
+      const payAmount = amount !== undefined ? roundAmount(parseFloat(amount)) : due;
+
+      if (due <= 0) {
+        return { error: 'Nothing is due for this washer in the selected period' };
+      }
+
+      if (payAmount <= 0 || payAmount > due) {
+        return { error: `Settlement amount must be greater than 0 and at most ${due} (amount due for the period)` };
+      }
+
+      const payout = await tx.washerPayout.create({
+        data: {
+          washerId,
+          branchId,
+          type: 'settlement',
+          amount: payAmount,
+          method,
+          note,
+          periodStart: startOfDay,
+          periodEnd: endOfDay,
+          recordedById: req.user.id
+        },
+        include: payoutInclude
+      });
+
+      await recordAudit(tx, req, {
+        action: 'create',
+        entity: 'WasherPayout',
+        after: payout
+      });
+
+      return {
+        payout,
+        period: {
+          from: range.from,
+          to: range.to,
+          earned: roundAmount(earned),
+          previouslySettled: roundAmount(alreadySettled),
+          paidNow: payAmount,
+          remaining: roundAmount(due - payAmount)
+        }
+      };
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const balance = await getWasherBalance({ washerId, branchId });
+
+    res.status(201).json({
+      success: true,
+      message: result.period.remaining > 0
+        ? 'Partial settlement recorded successfully'
+        : 'Settlement recorded successfully',
+      data: {
+        ...result,
+        balance
+      }
+    });
+
+  } catch (error) {
+    console.error('Error settling washer earnings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to settle washer earnings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Build a handler that records an advance or a deduction for a washer (user's branch)
+ * Body: { washerId, amount, method?, note? }
+ */
+const recordPayoutEntry = (type, label) => async (req, res) => {
+  try {
+    const { washerId, amount, method, note } = req.body;
+    const branchId = req.branchId;
+
+    const amountValue = parseFloat(amount);
+    if (isNaN(amountValue) || amountValue <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount must be greater than 0'
+      });
+    }
+
+    // Verify washer belongs to user's branch
+    const washer = await prisma.washer.findFirst({
+      where: { id: washerId, branchId }
+    });
+
+    if (!washer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Washer not found in your branch'
+      });
+    }
+
+    const payout = await prisma.$transaction(async (tx) => {
+      const payout = await tx.washerPayout.create({
+        data: {
+          washerId,
+          branchId,
+          type,
+          amount: roundAmount(amountValue),
+          method,
+          note,
+          recordedById: req.user.id
+        },
+        include: payoutInclude
+      });
+
+      await recordAudit(tx, req, {
+        action: 'create',
+        entity: 'WasherPayout',
+        after: payout
+      });
+
+      return payout;
+    });
+
+    const balance = await getWasherBalance({ washerId, branchId });
+
+    res.status(201).json({
+      success: true,
+      message: `${label} recorded successfully`,
+      data: {
+        payout,
+        balance
+      }
+    });
+
+  } catch (error) {
+    console.error(`Error recording washer ${type}:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to record ${type}`,
+      error: error.message
+    });
+  }
+};
+
+const recordAdvance = recordPayoutEntry('advance', 'Advance');
+const recordDeduction = recordPayoutEntry('deduction', 'Deduction');
+
+/**
+ * Get payout ledger entries for the active branch (or all branches for owners)
+ * Query: ?washerId=xxx&type=settlement&from=YYYY-MM-DD&to=YYYY-MM-DD
+ */
+const getPayouts = async (req, res) => {
+  try {
+    const { washerId, type, from, to } = req.query;
+    const where = { ...req.branchFilter };
+
+    if (washerId) {
+      where.washerId = washerId;
+    }
+
+    if (type) {
+      where.type = type;
+    }
+
+    if (from || to) {
+      const range = parseDateRange({ from, to }, getRequestTimeZone(req));
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error
+        });
+      }
+
+      where.paidAt = {
+        gte: range.startOfDay,
+        lte: range.endOfDay
+      };
+    }
+
+    const payouts = await prisma.washerPayout.findMany({
+      where,
+      include: payoutInclude,
+      orderBy: { paidAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: payouts,
+      count: payouts.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching payouts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payouts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a washer's outstanding balance (user's branch)
+ * Query: ?asOf=YYYY-MM-DD (optional, defaults to now)
+ */
+const getWasherOutstandingBalance = async (req, res) => {
+  try {
+    const { washerId } = req.params;
+    const { asOf } = req.query;
+    const branchId = req.branchId;
+
+    let asOfDate;
+    if (asOf) {
+      const range = parseDateRange({ date: asOf }, getRequestTimeZone(req));
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error
+        });
+      }
+      asOfDate = range.endOfDay;
+    }
+
+    const washer = await prisma.washer.findFirst({
+      where: { id: washerId, branchId },
+      select: {
+        id: true,
+        name: true,
+        phone: true,
+        isActive: true
+      }
+    });
+
+    if (!washer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Washer not found in your branch'
+      });
+    }
+
+    const [balance, lastPayout] = await Promise.all([
+      getWasherBalance({ washerId, branchId, asOf: asOfDate }),
+      prisma.washerPayout.findFirst({
+        where: { washerId, branchId },
+        include: payoutInclude,
+        orderBy: { paidAt: 'desc' }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        washer,
+        branch: req.branch,
+        asOf: asOfDate || new Date(),
+        balance,
+        lastPayout
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching washer balance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch washer balance',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  settleWasherEarnings,
+  recordAdvance,
+  recordDeduction,
+  getPayouts,
+  getWasherOutstandingBalance
+};
@@ -0,0 +1,366 @@
+const prisma = require('../config/database');
+const { recordAudit } = require('../services/auditService');
+const { normalizePromoCode, countPromoCodeUses } = require('../services/discountService');
+
+const promoCodeInclude = {
+  serviceItem: {
+    select: {
+      id: true,
+      name: true
+    }
+  },
+  branch: {
+    select: {
+      id: true,
+      name: true,
+      code: true
+    }
+  }
+};
+
+/**
+ * Check a promo code's discount and validity window
+ * Returns an error message, or null when they are valid
+ */
+const validatePromoSettings = ({ valueType, value, validFrom, validTo }) => {
+  if (valueType === 'percent' && (value <= 0 || value > 100)) {
+    return 'A percentage discount must be between 0 and 100';
+  }
+
+  if (valueType === 'fixed' && value <= 0) {
+    return 'A fixed discount must be greater than 0';
+  }
+
+  if (validTo && validTo <= validFrom) {
+    return 'validTo must be later than validFrom';
+  }
+
+  return null;
+};
+
+/**
+ * Create a promo code
+ * Omit serviceItemId to discount the whole record, and branchId for a code that works at every branch
+ */
+const createPromoCode = async (req, res) => {
+  try {
+    const { code, description, valueType, serviceItemId, branchId, maxUses, maxUsesPerCustomer } = req.body;
+    const value = parseFloat(req.body.value);
+    const validFrom = req.body.validFrom ? new Date(req.body.validFrom) : new Date();
+    const validTo = req.body.validTo ? new Date(req.body.validTo) : null;
+
+    const settingsError = validatePromoSettings({ valueType, value, validFrom, validTo });
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        message: settingsError
+      });
+    }
+
+    const normalizedCode = normalizePromoCode(code);
+
+    const existingCode = await prisma.promoCode.findUnique({
+      where: { code: normalizedCode }
+    });
+
+    if (existingCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'A promo code with this code already exists'
+      });
+    }
+
+    if (serviceItemId) {
+      const serviceItem = await prisma.serviceItem.findUnique({
+        where: { id: serviceItemId }
+      });
+
+      if (!serviceItem) {
+        return res.status(404).json({
+          success: false,
+          message: 'Service item not found'
+        });
+      }
+    }
+
+    if (branchId) {
+      const branch = await prisma.branch.findUnique({
+        where: { id: branchId }
+      });
+
+      if (!branch) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid branch ID'
+        });
+      }
+    }
+
+    const promoCode = await prisma.$transaction(async (tx) => {
+      const promoCode = await tx.promoCode.create({
+        data: {
+          code: normalizedCode,
+          description,
+          valueType,
+          value,
+          serviceItemId: serviceItemId || null,
+          branchId: branchId || null,
+          validFrom,
+          validTo,
+          maxUses: maxUses ? parseInt(maxUses, 10) : null,
+          maxUsesPerCustomer: maxUsesPerCustomer ? parseInt(maxUsesPerCustomer, 10) : null
+        },
+        include: promoCodeInclude
+      });
+
+      await recordAudit(tx, req, {
+        action: 'create',
+        entity: 'PromoCode',
+        after: promoCode
+      });
+
+      return promoCode;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code created successfully',
+      data: promoCode
+    });
+
+  } catch (error) {
+    console.error('Error creating promo code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create promo code',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get promo codes with their number of uses
+ * Query: ?branchId=xxx|global&isActive=true
+ */
+const getPromoCodes = async (req, res) => {
+  try {
+    const { branchId, isActive } = req.query;
+
+    const where = {};
+
+    if (branchId) {
+      where.branchId = branchId === 'global' ? null : branchId;
+    }
+
+    if (isActive !== undefined) {
+      where.isActive = isActive === 'true';
+    }
+
+    const promoCodes = await prisma.promoCode.findMany({
+      where,
+      include: promoCodeInclude,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    // Uses on voided records do not count
+    const uses = await prisma.carWashDiscount.groupBy({
+      by: ['promoCodeId'],
+      where: {
+        promoCodeId: { in: promoCodes.map(promoCode => promoCode.id) },
+        carWash: { isVoided: false }
+      },
+      _count: { _all: true }
+    });
+    const usesMap = Object.fromEntries(uses.map(use => [use.promoCodeId, use._count._all]));
+
+    res.json({
+      success: true,
+      data: promoCodes.map(promoCode => ({ ...promoCode, uses: usesMap[promoCode.id] || 0 })),
+      count: promoCodes.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching promo codes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promo codes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get promo code by ID with its number of uses
+ */
+const getPromoCodeById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const promoCode = await prisma.promoCode.findUnique({
+      where: { id },
+      include: promoCodeInclude
+    });
+
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    const uses = await countPromoCodeUses({ promoCodeId: id });
+
+    res.json({
+      success: true,
+      data: { ...promoCode, uses }
+    });
+
+  } catch (error) {
+    console.error('Error fetching promo code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promo code',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update promo code (description, discount, validity window, usage limits, active flag)
+ * The code, service item and branch are fixed - create a new code instead
+ * Records that already used the code keep the discount they were given
+ */
+const updatePromoCode = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { description, valueType, isActive } = req.body;
+
+    const existingCode = await prisma.promoCode.findUnique({
+      where: { id }
+    });
+
+    if (!existingCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    const settings = {
+      valueType: valueType !== undefined ? valueType : existingCode.valueType,
+      value: req.body.value !== undefined ? parseFloat(req.body.value) : existingCode.value,
+      validFrom: req.body.validFrom ? new Date(req.body.validFrom) : existingCode.validFrom,
+      validTo: req.body.validTo !== undefined
+        ? (req.body.validTo ? new Date(req.body.validTo) : null)
+        : existingCode.validTo
+    };
+
+    const settingsError = validatePromoSettings(settings);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        message: settingsError
+      });
+    }
+
+    const limits = ['maxUses', 'maxUsesPerCustomer'].reduce((acc, field) => {
+      if (req.body[field] !== undefined) {
+        acc[field] = req.body[field] ? parseInt(req.body[field], 10) : null;
+      }
+      return acc;
+    }, {});
+
+    const promoCode = await prisma.$transaction(async (tx) => {
+      const promoCode = await tx.promoCode.update({
+        where: { id },
+        data: {
+          ...(description !== undefined && { description }),
+          ...(isActive !== undefined && { isActive }),
+          ...settings,
+          ...limits
+        },
+        include: promoCodeInclude
+      });
+
+      await recordAudit(tx, req, {
+        action: 'update',
+        entity: 'PromoCode',
+        before: existingCode,
+        after: promoCode
+      });
+
+      return promoCode;
+    });
+
+    res.json({
+      success: true,
+      message: 'Promo code updated successfully',
+      data: promoCode
+    });
+
+  } catch (error) {
+    console.error('Error updating promo code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update promo code',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete promo code (soft delete by setting isActive to false)
+ */
+const deletePromoCode = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const promoCode = await prisma.$transaction(async (tx) => {
+      const existingCode = await tx.promoCode.findUnique({ where: { id } });
+
+      const promoCode = await tx.promoCode.update({
+        where: { id },
+        data: { isActive: false }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'delete',
+        entity: 'PromoCode',
+        before: existingCode,
+        after: promoCode
+      });
+
+      return promoCode;
+    });
+
+    res.json({
+      success: true,
+      message: 'Promo code deactivated successfully',
+      data: promoCode
+    });
+
+  } catch (error) {
+    console.error('Error deleting promo code:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate promo code',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createPromoCode,
+  getPromoCodes,
+  getPromoCodeById,
+  updatePromoCode,
+  deletePromoCode
+};
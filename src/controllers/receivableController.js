@@ -0,0 +1,399 @@
+const prisma = require('../config/database');
+const { roundAmount } = require('../utils/money');
+const { badRequest } = require('../utils/errors');
+const { recordAudit } = require('../services/auditService');
+const { formatDate } = require('../utils/dateRange');
+const { lockCarWashes, recordSettlement } = require('../services/paymentService');
+const { findClosedDay, refreshPaymentTotals } = require('../services/summaryService');
+const { getBranchTimeZone } = require('../services/branchAccessService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Age buckets in days since the wash
+const AGE_BUCKETS = [
+  { key: 'days0to30', maxDays: 30 },
+  { key: 'days31to60', maxDays: 60 },
+  { key: 'days61to90', maxDays: 90 },
+  { key: 'over90', maxDays: Infinity }
+];
+
+// Records with something still owed on them
+const openBalanceWhere = {
+  isVoided: false,
+  paymentStatus: { in: ['partial', 'unpaid'] }
+};
+
+const openRecordSelect = {
+  id: true,
+  carNumber: true,
+  washDate: true,
+  totalAmount: true,
+  amountPaid: true,
+  paymentStatus: true,
+  customerId: true,
+  branchId: true,
+  payments: {
+    select: { method: true }
+  }
+};
+
+/**
+ * Days since a record's wash date, and its balance
+ */
+const toOpenRecord = (record, now) => ({
+  ...record,
+  balance: roundAmount(record.totalAmount - record.amountPaid),
+  ageDays: Math.floor((now - record.washDate) / DAY_MS)
+});
+
+const emptyAging = () => Object.fromEntries(AGE_BUCKETS.map(bucket => [bucket.key, 0]));
+
+const addToAging = (aging, record) => {
+  const bucket = AGE_BUCKETS.find(({ maxDays }) => record.ageDays <= maxDays);
+  aging[bucket.key] = roundAmount(aging[bucket.key] + record.balance);
+};
+
+const closedDayError = () => ({
+  success: false,
+  message: 'Today is closed for this branch; a reopen is needed before taking payments'
+});
+
+/**
+ * Get outstanding balances by customer with their age (active branch, or all branches for owners)
+ * Records without a known customer are grouped together (customer: null)
+ */
+const getReceivables = async (req, res) => {
+  try {
+    const now = new Date();
+
+    const records = await prisma.carWash.findMany({
+      where: {
+        ...req.branchFilter,
+        ...openBalanceWhere
+      },
+      select: {
+        ...openRecordSelect,
+        customer: {
+          select: {
+            id: true,
+            name: true,
+            phone: true
+          }
+        }
+      },
+      orderBy: { washDate: 'asc' }
+    });
+
+    const totals = { balance: 0, records: 0, aging: emptyAging() };
+    const byCustomer = {};
+
+    records.forEach(record => {
+      const openRecord = toOpenRecord(record, now);
+      const key = record.customerId || 'none';
+
+      if (!byCustomer[key]) {
+        byCustomer[key] = {
+          customer: record.customer,
+          balance: 0,
+          records: 0,
+          oldestWashDate: record.washDate,
+          aging: emptyAging()
+        };
+      }
+
+      const group = byCustomer[key];
+      group.balance = roundAmount(group.balance + openRecord.balance);
+      group.records += 1;
+      addToAging(group.aging, openRecord);
+
+      totals.balance = roundAmount(totals.balance + openRecord.balance);
+      totals.records += 1;
+      addToAging(totals.aging, openRecord);
+    });
+
+    const customers = Object.values(byCustomer).sort((a, b) => b.balance - a.balance);
+
+    res.json({
+      success: true,
+      data: {
+        branch: req.branch,
+        customers,
+        totals
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching receivables:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch receivables',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a customer's records with a balance, oldest first (active branch, or all branches for owners)
+ */
+const getCustomerReceivables = async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const now = new Date();
+
+    const customer = await prisma.customer.findUnique({
+      where: { id: customerId },
+      select: {
+        id: true,
+        name: true,
+        phone: true
+      }
+    });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const records = await prisma.carWash.findMany({
+      where: {
+        ...req.branchFilter,
+        ...openBalanceWhere,
+        customerId
+      },
+      select: openRecordSelect,
+      orderBy: { washDate: 'asc' }
+    });
+
+    const openRecords = records.map(record => toOpenRecord(record, now));
+
+    res.json({
+      success: true,
+      data: {
+        customer,
+        balance: roundAmount(openRecords.reduce((sum, record) => sum + record.balance, 0)),
+        records: openRecords
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching customer receivables:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch customer receivables',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Record a payment against one car wash record's balance (user's branch)
+ * Body: { method, amount, tendered?, reference? }
+ */
+const settleCarWash = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { method, amount, tendered, reference } = req.body;
+    const branchId = req.branchId;
+
+    const existingRecord = await prisma.carWash.findFirst({
+      where: { id, branchId },
+      select: { id: true, isVoided: true }
+    });
+
+    if (!existingRecord) {
+      return res.status(404).json({
+        success: false,
+        message: 'Car wash record not found in your branch'
+      });
+    }
+
+    if (existingRecord.isVoided) {
+      return res.status(400).json({
+        success: false,
+        message: 'Voided car wash records cannot take payments'
+      });
+    }
+
+    // Payments count towards the day they are received
+    if (await findClosedDay({ branchId, date: new Date() })) {
+      return res.status(400).json(closedDayError());
+    }
+
+    // The record is locked before its balance is read, so a settlement running
+    // alongside waits for this one and then sees its payment
+    const payment = await prisma.$transaction(async (tx) => {
+      await lockCarWashes(tx, [id]);
+
+      const carWash = await tx.carWash.findUnique({
+        where: { id },
+        select: { ...openRecordSelect, isVoided: true }
+      });
+
+      if (carWash.isVoided) {
+        throw badRequest('Voided car wash records cannot take payments');
+      }
+
+      if (carWash.paymentStatus === 'paid') {
+        throw badRequest('Car wash record is already paid');
+      }
+
+      const payment = await recordSettlement(tx, {
+        carWash,
+        line: { method, amount, tendered, reference },
+        receivedById: req.user.id
+      });
+
+      if (payment.error) {
+        throw badRequest(payment.error);
+      }
+
+      // The wash day's payment totals now include this settlement, unless that day is closed
+      await refreshPaymentTotals(tx, { branchId, date: carWash.washDate });
+
+      await recordAudit(tx, req, {
+        action: 'create',
+        entity: 'Payment',
+        entityId: payment.id,
+        after: payment,
+        metadata: { carWashId: id }
+      });
+
+      return payment;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      data: payment
+    });
+
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error recording payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record payment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Record a payment against a customer's balance in user's branch (e.g. a fleet's monthly payment)
+ * The amount settles the oldest records first
+ * Body: { method, amount, reference? }
+ */
+const settleCustomerBalance = async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const { method, reference } = req.body;
+    const amount = roundAmount(parseFloat(req.body.amount));
+    const branchId = req.branchId;
+
+    if (await findClosedDay({ branchId, date: new Date() })) {
+      return res.status(400).json(closedDayError());
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const balanceWhere = { ...openBalanceWhere, branchId, customerId };
+
+      // Lock the open records, then read their balances again: one paid off in
+      // the meantime drops out
+      const openIds = await tx.carWash.findMany({ where: balanceWhere, select: { id: true } });
+      await lockCarWashes(tx, openIds.map(record => record.id));
+
+      const records = await tx.carWash.findMany({
+        where: {
+          ...balanceWhere,
+          id: { in: openIds.map(record => record.id) }
+        },
+        select: openRecordSelect,
+        orderBy: { washDate: 'asc' }
+      });
+
+      const balance = roundAmount(records.reduce((sum, record) => sum + record.totalAmount - record.amountPaid, 0));
+
+      if (records.length === 0) {
+        throw badRequest('Customer has no outstanding balance in this branch');
+      }
+
+      if (amount > balance) {
+        throw badRequest(`Payment of ${amount} is more than the balance of ${balance}`);
+      }
+
+      const payments = [];
+      const washDays = new Set();
+      const timeZone = await getBranchTimeZone(branchId, tx);
+      let left = amount;
+
+      for (const carWash of records) {
+        if (left === 0) break;
+
+        const lineAmount = Math.min(left, roundAmount(carWash.totalAmount - carWash.amountPaid));
+
+        const payment = await recordSettlement(tx, {
+          carWash,
+          line: { method, amount: lineAmount, reference },
+          receivedById: req.user.id
+        });
+
+        if (payment.error) {
+          throw badRequest(payment.error);
+        }
+
+        payments.push(payment);
+        washDays.add(formatDate(carWash.washDate, timeZone));
+        left = roundAmount(left - lineAmount);
+      }
+
+      for (const day of washDays) {
+        await refreshPaymentTotals(tx, { branchId, date: day });
+      }
+
+      await recordAudit(tx, req, {
+        action: 'create',
+        entity: 'Payment',
+        after: payments,
+        metadata: { customerId, amount, carWashIds: payments.map(payment => payment.carWashId) }
+      });
+
+      return { payments, balance: roundAmount(balance - amount) };
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Customer payment recorded successfully',
+      data: result
+    });
+
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error recording customer payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record customer payment',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getReceivables,
+  getCustomerReceivables,
+  settleCarWash,
+  settleCustomerBalance
+};
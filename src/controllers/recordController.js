@@ -1,52 +1,284 @@
 const prisma = require('../config/database');
+const { getCommissionResolver } = require('../services/commissionService');
+const { assignSpecialists, markSpecialistsAssigned } = require('../services/specialistService');
+const {
+  recomputeDailySummaries,
+  findClosedDay,
+  combineCompanyTotals,
+  toPaymentMethods,
+  sumCompanySummaries,
+  sumItemSummaries
+} = require('../services/summaryService');
+const { recordAudit } = require('../services/auditService');
+const { getBranchServiceItems, withCurrentItemPrices } = require('../services/pricingService');
+const { matchCustomerAndVehicle, normalizePlate, normalizePhone } = require('../services/customerService');
+const { LOYALTY_DISCOUNT_TYPES, applyLoyalty, saveLoyaltyEntries } = require('../services/loyaltyService');
+const { toPricingLines, applyDiscounts, finalizePricing } = require('../services/discountService');
+const { PAYMENT_METHODS, resolvePayments, diffPaymentLines, lockCarWashes } = require('../services/paymentService');
+const { getRequestTimeZone } = require('../services/branchAccessService');
+const { hasPermission, getBackdateWindowHours } = require('../config/roles');
+const { badRequest } = require('../utils/errors');
+const { DEFAULT_TIME_ZONE, parseDateRange, toSummaryDate } = require('../utils/dateRange');
 
 /**
- * Calculate payment split for a service item
- * Regular items: 60% company, 40% washer
- * Special items (engine, radiator, condenser): (amount/3)*2 company, amount/3 washer
- * Rug: 50% company, 50% washer
- * 
- * Note: Special items (engine, radiator, condenser) are ALWAYS credited to "idowu" regardless of who washed them
- * Note: Rug has 50/50 split and is credited to the assigned washer
+ * Whether a submitted item replaces its catalogue price
  */
-const calculatePaymentSplit = (serviceItemName, price) => {
-  const specialItems = ['engine', 'radiator', 'condenser'];
-  const isSpecialItem = specialItems.some(item => 
-    serviceItemName.toLowerCase().includes(item)
-  );
-  
-  const isRug = serviceItemName.toLowerCase().includes('rug');
-
-  if (isSpecialItem) {
-    const washerShare = price / 3;
-    const companyShare = (price / 3) * 2;
-    return { companyShare, washerShare };
-  } else if (isRug) {
-    const washerShare = price * 0.5;
-    const companyShare = price * 0.5;
-    return { companyShare, washerShare };
-  } else {
-    const companyShare = price * 0.6;
-    const washerShare = price * 0.4;
-    return { companyShare, washerShare };
+const hasPriceOverride = (item) => item.overridePrice !== undefined && item.overridePrice !== null;
+
+/**
+ * Check manual price changes on a request (price overrides, item and record discounts):
+ * only managers can approve them, and each needs a reason
+ * Returns { status, message } when they are not allowed, otherwise null
+ */
+const checkManualAdjustments = (req, { items = [], discount }) => {
+  const adjustments = [
+    ...items.filter(hasPriceOverride).map(item => item.overrideReason),
+    ...items.filter(item => item.discount).map(item => item.discount.reason),
+    ...(discount ? [discount.reason] : [])
+  ];
+
+  if (adjustments.length === 0) return null;
+
+  if (!hasPermission(req.user.role, 'discounts:approve')) {
+    return { status: 403, message: 'Manual discounts and price overrides must be approved by a manager' };
+  }
+
+  if (adjustments.some(reason => !reason || !String(reason).trim())) {
+    return { status: 400, message: 'A reason is required for every manual discount and price override' };
+  }
+
+  return null;
+};
+
+// Tolerance for client clocks running slightly ahead of the server
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Check an explicit washDate: not in the future, and no further back than the
+ * user's role may backdate (see BACKDATE_WINDOW_HOURS)
+ * Returns an error message, or null when the date is allowed
+ */
+const checkWashDate = (req, { washDate, enteredAt }) => {
+  if (isNaN(washDate.getTime())) {
+    return 'washDate must be a valid date';
+  }
+
+  if (washDate - enteredAt > CLOCK_SKEW_MS) {
+    return 'washDate cannot be in the future';
+  }
+
+  const windowHours = getBackdateWindowHours(req.user.role);
+  if (enteredAt - washDate > windowHours * 60 * 60 * 1000) {
+    return `Your role can only backdate car washes by up to ${windowHours} hours`;
   }
+
+  return null;
 };
 
 /**
- * Check if service item is a special item (engine, radiator, condenser)
- * Note: Rug is NOT included here as it doesn't require Idowu assignment
+ * Resolve submitted items ({ washerName, serviceItemName, customPrice, overridePrice,
+ * overrideReason, discount }) for a branch: look up washers and service items (with the
+ * branch's availability and the prices valid on washDate), apply custom prices and
+ * approved overrides, route specialist items and snapshot the commission split in
+ * effect on washDate
+ * Returns { error, detail } when the items are invalid
  */
-const isSpecialItem = (serviceItemName) => {
-  const specialItems = ['engine', 'radiator', 'condenser'];
-  return specialItems.some(item => 
-    serviceItemName.toLowerCase().includes(item)
+const resolveCarWashItems = async ({ branchId, items, washDate, approvedById }) => {
+  // Extract unique washer and service item names
+  const washerNames = [...new Set(items.map(item => item.washerName))];
+  const serviceItemNames = [...new Set(items.map(item => item.serviceItemName))];
+
+  // Fetch washers and service items by name (washers filtered by branch)
+  const [washers, serviceItems] = await Promise.all([
+    prisma.washer.findMany({
+      where: { 
+        name: { in: washerNames }, 
+        isActive: true,
+        branchId
+      }
+    }),
+    getBranchServiceItems({
+      branchId,
+      where: { name: { in: serviceItemNames }, isActive: true },
+      date: washDate
+    })
+  ]);
+
+  // Create name-to-id maps
+  const washerMap = Object.fromEntries(washers.map(w => [w.name, w.id]));
+  const serviceItemMap = Object.fromEntries(
+    serviceItems.map(s => [s.name, s])
   );
+
+  // Validate all washers exist in this branch
+  const missingWashers = washerNames.filter(name => !washerMap[name]);
+  if (missingWashers.length > 0) {
+    return { error: `Washers not found, inactive, or not in your branch: ${missingWashers.join(', ')}` };
+  }
+
+  // Validate all service items exist
+  const missingServiceItems = serviceItemNames.filter(name => !serviceItemMap[name]);
+  if (missingServiceItems.length > 0) {
+    return { error: `Service items not found or inactive: ${missingServiceItems.join(', ')}` };
+  }
+
+  // Validate all service items are offered at this branch
+  const unavailableServiceItems = serviceItemNames.filter(name => !serviceItemMap[name].isAvailable);
+  if (unavailableServiceItems.length > 0) {
+    return { error: `Service items not available at this branch: ${unavailableServiceItems.join(', ')}` };
+  }
+
+  // Validate variable pricing items
+  const itemsWithMissingPrices = [];
+  for (const item of items) {
+    const serviceItemData = serviceItemMap[item.serviceItemName];
+    
+    // If service item has price = 0 (variable pricing), custom price is required
+    if (serviceItemData.price === 0 && !hasPriceOverride(item)) {
+      if (!item.customPrice || item.customPrice <= 0) {
+        itemsWithMissingPrices.push(item.serviceItemName);
+      }
+    }
+  }
+
+  if (itemsWithMissingPrices.length > 0) {
+    return {
+      error: `Custom price required for variable pricing items: ${itemsWithMissingPrices.join(', ')}`,
+      detail: 'These items require a "customPrice" field with a value greater than 0'
+    };
+  }
+
+  // Convert items to use IDs and resolve the final price of each item
+  const itemsWithWashers = items.map(item => {
+    const serviceItemData = serviceItemMap[item.serviceItemName];
+    
+    // Use custom price if provided and service item has variable pricing (price = 0)
+    // Otherwise use the fixed price (branch override or global default)
+    const catalogPrice = serviceItemData.price === 0 && item.customPrice 
+      ? parseFloat(item.customPrice) 
+      : serviceItemData.price;
+
+    // A manager-approved override replaces the price; the catalogue price is kept
+    const override = hasPriceOverride(item);
+
+    return {
+      washerId: washerMap[item.washerName],
+      washerName: item.washerName,
+      serviceItem: serviceItemData,
+      price: override ? parseFloat(item.overridePrice) : catalogPrice,
+      listPrice: override ? catalogPrice : null,
+      overrideReason: override ? item.overrideReason : null,
+      overrideApprovedById: override ? approvedById : null,
+      discount: item.discount
+    };
+  });
+
+  // Items that require a specialist are credited to a certified washer,
+  // following each service item's fallback policy
+  const routing = await assignSpecialists({ branchId, items: itemsWithWashers });
+
+  if (routing.errors.length > 0) {
+    return { error: `Specialist required for: ${routing.errors.join(', ')}` };
+  }
+
+  // Snapshot the commission split on each item so later rule or price
+  // changes never alter this record's payouts
+  const splitPayment = await getCommissionResolver({ branchId });
+
+  const itemsWithIds = routing.items.map((item, index) => ({
+    washerId: item.washerId,
+    serviceItemId: item.serviceItem.id,
+    price: item.price,
+    listPrice: item.listPrice,
+    overrideReason: item.overrideReason,
+    overrideApprovedById: item.overrideApprovedById,
+    discount: item.discount,
+    ...splitPayment({
+      serviceItemId: item.serviceItem.id,
+      branchId,
+      date: washDate,
+      price: item.price
+    }),
+    originalWasherName: itemsWithWashers[index].washerName,
+    actualWasherName: item.washerName
+  }));
+
+  return {
+    itemsWithIds,
+    queuedSpecialtyIds: routing.queuedSpecialtyIds
+  };
+};
+
+/**
+ * Price resolved items for a record: manual discounts and the promo code first,
+ * then loyalty rewards on what is left to pay
+ * Throws a 400 (rolling back the transaction) when a discount cannot be applied
+ * Returns { items, discounts, loyaltyEntries, grossAmount, discountAmount, totalAmount }
+ */
+const priceCarWashItems = async (tx, { items, branchId, customerId, washDate, discount, promoCode, promoEnteredAt, redeemPoints, approvedById }) => {
+  const lines = toPricingLines(items);
+
+  const adjustments = await applyDiscounts(tx, {
+    lines,
+    branchId,
+    customerId,
+    date: washDate,
+    discount,
+    promoCode,
+    promoEnteredAt,
+    approvedById
+  });
+
+  if (adjustments.error) {
+    throw badRequest(adjustments.error);
+  }
+
+  const loyalty = await applyLoyalty(tx, { customerId, branchId, lines, redeemPoints });
+
+  if (loyalty.error) {
+    throw badRequest(loyalty.error);
+  }
+
+  const discounts = [...adjustments.discounts, ...loyalty.discounts];
+
+  return {
+    ...finalizePricing(lines, discounts),
+    discounts,
+    loyaltyEntries: loyalty.entries
+  };
 };
 
+/**
+ * Data for creating a record's washed items from resolved items
+ */
+const toWashedItemData = (item) => ({
+  washerId: item.washerId,
+  serviceItemId: item.serviceItemId,
+  price: item.price,
+  discountAmount: item.discountAmount,
+  listPrice: item.listPrice,
+  overrideReason: item.overrideReason,
+  overrideApprovedById: item.overrideApprovedById,
+  companyShare: item.companyShare,
+  washerShare: item.washerShare,
+  commissionRuleId: item.commissionRuleId,
+  commissionRuleVersion: item.commissionRuleVersion
+});
+
+/**
+ * Create a car wash record in user's branch
+ * washDate defaults to now; an earlier date is allowed within the user's backdating
+ * window, and the record counts towards that day's summaries
+ */
 const createCarWashRecord = async (req, res) => {
   try {
-    const { carNumber, carModel, customerName, customerPhone, paymentMethod, items } = req.body;
-    const branchId = req.user.branchId;
+    const { carNumber, carModel, customerName, customerPhone, paymentMethod, payments, items, discount, promoCode, redeemPoints } = req.body;
+    const branchId = req.branchId;
+
+    // Washes entered later (after midnight, or from paper the next morning) carry their own date
+    const enteredAt = new Date();
+    const washDate = req.body.washDate ? new Date(req.body.washDate) : enteredAt;
+    const backdated = enteredAt - washDate > CLOCK_SKEW_MS;
 
     // Validate required fields
     if (!items || !Array.isArray(items) || items.length === 0) {
@@ -57,129 +289,89 @@ const createCarWashRecord = async (req, res) => {
     }
 
     // Validate payment method
-    if (paymentMethod && !['cash', 'transfer'].includes(paymentMethod.toLowerCase())) {
+    if (paymentMethod && !PAYMENT_METHODS.includes(paymentMethod.toLowerCase())) {
       return res.status(400).json({
         success: false,
-        message: 'Payment method must be either "cash" or "transfer"'
+        message: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`
       });
     }
 
-    // Extract unique washer and service item names
-    const washerNames = [...new Set(items.map(item => item.washerName))];
-    const serviceItemNames = [...new Set(items.map(item => item.serviceItemName))];
-
-    // Fetch washers and service items by name (washers filtered by branch)
-    const [washers, serviceItems] = await Promise.all([
-      prisma.washer.findMany({
-        where: { 
-          name: { in: washerNames }, 
-          isActive: true,
-          branchId
-        }
-      }),
-      prisma.serviceItem.findMany({
-        where: { name: { in: serviceItemNames }, isActive: true }
-      })
-    ]);
-
-    // Find "idowu" washer in this branch for special items
-    const IdowuWasher = await prisma.washer.findFirst({
-      where: {
-        name: { equals: 'Idowu', mode: 'insensitive' },
-        branchId,
-        isActive: true
-      }
-    });
-
-    // Check if there are special items but no idowu in this branch
-    const hasSpecialItems = items.some(item => isSpecialItem(item.serviceItemName));
-    if (hasSpecialItems && !IdowuWasher) {
-      return res.status(400).json({
+    const adjustmentError = checkManualAdjustments(req, { items, discount });
+    if (adjustmentError) {
+      return res.status(adjustmentError.status).json({
         success: false,
-        message: 'Special items (Engine, Radiator, Condenser) require washer "Idowu" to be active in your branch'
+        message: adjustmentError.message
       });
     }
 
-    // Create name-to-id maps
-    const washerMap = Object.fromEntries(washers.map(w => [w.name, w.id]));
-    const serviceItemMap = Object.fromEntries(
-      serviceItems.map(s => [s.name, { id: s.id, price: s.price }])
-    );
-
-    // Validate all washers exist in this branch
-    const missingWashers = washerNames.filter(name => !washerMap[name]);
-    if (missingWashers.length > 0) {
-      return res.status(400).json({
-        success: false,
-        message: `Washers not found, inactive, or not in your branch: ${missingWashers.join(', ')}`
-      });
+    if (req.body.washDate) {
+      const washDateError = checkWashDate(req, { washDate, enteredAt });
+      if (washDateError) {
+        return res.status(400).json({
+          success: false,
+          message: washDateError
+        });
+      }
     }
 
-    // Validate all service items exist
-    const missingServiceItems = serviceItemNames.filter(name => !serviceItemMap[name]);
-    if (missingServiceItems.length > 0) {
+    if (await findClosedDay({ branchId, date: washDate })) {
       return res.status(400).json({
         success: false,
-        message: `Service items not found or inactive: ${missingServiceItems.join(', ')}`
+        message: 'This day is closed; a reopen is needed before car washes can be added to it'
       });
     }
 
-    // Validate variable pricing items
-    const itemsWithMissingPrices = [];
-    for (const item of items) {
-      const serviceItemData = serviceItemMap[item.serviceItemName];
-      
-      // If service item has price = 0 (variable pricing), custom price is required
-      if (serviceItemData.price === 0) {
-        if (!item.customPrice || item.customPrice <= 0) {
-          itemsWithMissingPrices.push(item.serviceItemName);
-        }
-      }
-    }
+    const resolved = await resolveCarWashItems({ branchId, items, washDate, approvedById: req.user.id });
 
-    if (itemsWithMissingPrices.length > 0) {
+    if (resolved.error) {
       return res.status(400).json({
         success: false,
-        message: `Custom price required for variable pricing items: ${itemsWithMissingPrices.join(', ')}`,
-        detail: 'These items require a "customPrice" field with a value greater than 0'
-      });
-    }
-
-    // Convert items to use IDs and calculate total amount
-    // IMPORTANT: Special items (engine, radiator, condenser) are assigned to idowu, not the original washer
-    const itemsWithIds = items.map(item => {
-      const serviceItemName = item.serviceItemName;
-      const serviceItemData = serviceItemMap[serviceItemName];
-      
-      // Use custom price if provided and service item has variable pricing (price = 0)
-      // Otherwise use the fixed price from service item
-      const finalPrice = serviceItemData.price === 0 && item.customPrice 
-        ? parseFloat(item.customPrice) 
-        : serviceItemData.price;
-      
-      // If special item (engine, radiator, condenser), assign to idowu
-      // Otherwise use the specified washer (including Rug which goes to assigned washer)
-      const actualWasherId = isSpecialItem(serviceItemName) 
-        ? IdowuWasher.id 
-        : washerMap[item.washerName];
-
-      return {
-        washerId: actualWasherId,
-        serviceItemId: serviceItemData.id,
-        price: finalPrice,
-        originalWasherName: item.washerName,
-        actualWasherName: isSpecialItem(serviceItemName) ? 'Idowu' : item.washerName
-      };
-    });
+        message: resolved.error,
+        detail: resolved.detail
+      });
+    }
 
-    // Calculate total amount
-    const totalAmount = itemsWithIds.reduce((sum, item) => sum + item.price, 0);
+    const { itemsWithIds, queuedSpecialtyIds } = resolved;
 
-    // Get all unique washer IDs involved (including idowu for special items)
+    // Get all unique washer IDs involved (including specialists items were routed to)
     const allInvolvedWasherIds = [...new Set(itemsWithIds.map(item => item.washerId))];
 
     // Create car wash record with all related data in a transaction
     const result = await prisma.$transaction(async (tx) => {
+      // Move queued specialists to the back of the queue
+      await markSpecialistsAssigned(tx, queuedSpecialtyIds);
+
+      // Recognise repeat customers by phone and vehicles by plate
+      const { customerId, vehicleId } = await matchCustomerAndVehicle(tx, {
+        carNumber,
+        carModel,
+        customerName,
+        customerPhone
+      });
+
+      // Discounts, promo code and loyalty rewards come off the total as discount lines
+      const pricing = await priceCarWashItems(tx, {
+        items: itemsWithIds,
+        branchId,
+        customerId,
+        washDate,
+        discount,
+        promoCode,
+        redeemPoints: redeemPoints ? parseInt(redeemPoints, 10) : 0,
+        approvedById: req.user.id
+      });
+
+      // Payment lines may cover part of the net total; the rest is owed
+      const payment = resolvePayments({
+        payments,
+        paymentMethod,
+        totalAmount: pricing.totalAmount,
+        receivedById: req.user.id
+      });
+      if (payment.error) {
+        throw badRequest(payment.error);
+      }
+
       // 1. Create the car wash record with branch assignment
       const carWash = await tx.carWash.create({
         data: {
@@ -188,14 +380,23 @@ const createCarWashRecord = async (req, res) => {
           carModel,
           customerName,
           customerPhone,
-          paymentMethod,
-          totalAmount,
+          customerId,
+          vehicleId,
+          paymentMethod: payment.paymentMethod,
+          amountPaid: payment.amountPaid,
+          paymentStatus: payment.paymentStatus,
+          grossAmount: pricing.grossAmount,
+          discountAmount: pricing.discountAmount,
+          totalAmount: pricing.totalAmount,
+          washDate,
           washedItems: {
-            create: itemsWithIds.map(item => ({
-              washerId: item.washerId,
-              serviceItemId: item.serviceItemId,
-              price: item.price
-            }))
+            create: pricing.items.map(toWashedItemData)
+          },
+          discounts: {
+            create: pricing.discounts
+          },
+          payments: {
+            create: payment.payments
           },
           washers: {
             connect: allInvolvedWasherIds.map(id => ({ id }))
@@ -209,6 +410,8 @@ const createCarWashRecord = async (req, res) => {
             }
           },
           washers: true,
+          discounts: true,
+          payments: true,
           branch: {
             select: {
               id: true,
@@ -219,76 +422,20 @@ const createCarWashRecord = async (req, res) => {
         }
       });
 
-      // 2. Update daily summaries for each washer
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-
-      // Count items per washer
-      const washerItemCounts = itemsWithIds.reduce((acc, item) => {
-        acc[item.washerId] = (acc[item.washerId] || 0) + 1;
-        return acc;
-      }, {});
-
-      // Check if washer was already involved in a car today
-      const washerCarInvolvement = {};
-      
-      for (const washerId of allInvolvedWasherIds) {
-        const existingCarWashes = await tx.carWash.findMany({
-          where: {
-            branchId,
-            washDate: { gte: today },
-            washers: { some: { id: washerId } }
-          },
-          select: { id: true }
-        });
-        washerCarInvolvement[washerId] = !existingCarWashes.some(cw => cw.id === carWash.id);
-      }
+      await saveLoyaltyEntries(tx, { carWash, customerId, entries: pricing.loyaltyEntries });
 
-      for (const washerId of allInvolvedWasherIds) {
-        await tx.dailySummary.upsert({
-          where: {
-            washerId_date_branchId: {
-              washerId,
-              date: today,
-              branchId
-            }
-          },
-          update: {
-            totalCarsWashed: {
-              increment: washerCarInvolvement[washerId] ? 1 : 0
-            },
-            totalItemsWashed: {
-              increment: washerItemCounts[washerId] || 0
-            }
-          },
-          create: {
-            washerId,
-            branchId,
-            date: today,
-            totalCarsWashed: washerCarInvolvement[washerId] ? 1 : 0,
-            totalItemsWashed: washerItemCounts[washerId] || 0
-          }
-        });
-      }
+      // 2. Update the daily summaries of the day the wash was done
+      await recomputeDailySummaries(tx, {
+        branchId,
+        date: washDate,
+        washerIds: allInvolvedWasherIds
+      });
 
-      // 3. Update company daily summary for this branch
-      await tx.companyDailySummary.upsert({
-        where: { 
-          branchId_date: { 
-            branchId,
-            date: today 
-          }
-        },
-        update: {
-          totalCarsWashed: { increment: 1 },
-          totalItemsWashed: { increment: itemsWithIds.length }
-        },
-        create: {
-          branchId,
-          date: today,
-          totalCarsWashed: 1,
-          totalItemsWashed: itemsWithIds.length
-        }
+      await recordAudit(tx, req, {
+        action: 'create',
+        entity: 'CarWash',
+        after: carWash,
+        metadata: backdated ? { backdated: true, washDate, enteredAt } : undefined
       });
 
       return carWash;
@@ -297,10 +444,17 @@ const createCarWashRecord = async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Car wash record created successfully',
-      data: result
+      data: (await withCurrentItemPrices([result]))[0]
     });
 
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Error creating car wash record:', error);
     res.status(500).json({
       success: false,
@@ -317,10 +471,15 @@ const getWasherDailySummary = async (req, res) => {
   try {
     const { washerId } = req.params;
     const { date } = req.query;
-    const branchId = req.user.branchId;
+    const branchId = req.branchId;
 
-    const targetDate = date ? new Date(date) : new Date();
-    targetDate.setHours(0, 0, 0, 0);
+    const range = parseDateRange({ date }, getRequestTimeZone(req));
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
 
     // Verify washer belongs to user's branch
     const washer = await prisma.washer.findFirst({
@@ -338,7 +497,7 @@ const getWasherDailySummary = async (req, res) => {
       where: {
         washerId_date_branchId: {
           washerId,
-          date: targetDate,
+          date: toSummaryDate(range.from),
           branchId
         }
       },
@@ -382,136 +541,61 @@ const getWasherDailySummary = async (req, res) => {
   }
 };
 
+/**
+ * Company summary fields of the daily reports, from rolled-up totals
+ */
+const toCompanySummary = (totals) => ({
+  totalEarnings: totals.grossAmount,
+  totalDiscounts: totals.discountAmount,
+  netEarnings: totals.netAmount,
+  loyaltyCost: totals.loyaltyCost,
+  companyShare: totals.companyShare,
+  workerShare: totals.washerShare,
+  totalJobs: totals.totalCarsWashed,
+  totalItemsWashed: totals.totalItemsWashed
+});
+
+/**
+ * Items breakdown line of the daily reports, from a rolled-up item
+ */
+const toItemWashed = (item) => ({
+  itemName: item.itemName,
+  quantity: item.quantity,
+  totalEarnings: item.grossAmount,
+  companyEarning: item.companyShare,
+  workerShare: item.washerShare
+});
+
 /**
  * Get company daily summary with items breakdown for user's branch
  */
 const getCompanyDailySummary = async (req, res) => {
   try {
     const { date } = req.query;
-    const branchId = req.user.branchId;
-
-    const targetDate = date ? new Date(date) : new Date();
-    const startOfDay = new Date(targetDate);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(targetDate);
-    endOfDay.setHours(23, 59, 59, 999);
-
-    // Fetch all car wash records for the day in this branch
-    const carWashRecords = await prisma.carWash.findMany({
-      where: {
-        branchId,
-        washDate: {
-          gte: startOfDay,
-          lte: endOfDay
-        }
-      },
-      select: {
-        id: true,
-        totalAmount: true,
-        paymentMethod: true
-      }
-    });
-
-    // Fetch all washed items for the day in this branch
-    const washedItems = await prisma.washedItem.findMany({
-      where: {
-        carWash: {
-          branchId,
-          washDate: {
-            gte: startOfDay,
-            lte: endOfDay
-          }
-        }
-      },
-      include: {
-        serviceItem: {
-          select: {
-            name: true,
-            price: true
-          }
-        }
-      }
-    });
-
-    let totalSales = 0;
-    let companyEarnings = 0;
-    let washerEarnings = 0;
-    const paymentMethods = {
-      cash: 0,
-      transfer: 0
-    };
-
-    // Group items by service item name and calculate
-    const itemsSummary = {};
-
-    // Calculate payment method totals from carWash records
-    carWashRecords.forEach(record => {
-      if (record.paymentMethod) {
-        const method = record.paymentMethod.toLowerCase();
-        if (method === 'cash' || method === 'transfer') {
-          paymentMethods[method] += record.totalAmount;
-        }
-      }
-    });
-
-    // Calculate earnings and group items
-    // NOTE: For variable pricing items (like Rug), use the stored price from washedItem
-    washedItems.forEach(item => {
-      // Use the stored price if available (for variable pricing), otherwise use service item price
-      const price = item.price || item.serviceItem.price;
-      const serviceItemName = item.serviceItem.name;
-      const { companyShare, washerShare } = calculatePaymentSplit(serviceItemName, price);
-
-      totalSales += price;
-      companyEarnings += companyShare;
-      washerEarnings += washerShare;
-
-      // Group by item name
-      if (!itemsSummary[serviceItemName]) {
-        itemsSummary[serviceItemName] = {
-          itemName: serviceItemName,
-          quantity: 0,
-          totalEarnings: 0,
-          companyEarning: 0,
-          workerShare: 0
-        };
-      }
-
-      itemsSummary[serviceItemName].quantity += 1;
-      itemsSummary[serviceItemName].totalEarnings += price;
-      itemsSummary[serviceItemName].companyEarning += companyShare;
-      itemsSummary[serviceItemName].workerShare += washerShare;
-    });
+    const branchId = req.branchId;
 
-    // Convert to array and round values
-    const itemsWashed = Object.values(itemsSummary).map(item => ({
-      itemName: item.itemName,
-      quantity: item.quantity,
-      totalEarnings: Math.round(item.totalEarnings * 100) / 100,
-      companyEarning: Math.round(item.companyEarning * 100) / 100,
-      workerShare: Math.round(item.workerShare * 100) / 100
-    }));
+    const range = parseDateRange({ date }, getRequestTimeZone(req));
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
 
-    // Sort by total earnings (descending)
-    itemsWashed.sort((a, b) => b.totalEarnings - a.totalEarnings);
+    // Read from the day's rollups, kept up to date with every record change
+    const [totals, items] = await Promise.all([
+      sumCompanySummaries({ where: { branchId }, from: range.from, to: range.to }),
+      sumItemSummaries({ where: { branchId }, from: range.from, to: range.to })
+    ]);
 
     res.json({
       success: true,
       data: {
-        branch: req.user.branch,
-        date: targetDate.toISOString().split('T')[0],
-        summary: {
-          totalEarnings: Math.round(totalSales * 100) / 100,
-          companyShare: Math.round(companyEarnings * 100) / 100,
-          workerShare: Math.round(washerEarnings * 100) / 100,
-          totalJobs: carWashRecords.length,
-          totalItemsWashed: washedItems.length
-        },
-        itemsWashed,
-        paymentMethods: {
-          cash: Math.round(paymentMethods.cash * 100) / 100,
-          transfer: Math.round(paymentMethods.transfer * 100) / 100
-        }
+        branch: req.branch,
+        date: range.from,
+        summary: toCompanySummary(totals),
+        itemsWashed: items.map(toItemWashed),
+        paymentMethods: toPaymentMethods(totals)
       }
     });
 
@@ -531,15 +615,19 @@ const getCompanyDailySummary = async (req, res) => {
 const getAllWashersDailySummary = async (req, res) => {
   try {
     const { date } = req.query;
-    const branchId = req.user.branchId;
 
-    const targetDate = date ? new Date(date) : new Date();
-    targetDate.setHours(0, 0, 0, 0);
+    const range = parseDateRange({ date }, getRequestTimeZone(req));
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
 
     const summaries = await prisma.dailySummary.findMany({
       where: { 
-        date: targetDate,
-        branchId
+        date: toSummaryDate(range.from),
+        ...req.branchFilter
       },
       include: {
         washer: {
@@ -577,22 +665,54 @@ const getAllWashersDailySummary = async (req, res) => {
   }
 };
 
+// Fields car wash records can be sorted by (ties broken by ID, so cursors stay stable)
+const RECORD_SORT_FIELDS = ['washDate', 'createdAt', 'totalAmount'];
+
+const DEFAULT_RECORD_PAGE_SIZE = 50;
+const MAX_RECORD_PAGE_SIZE = 200;
+
 /**
- * Get detailed car wash records for a date in user's branch
+ * Search car wash records in user's branch, a page at a time
+ * Defaults to today's records, newest first; voided records are only returned with includeVoided=true
+ * Pass the returned nextCursor as ?cursor= to get the next page
  */
 const getCarWashRecords = async (req, res) => {
   try {
-    const { date, washerId } = req.query;
-    const branchId = req.user.branchId;
+    const {
+      washerId,
+      serviceItemId,
+      paymentMethod,
+      search,
+      minAmount,
+      maxAmount,
+      includeVoided,
+      cursor
+    } = req.query;
+
+    const sortBy = req.query.sortBy || 'washDate';
+    if (!RECORD_SORT_FIELDS.includes(sortBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `sortBy must be one of: ${RECORD_SORT_FIELDS.join(', ')}`
+      });
+    }
+
+    const sortOrder = req.query.sortOrder === 'asc' ? 'asc' : 'desc';
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_RECORD_PAGE_SIZE, 1), MAX_RECORD_PAGE_SIZE);
+
+    const range = parseDateRange(req.query, getRequestTimeZone(req));
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
 
-    const targetDate = date ? new Date(date) : new Date();
-    const startOfDay = new Date(targetDate);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(targetDate);
-    endOfDay.setHours(23, 59, 59, 999);
+    const { startOfDay, endOfDay } = range;
 
     const whereClause = {
-      branchId,
+      ...req.branchFilter,
+      ...(includeVoided !== 'true' && { isVoided: false }),
       washDate: {
         gte: startOfDay,
         lte: endOfDay
@@ -602,7 +722,7 @@ const getCarWashRecords = async (req, res) => {
     if (washerId) {
       // Verify washer belongs to this branch
       const washer = await prisma.washer.findFirst({
-        where: { id: washerId, branchId }
+        where: { id: washerId, ...req.branchFilter }
       });
 
       if (!washer) {
@@ -617,50 +737,104 @@ const getCarWashRecords = async (req, res) => {
       };
     }
 
-    const records = await prisma.carWash.findMany({
-      where: whereClause,
-      include: {
-        washedItems: {
-          include: {
-            washer: {
-              select: {
-                id: true,
-                name: true
-              }
-            },
-            serviceItem: {
-              select: {
-                id: true,
-                name: true,
-                description: true,
-                price: true
+    if (serviceItemId) {
+      whereClause.washedItems = {
+        some: { serviceItemId }
+      };
+    }
+
+    // A method matches every record with a line paid that way, split ones included
+    if (paymentMethod === 'split') {
+      whereClause.paymentMethod = 'split';
+    } else if (paymentMethod) {
+      whereClause.payments = {
+        some: { method: paymentMethod }
+      };
+    }
+
+    if (minAmount !== undefined || maxAmount !== undefined) {
+      whereClause.totalAmount = {
+        ...(minAmount !== undefined && { gte: parseFloat(minAmount) }),
+        ...(maxAmount !== undefined && { lte: parseFloat(maxAmount) })
+      };
+    }
+
+    // Plate, car model or customer (name or phone) containing the search text
+    if (search) {
+      const plate = normalizePlate(search);
+      const phone = normalizePhone(search);
+
+      whereClause.OR = [
+        { carNumber: { contains: search, mode: 'insensitive' } },
+        { carModel: { contains: search, mode: 'insensitive' } },
+        { customerName: { contains: search, mode: 'insensitive' } },
+        { customer: { name: { contains: search, mode: 'insensitive' } } },
+        ...(plate ? [{ vehicle: { normalizedPlate: { contains: plate } } }] : []),
+        ...(phone ? [{ customer: { normalizedPhone: { contains: phone } } }] : [])
+      ];
+    }
+
+    const [records, total] = await Promise.all([
+      prisma.carWash.findMany({
+        where: whereClause,
+        include: {
+          washedItems: {
+            include: {
+              washer: {
+                select: {
+                  id: true,
+                  name: true
+                }
+              },
+              serviceItem: {
+                select: {
+                  id: true,
+                  name: true,
+                  description: true,
+                  price: true
+                }
               }
             }
+          },
+          washers: {
+            select: {
+              id: true,
+              name: true
+            }
+          },
+          discounts: true,
+          payments: true,
+          branch: {
+            select: {
+              id: true,
+              name: true,
+              code: true
+            }
           }
         },
-        washers: {
-          select: {
-            id: true,
-            name: true
-          }
-        },
-        branch: {
-          select: {
-            id: true,
-            name: true,
-            code: true
-          }
-        }
-      },
-      orderBy: {
-        washDate: 'desc'
-      }
-    });
+        orderBy: [{ [sortBy]: sortOrder }, { id: sortOrder }],
+        // One extra record tells whether there is another page
+        take: limit + 1,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 })
+      }),
+      prisma.carWash.count({ where: whereClause })
+    ]);
+
+    const hasMore = records.length > limit;
+    const page = hasMore ? records.slice(0, limit) : records;
 
     res.json({
       success: true,
-      data: records,
-      count: records.length
+      data: await withCurrentItemPrices(page),
+      count: page.length,
+      pagination: {
+        limit,
+        total,
+        sortBy,
+        sortOrder,
+        hasMore,
+        nextCursor: hasMore ? page[page.length - 1].id : null
+      }
     });
 
   } catch (error) {
@@ -674,18 +848,21 @@ const getCarWashRecords = async (req, res) => {
 };
 
 /**
- * Get company daily summary for ALL branches (Super Admin only)
+ * Get company daily summary for ALL branches (owners only)
  * @route GET /api/records/company-summary-all
  */
 const getCompanyDailySummaryAllBranches = async (req, res) => {
   try {
     const { date } = req.query;
 
-    const targetDate = date ? new Date(date) : new Date();
-    const startOfDay = new Date(targetDate);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(targetDate);
-    endOfDay.setHours(23, 59, 59, 999);
+    // Rollups are keyed by each branch's own business day
+    const range = parseDateRange({ date }, DEFAULT_TIME_ZONE);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
 
     // Fetch all branches
     const branches = await prisma.branch.findMany({
@@ -699,151 +876,34 @@ const getCompanyDailySummaryAllBranches = async (req, res) => {
       orderBy: { name: 'asc' }
     });
 
-    // Fetch data for each branch
-    const branchSummaries = await Promise.all(
-      branches.map(async (branch) => {
-        // Fetch car wash records for this branch
-        const carWashRecords = await prisma.carWash.findMany({
-          where: {
-            branchId: branch.id,
-            washDate: {
-              gte: startOfDay,
-              lte: endOfDay
-            }
-          },
-          select: {
-            id: true,
-            totalAmount: true,
-            paymentMethod: true
-          }
-        });
-
-        // Fetch washed items for this branch
-        const washedItems = await prisma.washedItem.findMany({
-          where: {
-            carWash: {
-              branchId: branch.id,
-              washDate: {
-                gte: startOfDay,
-                lte: endOfDay
-              }
-            }
-          },
-          include: {
-            serviceItem: {
-              select: {
-                name: true,
-                price: true
-              }
-            }
-          }
-        });
-
-        let totalSales = 0;
-        let companyEarnings = 0;
-        let washerEarnings = 0;
-        const paymentMethods = { cash: 0, transfer: 0 };
-        const itemsSummary = {};
-
-        // Calculate payment methods
-        carWashRecords.forEach(record => {
-          if (record.paymentMethod) {
-            const method = record.paymentMethod.toLowerCase();
-            if (method === 'cash' || method === 'transfer') {
-              paymentMethods[method] += record.totalAmount;
-            }
-          }
-        });
-
-        // Calculate earnings and group items
-        // NOTE: For variable pricing items (like Rug), use the stored price from washedItem
-        washedItems.forEach(item => {
-          // Use the stored price if available (for variable pricing), otherwise use service item price
-          const price = item.price || item.serviceItem.price;
-          const serviceItemName = item.serviceItem.name;
-          const { companyShare, washerShare } = calculatePaymentSplit(serviceItemName, price);
-
-          totalSales += price;
-          companyEarnings += companyShare;
-          washerEarnings += washerShare;
-
-          if (!itemsSummary[serviceItemName]) {
-            itemsSummary[serviceItemName] = {
-              itemName: serviceItemName,
-              quantity: 0,
-              totalEarnings: 0,
-              companyEarning: 0,
-              workerShare: 0
-            };
-          }
+    // One grouped query per rollup table for every branch
+    const where = { branchId: { in: branches.map(branch => branch.id) } };
+    const [branchTotals, branchItems] = await Promise.all([
+      sumCompanySummaries({ where, from: range.from, to: range.to, by: ['branchId'] }),
+      sumItemSummaries({ where, from: range.from, to: range.to, by: ['branchId'] })
+    ]);
 
-          itemsSummary[serviceItemName].quantity += 1;
-          itemsSummary[serviceItemName].totalEarnings += price;
-          itemsSummary[serviceItemName].companyEarning += companyShare;
-          itemsSummary[serviceItemName].workerShare += washerShare;
-        });
+    const branchSummaries = branches.map(branch => {
+      const totals = branchTotals.find(row => row.branchId === branch.id) || combineCompanyTotals([]);
 
-        const itemsWashed = Object.values(itemsSummary).map(item => ({
-          itemName: item.itemName,
-          quantity: item.quantity,
-          totalEarnings: Math.round(item.totalEarnings * 100) / 100,
-          companyEarning: Math.round(item.companyEarning * 100) / 100,
-          workerShare: Math.round(item.workerShare * 100) / 100
-        }));
-
-        itemsWashed.sort((a, b) => b.totalEarnings - a.totalEarnings);
-
-        return {
-          branch,
-          summary: {
-            totalEarnings: Math.round(totalSales * 100) / 100,
-            companyShare: Math.round(companyEarnings * 100) / 100,
-            workerShare: Math.round(washerEarnings * 100) / 100,
-            totalJobs: carWashRecords.length,
-            totalItemsWashed: washedItems.length
-          },
-          itemsWashed,
-          paymentMethods: {
-            cash: Math.round(paymentMethods.cash * 100) / 100,
-            transfer: Math.round(paymentMethods.transfer * 100) / 100
-          }
-        };
-      })
-    );
-
-    // Calculate overall totals
-    const overallTotals = branchSummaries.reduce((acc, branch) => {
-      acc.totalEarnings += branch.summary.totalEarnings;
-      acc.companyShare += branch.summary.companyShare;
-      acc.workerShare += branch.summary.workerShare;
-      acc.totalJobs += branch.summary.totalJobs;
-      acc.totalItemsWashed += branch.summary.totalItemsWashed;
-      acc.cash += branch.paymentMethods.cash;
-      acc.transfer += branch.paymentMethods.transfer;
-      return acc;
-    }, {
-      totalEarnings: 0,
-      companyShare: 0,
-      workerShare: 0,
-      totalJobs: 0,
-      totalItemsWashed: 0,
-      cash: 0,
-      transfer: 0
+      return {
+        branch,
+        summary: toCompanySummary(totals),
+        itemsWashed: branchItems.filter(item => item.branchId === branch.id).map(toItemWashed),
+        paymentMethods: toPaymentMethods(totals)
+      };
     });
 
+    const overallTotals = combineCompanyTotals(branchTotals);
+
     res.json({
       success: true,
       data: {
-        date: targetDate.toISOString().split('T')[0],
+        date: range.from,
         branches: branchSummaries,
         overallTotals: {
-          totalEarnings: Math.round(overallTotals.totalEarnings * 100) / 100,
-          companyShare: Math.round(overallTotals.companyShare * 100) / 100,
-          workerShare: Math.round(overallTotals.workerShare * 100) / 100,
-          totalJobs: overallTotals.totalJobs,
-          totalItemsWashed: overallTotals.totalItemsWashed,
-          cash: Math.round(overallTotals.cash * 100) / 100,
-          transfer: Math.round(overallTotals.transfer * 100) / 100
+          ...toCompanySummary(overallTotals),
+          ...toPaymentMethods(overallTotals)
         }
       }
     });
@@ -864,12 +924,11 @@ const getCompanyDailySummaryAllBranches = async (req, res) => {
 const getCarWashById = async (req, res) => {
   try {
     const { id } = req.params;
-    const branchId = req.user.branchId;
 
     const record = await prisma.carWash.findFirst({
       where: { 
         id,
-        branchId
+        ...req.branchFilter
       },
       include: {
         washedItems: {
@@ -898,6 +957,32 @@ const getCarWashById = async (req, res) => {
             phone: true
           }
         },
+        discounts: {
+          include: {
+            approvedBy: {
+              select: {
+                id: true,
+                name: true
+              }
+            },
+            promoCode: {
+              select: {
+                id: true,
+                code: true
+              }
+            }
+          }
+        },
+        payments: {
+          include: {
+            receivedBy: {
+              select: {
+                id: true,
+                name: true
+              }
+            }
+          }
+        },
         branch: {
           select: {
             id: true,
@@ -918,7 +1003,7 @@ const getCarWashById = async (req, res) => {
 
     res.json({
       success: true,
-      data: record
+      data: (await withCurrentItemPrices([record]))[0]
     });
 
   } catch (error) {
@@ -931,6 +1016,423 @@ const getCarWashById = async (req, res) => {
   }
 };
 
+/**
+ * Update a car wash record in user's branch (items, washers, payments, car details)
+ * Sending items replaces all washed items: washers, prices, specialist routing and
+ * commission splits are resolved again as of the original wash date, and discounts,
+ * the promo code and loyalty rewards are re-applied
+ * Sending payments (or a paymentMethod) replaces the payment lines taken with the wash;
+ * lines sent unchanged keep the day they were received, and settlements recorded later stay
+ * The day's summaries are recomputed in the same transaction
+ * Records on a closed day cannot be edited
+ */
+const updateCarWashRecord = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { carNumber, carModel, customerName, customerPhone, paymentMethod, payments, items, discount, promoCode, redeemPoints } = req.body;
+    const branchId = req.branchId;
+
+    const existingRecord = await prisma.carWash.findFirst({
+      where: { id, branchId },
+      include: {
+        washedItems: {
+          select: {
+            washerId: true,
+            serviceItemId: true,
+            price: true,
+            washerShare: true,
+            companyShare: true
+          }
+        },
+        discounts: {
+          select: {
+            type: true,
+            valueType: true,
+            value: true,
+            amount: true,
+            reason: true,
+            points: true,
+            promoCode: {
+              select: { code: true }
+            }
+          }
+        },
+        payments: {
+          select: {
+            method: true,
+            amount: true,
+            tendered: true,
+            change: true,
+            reference: true,
+            isSettlement: true
+          }
+        }
+      }
+    });
+
+    if (!existingRecord) {
+      return res.status(404).json({
+        success: false,
+        message: 'Car wash record not found in your branch'
+      });
+    }
+
+    if (existingRecord.isVoided) {
+      return res.status(400).json({
+        success: false,
+        message: 'Voided car wash records cannot be edited'
+      });
+    }
+
+    if (await findClosedDay({ branchId, date: existingRecord.washDate })) {
+      return res.status(400).json({
+        success: false,
+        message: 'This day is closed; a reopen is needed before its records can be edited'
+      });
+    }
+
+    // Validate payment method
+    if (paymentMethod && !PAYMENT_METHODS.includes(paymentMethod.toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`
+      });
+    }
+
+    if (items !== undefined && (!Array.isArray(items) || items.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one service item must be provided'
+      });
+    }
+
+    if ([discount, promoCode, redeemPoints].some(value => value !== undefined) && !items) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send the items to change the discounts, promo code or points on a record'
+      });
+    }
+
+    const adjustmentError = checkManualAdjustments(req, { items, discount });
+    if (adjustmentError) {
+      return res.status(adjustmentError.status).json({
+        success: false,
+        message: adjustmentError.message
+      });
+    }
+
+    let resolved = null;
+    if (items) {
+      resolved = await resolveCarWashItems({
+        branchId,
+        items,
+        washDate: existingRecord.washDate,
+        approvedById: req.user.id
+      });
+
+      if (resolved.error) {
+        return res.status(400).json({
+          success: false,
+          message: resolved.error,
+          detail: resolved.detail
+        });
+      }
+    }
+
+    const previousWasherIds = existingRecord.washedItems.map(item => item.washerId);
+    const newWasherIds = resolved
+      ? [...new Set(resolved.itemsWithIds.map(item => item.washerId))]
+      : [];
+
+    const result = await prisma.$transaction(async (tx) => {
+      // Lock the record so a settlement taken meanwhile is in the lines read here
+      await lockCarWashes(tx, [id]);
+      const currentPayments = await tx.payment.findMany({
+        where: { carWashId: id },
+        select: { id: true, method: true, amount: true, tendered: true, reference: true, isSettlement: true }
+      });
+
+      if (resolved) {
+        await markSpecialistsAssigned(tx, resolved.queuedSpecialtyIds);
+        await tx.washedItem.deleteMany({ where: { carWashId: id } });
+      }
+
+      // Re-match the registry when the plate or customer details change
+      const detailsChanged = [carNumber, carModel, customerName, customerPhone].some(value => value !== undefined);
+      const registryLinks = detailsChanged
+        ? await matchCustomerAndVehicle(tx, {
+          carNumber: carNumber !== undefined ? carNumber : existingRecord.carNumber,
+          carModel: carModel !== undefined ? carModel : existingRecord.carModel,
+          customerName: customerName !== undefined ? customerName : existingRecord.customerName,
+          customerPhone: customerPhone !== undefined ? customerPhone : existingRecord.customerPhone
+        })
+        : null;
+
+      const customerId = registryLinks ? registryLinks.customerId : existingRecord.customerId;
+      const loyaltyDiscounts = existingRecord.discounts.filter(line => LOYALTY_DISCOUNT_TYPES.includes(line.type));
+
+      // Replaced items are priced again: the record discount, promo code and points
+      // redeemed stay as they were unless sent (null removes them); otherwise the
+      // record's stamps and points follow its customer
+      let pricing = null;
+      if (resolved) {
+        await tx.loyaltyEntry.deleteMany({ where: { carWashId: id } });
+        await tx.carWashDiscount.deleteMany({ where: { carWashId: id } });
+
+        const previousDiscount = existingRecord.discounts.find(line => line.type === 'record');
+        const previousPromo = existingRecord.discounts.find(line => line.type === 'promo' && line.promoCode);
+        const previousPoints = loyaltyDiscounts.reduce((sum, line) => sum + (line.points || 0), 0);
+
+        pricing = await priceCarWashItems(tx, {
+          items: resolved.itemsWithIds,
+          branchId,
+          customerId,
+          washDate: existingRecord.washDate,
+          discount: discount !== undefined
+            ? discount
+            : previousDiscount && {
+              type: previousDiscount.valueType,
+              value: previousDiscount.value,
+              reason: previousDiscount.reason
+            },
+          promoCode: promoCode !== undefined ? promoCode : previousPromo && previousPromo.promoCode.code,
+          // A kept code only had to be valid when the record was entered
+          promoEnteredAt: promoCode !== undefined ? undefined : existingRecord.createdAt,
+          redeemPoints: redeemPoints !== undefined ? parseInt(redeemPoints, 10) || 0 : previousPoints,
+          approvedById: req.user.id
+        });
+      } else if (customerId !== existingRecord.customerId) {
+        if (loyaltyDiscounts.length > 0) {
+          throw badRequest('Loyalty rewards were redeemed on this record; send its items to re-apply them for the new customer');
+        }
+
+        if (customerId) {
+          await tx.loyaltyEntry.updateMany({ where: { carWashId: id }, data: { customerId } });
+        } else {
+          await tx.loyaltyEntry.deleteMany({ where: { carWashId: id } });
+        }
+      }
+
+      // Sent payments replace the lines taken with the wash (settlements stay);
+      // whatever is kept must not add up to more than a new total
+      const paymentsSent = payments !== undefined || paymentMethod !== undefined;
+      const payment = resolvePayments({
+        payments,
+        paymentMethod,
+        totalAmount: pricing ? pricing.totalAmount : existingRecord.totalAmount,
+        receivedById: req.user.id,
+        keptPayments: paymentsSent
+          ? currentPayments.filter(line => line.isSettlement)
+          : currentPayments
+      });
+      if (payment.error) {
+        throw badRequest(paymentsSent ? payment.error : `${payment.error}; send the payments again`);
+      }
+
+      // Only changed lines are replaced: the rest keep the day they were taken on
+      const paymentLines = paymentsSent
+        ? diffPaymentLines(currentPayments.filter(line => !line.isSettlement), payment.payments)
+        : null;
+
+      if (paymentLines && paymentLines.removedIds.length > 0) {
+        await tx.payment.deleteMany({ where: { id: { in: paymentLines.removedIds } } });
+      }
+
+      const carWash = await tx.carWash.update({
+        where: { id },
+        data: {
+          ...(carNumber !== undefined && { carNumber }),
+          ...(carModel !== undefined && { carModel }),
+          ...(customerName !== undefined && { customerName }),
+          ...(customerPhone !== undefined && { customerPhone }),
+          amountPaid: payment.amountPaid,
+          paymentStatus: payment.paymentStatus,
+          ...(paymentsSent && {
+            paymentMethod: payment.paymentMethod,
+            payments: {
+              create: paymentLines.added
+            }
+          }),
+          ...registryLinks,
+          ...(pricing && {
+            grossAmount: pricing.grossAmount,
+            discountAmount: pricing.discountAmount,
+            totalAmount: pricing.totalAmount,
+            washedItems: {
+              create: pricing.items.map(toWashedItemData)
+            },
+            discounts: {
+              create: pricing.discounts
+            },
+            washers: {
+              set: newWasherIds.map(washerId => ({ id: washerId }))
+            }
+          })
+        },
+        include: {
+          washedItems: {
+            include: {
+              washer: true,
+              serviceItem: true
+            }
+          },
+          washers: true,
+          discounts: true,
+          payments: true,
+          branch: {
+            select: {
+              id: true,
+              name: true,
+              code: true
+            }
+          }
+        }
+      });
+
+      if (pricing) {
+        await saveLoyaltyEntries(tx, { carWash, customerId, entries: pricing.loyaltyEntries });
+      }
+
+      // Washers removed from the record get their counters recomputed too
+      await recomputeDailySummaries(tx, {
+        branchId,
+        date: existingRecord.washDate,
+        washerIds: [...previousWasherIds, ...newWasherIds]
+      });
+
+      await recordAudit(tx, req, {
+        action: 'update',
+        entity: 'CarWash',
+        before: existingRecord,
+        after: carWash
+      });
+
+      return carWash;
+    });
+
+    res.json({
+      success: true,
+      message: 'Car wash record updated successfully',
+      data: (await withCurrentItemPrices([result]))[0]
+    });
+
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error updating car wash record:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update car wash record',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Void a car wash record in user's branch (soft delete with a required reason)
+ * Voided records are excluded from every report; the day's summaries are
+ * recomputed in the same transaction
+ * Records on a closed day cannot be voided
+ */
+const voidCarWashRecord = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+    const branchId = req.branchId;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to void a car wash record'
+      });
+    }
+
+    const existingRecord = await prisma.carWash.findFirst({
+      where: { id, branchId },
+      include: {
+        washedItems: {
+          select: { washerId: true }
+        }
+      }
+    });
+
+    if (!existingRecord) {
+      return res.status(404).json({
+        success: false,
+        message: 'Car wash record not found in your branch'
+      });
+    }
+
+    if (existingRecord.isVoided) {
+      return res.status(400).json({
+        success: false,
+        message: 'Car wash record is already voided'
+      });
+    }
+
+    if (await findClosedDay({ branchId, date: existingRecord.washDate })) {
+      return res.status(400).json({
+        success: false,
+        message: 'This day is closed; a reopen is needed before its records can be voided'
+      });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const carWash = await tx.carWash.update({
+        where: { id },
+        data: {
+          isVoided: true,
+          voidReason: reason.trim(),
+          voidedAt: new Date(),
+          voidedById: req.user.id
+        }
+      });
+
+      await recomputeDailySummaries(tx, {
+        branchId,
+        date: existingRecord.washDate,
+        washerIds: existingRecord.washedItems.map(item => item.washerId)
+      });
+
+      await recordAudit(tx, req, {
+        action: 'delete',
+        entity: 'CarWash',
+        before: existingRecord,
+        after: carWash,
+        metadata: { reason: reason.trim() }
+      });
+
+      return carWash;
+    });
+
+    res.json({
+      success: true,
+      message: 'Car wash record voided successfully',
+      data: result
+    });
+
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error voiding car wash record:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to void car wash record',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   createCarWashRecord,
   getWasherDailySummary,
@@ -938,5 +1440,7 @@ module.exports = {
   getAllWashersDailySummary,
   getCarWashRecords,
   getCarWashById,
-  getCompanyDailySummaryAllBranches 
+  getCompanyDailySummaryAllBranches,
+  updateCarWashRecord,
+  voidCarWashRecord
 };
\ No newline at end of file
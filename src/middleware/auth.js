@@ -1,5 +1,7 @@
 const { verifyToken } = require('../utils/generateToken');
 const prisma = require('../config/database');
+const { PERMISSIONS, hasPermission } = require('../config/roles');
+const { getMemberBranchIds, resolveActiveBranch } = require('../services/branchAccessService');
 
 // @desc    Protect routes - verify JWT token
 const protect = async (req, res, next) => {
@@ -50,9 +52,13 @@ const protect = async (req, res, next) => {
             id: true,
             name: true,
             code: true,
-            isActive: true
+            isActive: true,
+            timezone: true
           }
         },
+        branchMemberships: {
+          select: { branchId: true }
+        },
         createdAt: true,
         updatedAt: true
       }
@@ -80,6 +86,10 @@ const protect = async (req, res, next) => {
       });
     }
 
+    // Branches the user may switch between, and the one selected at login / switch
+    user.branchIds = getMemberBranchIds(user);
+    user.activeBranchId = decoded.branchId || user.branchId;
+
     req.user = user;
     next();
   } catch (error) {
@@ -127,18 +137,79 @@ const authorize = (...roles) => {
   };
 };
 
-// @desc    Filter data by user's branch
-const filterByBranch = (req, res, next) => {
-  // Attach branch filter to request
+// @desc    Require a permission from config/roles (e.g. requirePermission('records:void'))
+const requirePermission = (permission) => {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission '${permission}'`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not authenticated'
+      });
+    }
+
+    if (!hasPermission(req.user.role, permission)) {
+      return res.status(403).json({
+        success: false,
+        message: `User role '${req.user.role}' is not allowed to perform this action (${permission})`
+      });
+    }
+
+    next();
+  };
+};
+
+// @desc    Filter data by the active branch
+// The active branch comes from ?branchId=, the X-Branch-Id header or the token
+// (in that order), defaulting to the user's home branch. Owners may pick any
+// branch or "all"; everyone else is limited to the branches they belong to.
+// Sets req.branchId / req.branch (null for "all") and req.branchFilter for where clauses
+const filterByBranch = async (req, res, next) => {
   if (!req.user || !req.user.branchId) {
     return res.status(401).json({
       success: false,
       message: 'Branch information not found'
     });
   }
-  
-  req.branchFilter = { branchId: req.user.branchId };
+
+  try {
+    const requestedBranchId = req.query.branchId || req.get('x-branch-id') || req.user.activeBranchId;
+    const access = await resolveActiveBranch(req.user, requestedBranchId);
+
+    if (access.error) {
+      return res.status(access.status).json({
+        success: false,
+        message: access.error
+      });
+    }
+
+    req.branchId = access.branchId;
+    req.branch = access.branch;
+    req.branchFilter = access.branchId ? { branchId: access.branchId } : {};
+    next();
+  } catch (error) {
+    console.error('Branch filter error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to resolve branch',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Require a single active branch (writes cannot target "all" branches)
+const requireSingleBranch = (req, res, next) => {
+  if (!req.branchId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Select a single branch (X-Branch-Id header or branchId) for this action'
+    });
+  }
+
   next();
 };
 
-module.exports = { protect, authorize, filterByBranch };
\ No newline at end of file
+module.exports = { protect, authorize, requirePermission, filterByBranch, requireSingleBranch };
\ No newline at end of file
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+
+const { getAuditLogs } = require('../controllers/auditController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { AUDIT_ACTIONS } = require('../services/auditService');
+
+// All routes require authentication; the audit trail is for owners only
+router.use(protect);
+router.use(requirePermission('audit:read'));
+
+/**
+ * GET /api/audit
+ * Get audit log entries, newest first
+ * Query: ?userId=&branchId=&entity=&entityId=&action=create|update|delete&from=YYYY-MM-DD&to=YYYY-MM-DD&page=1&limit=50
+ */
+router.get(
+  '/',
+  [
+    query('action')
+      .optional()
+      .isIn(AUDIT_ACTIONS)
+      .withMessage(`Action must be one of: ${AUDIT_ACTIONS.join(', ')}`),
+
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage('Limit must be between 1 and 200')
+  ],
+  validate,
+  getAuditLogs
+);
+
+module.exports = router;
@@ -5,10 +5,13 @@ const {
   login,
   getMe,
   logout,
-  changePassword
+  changePassword,
+  switchBranch,
+  setUserBranches
 } = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
+const { ALL_ROLES } = require('../config/roles');
 
 const router = express.Router();
 
@@ -26,7 +29,15 @@ const registerValidation = [
     .notEmpty()
     .withMessage('Name is required')
     .isLength({ min: 2 })
-    .withMessage('Name must be at least 2 characters long')
+    .withMessage('Name must be at least 2 characters long'),
+  body('role')
+    .optional()
+    .isIn(ALL_ROLES)
+    .withMessage(`Role must be one of: ${ALL_ROLES.join(', ')}`),
+  body('branchIds')
+    .optional()
+    .isArray()
+    .withMessage('branchIds must be an array of branch IDs')
 ];
 
 const loginValidation = [
@@ -54,11 +65,30 @@ const changePasswordValidation = [
     })
 ];
 
+const switchBranchValidation = [
+  body('branchId')
+    .isString()
+    .notEmpty()
+    .withMessage('Branch ID (or "all") is required')
+];
+
+const setUserBranchesValidation = [
+  body('branchIds')
+    .isArray()
+    .withMessage('branchIds must be an array of branch IDs'),
+  body('branchIds.*')
+    .isString()
+    .notEmpty()
+    .withMessage('Each branch ID must be a non-empty string')
+];
+
 // Routes
-router.post('/register', registerValidation, validate, register);
+router.post('/register', protect, requirePermission('users:create'), registerValidation, validate, register);
 router.post('/login', loginValidation, validate, login);
 router.get('/me', protect, getMe);
 router.post('/logout', protect, logout);
 router.put('/change-password', protect, changePasswordValidation, validate, changePassword);
+router.post('/switch-branch', protect, switchBranchValidation, validate, switchBranch);
+router.put('/users/:id/branches', protect, requirePermission('users:manage'), setUserBranchesValidation, validate, setUserBranches);
 
 module.exports = router;
\ No newline at end of file
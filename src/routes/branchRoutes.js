@@ -0,0 +1,108 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+
+const {
+  getBranches,
+  getBranchById,
+  createBranch,
+  updateBranch,
+  deactivateBranch
+} = require('../controllers/branchController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { isValidTimeZone } = require('../utils/dateRange');
+
+// All routes require authentication; branches are managed by owners only
+router.use(protect);
+router.use(requirePermission('branches:manage'));
+
+const codeRule = body('code')
+  .optional()
+  .isString()
+  .trim()
+  .matches(/^[A-Za-z0-9]{1,10}$/)
+  .withMessage('Code must be 1-10 letters or digits');
+
+const locationRule = body('location')
+  .optional({ values: 'null' })
+  .isString()
+  .trim()
+  .isLength({ max: 200 })
+  .withMessage('Location must not exceed 200 characters');
+
+const timezoneRule = body('timezone')
+  .optional()
+  .isString()
+  .trim()
+  .custom(isValidTimeZone)
+  .withMessage('Time zone must be an IANA time zone, e.g. "Africa/Lagos"');
+
+const createBranchValidation = [
+  body('name')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Branch name is required')
+    .isLength({ max: 100 })
+    .withMessage('Branch name must not exceed 100 characters'),
+
+  codeRule,
+  locationRule,
+  timezoneRule
+];
+
+const updateBranchValidation = [
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Branch name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Branch name must not exceed 100 characters'),
+
+  codeRule,
+  locationRule,
+  timezoneRule,
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+/**
+ * GET /api/branches
+ * Get all branches
+ * Query: ?includeInactive=true (optional)
+ */
+router.get('/', getBranches);
+
+/**
+ * GET /api/branches/:id
+ * Get branch by ID
+ */
+router.get('/:id', getBranchById);
+
+/**
+ * POST /api/branches
+ * Create a branch (ID and code are generated when code is omitted)
+ * Body: { name, code?, location?, timezone? }
+ */
+router.post('/', createBranchValidation, validate, createBranch);
+
+/**
+ * PUT /api/branches/:id
+ * Rename, change code, relocate, change time zone or reactivate a branch
+ * Body: { name?, code?, location?, timezone?, isActive? }
+ */
+router.put('/:id', updateBranchValidation, validate, updateBranch);
+
+/**
+ * DELETE /api/branches/:id
+ * Deactivate a branch (moves or deactivates its users, deactivates its washers)
+ */
+router.delete('/:id', deactivateBranch);
+
+module.exports = router;
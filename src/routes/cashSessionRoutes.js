@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+
+const {
+  openCashSession,
+  getCurrentCashSession,
+  closeCashSession,
+  getCashSessions
+} = require('../controllers/cashSessionController');
+const { protect, requirePermission, filterByBranch, requireSingleBranch } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { CASH_SESSION_STATUSES } = require('../services/cashSessionService');
+
+// All routes require authentication and act on the active branch (see filterByBranch)
+router.use(protect);
+router.use(filterByBranch);
+
+const openValidation = [
+  body('openingFloat')
+    .isFloat({ min: 0 })
+    .withMessage('Opening float must be a number of at least 0'),
+
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid date (YYYY-MM-DD)')
+];
+
+const closeValidation = [
+  body('countedCash')
+    .isFloat({ min: 0 })
+    .withMessage('Counted cash must be a number of at least 0'),
+
+  body('statementTransfer')
+    .isFloat({ min: 0 })
+    .withMessage('Bank statement transfer total must be a number of at least 0'),
+
+  body('statementPos')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('POS settlement total must be a number of at least 0'),
+
+  body('notes')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must not exceed 500 characters')
+];
+
+/**
+ * POST /api/cash-sessions/open
+ * Open the cash drawer for a day with a float
+ * Body: { openingFloat, date? }
+ */
+router.post('/open', requirePermission('cashSessions:manage'), requireSingleBranch, openValidation, validate, openCashSession);
+
+/**
+ * GET /api/cash-sessions/current
+ * Get the day's cash session with the cash, transfer and POS totals expected so far
+ * Query: ?date=YYYY-MM-DD (defaults to today)
+ */
+router.get('/current', requirePermission('cashSessions:manage'), requireSingleBranch, getCurrentCashSession);
+
+/**
+ * POST /api/cash-sessions/:id/close
+ * Close a cash session: records the count and statement totals, stores the variances
+ * and closes the day (see /api/days)
+ * Body: { countedCash, statementTransfer, statementPos?, notes? }
+ */
+router.post('/:id/close', requirePermission('cashSessions:manage'), requireSingleBranch, closeValidation, validate, closeCashSession);
+
+/**
+ * GET /api/cash-sessions
+ * Get cash session history with variances, totalled per branch and per user
+ * Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD&userId=xxx&status=open|closed
+ */
+router.get(
+  '/',
+  requirePermission('cashSessions:read'),
+  query('status').optional().isIn(CASH_SESSION_STATUSES).withMessage(`Status must be one of: ${CASH_SESSION_STATUSES.join(', ')}`),
+  validate,
+  getCashSessions
+);
+
+module.exports = router;
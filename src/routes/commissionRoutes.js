@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+
+const {
+  createCommissionRule,
+  getCommissionRules,
+  getCommissionRuleById,
+  updateCommissionRule,
+  deleteCommissionRule
+} = require('../controllers/commissionController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+// All routes require authentication
+router.use(protect);
+
+const createCommissionRuleValidation = [
+  body('serviceItemId')
+    .isString()
+    .notEmpty()
+    .withMessage('Service item ID is required'),
+
+  body('branchId')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Branch ID must be a string'),
+
+  body('washerRate')
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Washer rate must be a number between 0 and 1'),
+
+  body('sharesDiscounts')
+    .optional()
+    .isBoolean()
+    .withMessage('sharesDiscounts must be a boolean')
+    .toBoolean(),
+
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description must not exceed 200 characters'),
+
+  body('effectiveFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('effectiveFrom must be a valid date'),
+
+  body('effectiveTo')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('effectiveTo must be a valid date')
+];
+
+const updateCommissionRuleValidation = [
+  body('washerRate')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Washer rate must be a number between 0 and 1'),
+
+  body('sharesDiscounts')
+    .optional()
+    .isBoolean()
+    .withMessage('sharesDiscounts must be a boolean')
+    .toBoolean(),
+
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description must not exceed 200 characters'),
+
+  body('effectiveFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('effectiveFrom must be a valid date'),
+
+  body('effectiveTo')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('effectiveTo must be a valid date'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * POST /api/commission-rules
+ * Create a commission rule for a service item (global, or a branch override)
+ * Body: { serviceItemId, branchId?, washerRate, sharesDiscounts?, description?, effectiveFrom?, effectiveTo? }
+ */
+router.post('/', requirePermission('commissionRules:manage'), createCommissionRuleValidation, validate, createCommissionRule);
+
+/**
+ * GET /api/commission-rules
+ * Get commission rules
+ * Query: ?serviceItemId=xxx&branchId=xxx|global&isActive=true
+ */
+router.get('/', requirePermission('commissionRules:read'), getCommissionRules);
+
+/**
+ * GET /api/commission-rules/:id
+ * Get commission rule by ID
+ */
+router.get('/:id', requirePermission('commissionRules:read'), getCommissionRuleById);
+
+/**
+ * PUT /api/commission-rules/:id
+ * Update commission rule
+ * A new washerRate or sharesDiscounts ends this rule and returns its next version;
+ * isActive: false ends it now; dates are fixed once the rule has applied to a wash
+ */
+router.put('/:id', requirePermission('commissionRules:manage'), updateCommissionRuleValidation, validate, updateCommissionRule);
+
+/**
+ * DELETE /api/commission-rules/:id
+ * Soft delete commission rule (ends it now and sets isActive to false)
+ */
+router.delete('/:id', requirePermission('commissionRules:manage'), deleteCommissionRule);
+
+module.exports = router;
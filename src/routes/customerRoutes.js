@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+
+const {
+  getCustomers,
+  getCustomerById,
+  updateCustomer,
+  getVehicles,
+  lookupVehicle,
+  getVehicleById
+} = require('../controllers/customerController');
+const { protect, requirePermission, filterByBranch } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+// All routes require authentication; customers and vehicles are shared by all branches,
+// visit history and stats cover the active branch (see filterByBranch)
+// The router is mounted at /api, so the middleware is kept to its own paths
+router.use(['/customers', '/vehicles'], protect, filterByBranch);
+
+const updateCustomerValidation = [
+  body('name')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Name must not exceed 100 characters'),
+
+  body('phone')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('Phone must not exceed 30 characters')
+];
+
+// ============ CUSTOMER ROUTES ============
+
+/**
+ * GET /api/customers
+ * Get customers with visits, lifetime spend and last visit
+ * Query: ?search=name|phone|plate&page=1&limit=50
+ */
+router.get('/customers', requirePermission('customers:read'), getCustomers);
+
+/**
+ * GET /api/customers/:id
+ * Get a customer with vehicles, stats and visit history
+ */
+router.get('/customers/:id', requirePermission('customers:read'), getCustomerById);
+
+/**
+ * PUT /api/customers/:id
+ * Update a customer's name or phone
+ * Body: { name?, phone? }
+ */
+router.put('/customers/:id', requirePermission('customers:manage'), updateCustomerValidation, validate, updateCustomer);
+
+// ============ VEHICLE ROUTES ============
+
+/**
+ * GET /api/vehicles
+ * Get vehicles with visits, lifetime spend and last visit
+ * Query: ?search=plate|model&page=1&limit=50
+ */
+router.get('/vehicles', requirePermission('customers:read'), getVehicles);
+
+/**
+ * GET /api/vehicles/lookup
+ * Look up a vehicle by plate number
+ * Query: ?plate=LAG-123-AB
+ */
+router.get('/vehicles/lookup', requirePermission('customers:read'), lookupVehicle);
+
+/**
+ * GET /api/vehicles/:id
+ * Get a vehicle with its customer, stats and visit history
+ */
+router.get('/vehicles/:id', requirePermission('customers:read'), getVehicleById);
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+
+const {
+  getDays,
+  closeBranchDay,
+  reopenBranchDay,
+  getSummaryDrift,
+  rebuildSummaries
+} = require('../controllers/dayController');
+const { protect, requirePermission, filterByBranch, requireSingleBranch } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+// All routes require authentication and act on the active branch (see filterByBranch)
+router.use(protect);
+router.use(filterByBranch);
+
+const closeValidation = [
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid date (YYYY-MM-DD)')
+];
+
+const reopenValidation = [
+  body('date')
+    .isISO8601()
+    .withMessage('Date must be a valid date (YYYY-MM-DD)'),
+
+  body('reason')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required to reopen a day')
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters')
+];
+
+const rangeValidation = (location) => ['date', 'from', 'to'].map(field =>
+  location(field)
+    .optional()
+    .isISO8601()
+    .withMessage(`${field} must be a valid date (YYYY-MM-DD)`)
+);
+
+/**
+ * GET /api/days
+ * Get days with their totals and who closed or reopened them
+ * Query: ?date=YYYY-MM-DD or ?from=YYYY-MM-DD&to=YYYY-MM-DD, optional &isClosed=true
+ */
+router.get('/', requirePermission('reports:read'), getDays);
+
+/**
+ * POST /api/days/close
+ * Close a day: freezes its summaries and rejects new, backdated, edited or voided car washes
+ * Closing a cash session closes its day too
+ * Body: { date? } - defaults to today
+ */
+router.post('/close', requirePermission('days:close'), requireSingleBranch, closeValidation, validate, closeBranchDay);
+
+/**
+ * POST /api/days/reopen
+ * Reopen a closed day (logged with its reason)
+ * Body: { date, reason }
+ */
+router.post('/reopen', requirePermission('days:reopen'), requireSingleBranch, reopenValidation, validate, reopenBranchDay);
+
+/**
+ * GET /api/days/summaries/drift
+ * Compare stored daily summaries with counts rebuilt from the car wash records
+ * Query: ?date=YYYY-MM-DD or ?from=YYYY-MM-DD&to=YYYY-MM-DD (defaults to today)
+ */
+router.get('/summaries/drift', requirePermission('reports:read'), rangeValidation(query), validate, getSummaryDrift);
+
+/**
+ * POST /api/days/summaries/rebuild
+ * Rebuild drifted daily summaries (closed days are reported but need a reopen first)
+ * Also available as a scheduled job: npm run summaries:rebuild
+ * Body: { date? } or { from, to } (defaults to today)
+ */
+router.post('/summaries/rebuild', requirePermission('summaries:rebuild'), rangeValidation(body), validate, rebuildSummaries);
+
+module.exports = router;
@@ -8,17 +8,28 @@ const {
   getWasherById,
   updateWasher,
   deleteWasher,
+  getSpecialists,
+  addWasherSpecialty,
+  removeWasherSpecialty,
   createServiceItem,
   getAllServiceItems,
   getServiceItemById,
   updateServiceItem,
-  deleteServiceItem
+  deleteServiceItem,
+  getServiceItemSpecialists,
+  getServiceItemPriceHistory,
+  cancelScheduledPriceChange,
+  getServiceItemBranchSettings,
+  setServiceItemBranchSettings,
+  removeServiceItemBranchSettings
 } = require('../controllers/helperController');
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission, filterByBranch, requireSingleBranch } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
+const { SPECIALIST_FALLBACKS } = require('../services/specialistService');
 
-// All routes require authentication
-router.use(protect);
+// All routes require authentication and act on the active branch (see filterByBranch)
+// The router is mounted at /api, so the middleware is kept to its own paths
+router.use(['/washers', '/service-items'], protect, filterByBranch);
 
 // ============ WASHER ROUTES ============
 
@@ -64,32 +75,64 @@ const updateWasherValidation = [
  * POST /api/washers
  * Create a new washer
  */
-router.post('/washers', createWasherValidation, validate, createWasher);
+router.post('/washers', requirePermission('washers:manage'), requireSingleBranch, createWasherValidation, validate, createWasher);
 
 /**
  * GET /api/washers
  * Get all washers
  * Query: ?isActive=true
  */
-router.get('/washers', getAllWashers);
+router.get('/washers', requirePermission('washers:read'), getAllWashers);
+
+/**
+ * GET /api/washers/specialists
+ * Get specialists in user's branch
+ * Query: ?category=engine
+ */
+router.get('/washers/specialists', requirePermission('washers:read'), getSpecialists);
 
 /**
  * GET /api/washers/:id
  * Get washer by ID
  */
-router.get('/washers/:id', getWasherById);
+router.get('/washers/:id', requirePermission('washers:read'), getWasherById);
 
 /**
  * PUT /api/washers/:id
  * Update washer
  */
-router.put('/washers/:id', updateWasherValidation, validate, updateWasher);
+router.put('/washers/:id', requirePermission('washers:manage'), requireSingleBranch, updateWasherValidation, validate, updateWasher);
 
 /**
  * DELETE /api/washers/:id
  * Soft delete washer (sets isActive to false)
  */
-router.delete('/washers/:id', deleteWasher);
+router.delete('/washers/:id', requirePermission('washers:manage'), requireSingleBranch, deleteWasher);
+
+// ============ SPECIALIST ROUTES ============
+
+const addSpecialtyValidation = [
+  body('category')
+    .notEmpty()
+    .withMessage('Specialist category is required')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Category must be between 2 and 50 characters')
+];
+
+/**
+ * POST /api/washers/:id/specialties
+ * Certify washer as a specialist for an item category
+ * Body: { category: "engine" }
+ */
+router.post('/washers/:id/specialties', requirePermission('washers:manage'), requireSingleBranch, addSpecialtyValidation, validate, addWasherSpecialty);
+
+/**
+ * DELETE /api/washers/:id/specialties/:category
+ * Remove washer's specialist certification
+ */
+router.delete('/washers/:id/specialties/:category', requirePermission('washers:manage'), requireSingleBranch, removeWasherSpecialty);
 
 // ============ SERVICE ITEM ROUTES ============
 
@@ -112,7 +155,29 @@ const createServiceItemValidation = [
   body('price')
     .optional()
     .isFloat({ min: 0 })
-    .withMessage('Price must be a positive number')
+    .withMessage('Price must be a positive number'),
+  
+  body('washerRate')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Washer rate must be a number between 0 and 1'),
+  
+  body('requiresSpecialist')
+    .optional()
+    .isBoolean()
+    .withMessage('requiresSpecialist must be a boolean'),
+  
+  body('specialistCategory')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Specialist category must be between 2 and 50 characters'),
+  
+  body('specialistFallback')
+    .optional()
+    .isIn(SPECIALIST_FALLBACKS)
+    .withMessage(`Specialist fallback must be one of: ${SPECIALIST_FALLBACKS.join(', ')}`)
 ];
 
 const updateServiceItemValidation = [
@@ -133,38 +198,136 @@ const updateServiceItemValidation = [
   body('isActive')
     .optional()
     .isBoolean()
-    .withMessage('isActive must be a boolean')
+    .withMessage('isActive must be a boolean'),
+  
+  body('requiresSpecialist')
+    .optional()
+    .isBoolean()
+    .withMessage('requiresSpecialist must be a boolean'),
+  
+  body('specialistCategory')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Specialist category must be between 2 and 50 characters'),
+  
+  body('specialistFallback')
+    .optional()
+    .isIn(SPECIALIST_FALLBACKS)
+    .withMessage(`Specialist fallback must be one of: ${SPECIALIST_FALLBACKS.join(', ')}`),
+
+  body('effectiveFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('effectiveFrom must be a valid date'),
+
+  body('priceNote')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Price note must not exceed 200 characters')
 ];
 
 /**
  * POST /api/service-items
  * Create a new service item
+ * Body: { name, description?, price?, washerRate?, requiresSpecialist?, specialistCategory?, specialistFallback? }
+ * washerRate creates the global commission rule
  */
-router.post('/service-items', createServiceItemValidation, validate, createServiceItem);
+router.post('/service-items', requirePermission('serviceItems:manage'), createServiceItemValidation, validate, createServiceItem);
 
 /**
  * GET /api/service-items
- * Get all service items
- * Query: ?isActive=true
+ * Get all service items with the active branch's prices and availability
+ * Query: ?isActive=true&includeUnavailable=true
  */
-router.get('/service-items', getAllServiceItems);
+router.get('/service-items', requirePermission('serviceItems:read'), getAllServiceItems);
 
 /**
  * GET /api/service-items/:id
  * Get service item by ID
  */
-router.get('/service-items/:id', getServiceItemById);
+router.get('/service-items/:id', requirePermission('serviceItems:read'), getServiceItemById);
+
+/**
+ * GET /api/service-items/:id/specialists
+ * Get the item's specialist routing and the certified washers in user's branch
+ */
+router.get('/service-items/:id/specialists', requirePermission('serviceItems:read'), getServiceItemSpecialists);
 
 /**
  * PUT /api/service-items/:id
  * Update service item
+ * A price change is recorded in the price history; pass effectiveFrom to backdate or schedule it
+ * Body: { name?, description?, price?, effectiveFrom?, priceNote?, isActive?, requiresSpecialist?, specialistCategory?, specialistFallback? }
  */
-router.put('/service-items/:id', updateServiceItemValidation, validate, updateServiceItem);
+router.put('/service-items/:id', requirePermission('serviceItems:manage'), updateServiceItemValidation, validate, updateServiceItem);
 
 /**
  * DELETE /api/service-items/:id
  * Soft delete service item (sets isActive to false)
  */
-router.delete('/service-items/:id', deleteServiceItem);
+router.delete('/service-items/:id', requirePermission('serviceItems:manage'), deleteServiceItem);
+
+// ============ SERVICE PRICE HISTORY ROUTES ============
+
+/**
+ * GET /api/service-items/:id/price-history
+ * Get the item's global and branch price history, including scheduled changes
+ */
+router.get('/service-items/:id/price-history', requirePermission('serviceItems:read'), getServiceItemPriceHistory);
+
+/**
+ * DELETE /api/service-items/:id/prices/:priceId
+ * Cancel a scheduled price change
+ */
+router.delete('/service-items/:id/prices/:priceId', requirePermission('serviceItems:manage'), cancelScheduledPriceChange);
+
+// ============ BRANCH SERVICE ITEM ROUTES ============
+
+const branchSettingsValidation = [
+  body('price')
+    .optional()
+    .custom(value => value === null || (!isNaN(parseFloat(value)) && parseFloat(value) >= 0))
+    .withMessage('Price must be a positive number, or null to use the global price'),
+
+  body('isAvailable')
+    .optional()
+    .isBoolean()
+    .withMessage('isAvailable must be a boolean'),
+
+  body('effectiveFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('effectiveFrom must be a valid date'),
+
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note must not exceed 200 characters')
+];
+
+/**
+ * GET /api/service-items/:id/branches
+ * Get the item's price and availability at every branch
+ */
+router.get('/service-items/:id/branches', requirePermission('serviceItems:read'), getServiceItemBranchSettings);
+
+/**
+ * PUT /api/service-items/:id/branches/:branchId
+ * Set a branch price override and/or availability
+ * Body: { price?, isAvailable?, effectiveFrom?, note? } (price null = use the global price)
+ */
+router.put('/service-items/:id/branches/:branchId', requirePermission('serviceItems:manage'), branchSettingsValidation, validate, setServiceItemBranchSettings);
+
+/**
+ * DELETE /api/service-items/:id/branches/:branchId
+ * Remove a branch override (global price and availability apply again)
+ */
+router.delete('/service-items/:id/branches/:branchId', requirePermission('serviceItems:manage'), removeServiceItemBranchSettings);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+
+const {
+  createLoyaltyRule,
+  getLoyaltyRules,
+  getLoyaltyRuleById,
+  updateLoyaltyRule,
+  deleteLoyaltyRule
+} = require('../controllers/loyaltyController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { LOYALTY_RULE_TYPES } = require('../services/loyaltyService');
+
+// All routes require authentication
+router.use(protect);
+
+const nameRule = () => body('name')
+  .isString()
+  .trim()
+  .notEmpty()
+  .withMessage('Rule name is required')
+  .isLength({ max: 100 })
+  .withMessage('Rule name must not exceed 100 characters');
+
+const settingsRules = [
+  body('stampsRequired')
+    .optional()
+    .isInt({ min: 2 })
+    .withMessage('stampsRequired must be a whole number of at least 2'),
+
+  body('pointsPerNaira')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('pointsPerNaira must be greater than 0'),
+
+  body('pointValue')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('pointValue must be greater than 0'),
+
+  body('reduceCommission')
+    .optional()
+    .isBoolean()
+    .withMessage('reduceCommission must be a boolean')
+];
+
+const createLoyaltyRuleValidation = [
+  body('type')
+    .isIn(LOYALTY_RULE_TYPES)
+    .withMessage(`Type must be one of: ${LOYALTY_RULE_TYPES.join(', ')}`),
+
+  nameRule(),
+
+  body('serviceItemId')
+    .optional()
+    .isString()
+    .withMessage('Service item ID must be a string'),
+
+  body('branchId')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Branch ID must be a string'),
+
+  ...settingsRules
+];
+
+const updateLoyaltyRuleValidation = [
+  nameRule().optional(),
+
+  ...settingsRules,
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+/**
+ * POST /api/loyalty-rules
+ * Create a stamp card or points rule (global, or for one branch)
+ * Body: { type: "stamp", name, serviceItemId, stampsRequired, branchId?, reduceCommission? }
+ *    or { type: "points", name, pointsPerNaira, pointValue, branchId?, reduceCommission? }
+ */
+router.post('/', requirePermission('loyalty:manage'), createLoyaltyRuleValidation, validate, createLoyaltyRule);
+
+/**
+ * GET /api/loyalty-rules
+ * Get loyalty rules
+ * Query: ?type=stamp|points&branchId=xxx|global&isActive=true
+ */
+router.get('/', requirePermission('loyalty:read'), getLoyaltyRules);
+
+/**
+ * GET /api/loyalty-rules/:id
+ * Get loyalty rule by ID
+ */
+router.get('/:id', requirePermission('loyalty:read'), getLoyaltyRuleById);
+
+/**
+ * PUT /api/loyalty-rules/:id
+ * Update loyalty rule
+ */
+router.put('/:id', requirePermission('loyalty:manage'), updateLoyaltyRuleValidation, validate, updateLoyaltyRule);
+
+/**
+ * DELETE /api/loyalty-rules/:id
+ * Soft delete loyalty rule (sets isActive to false)
+ */
+router.delete('/:id', requirePermission('loyalty:manage'), deleteLoyaltyRule);
+
+module.exports = router;
@@ -5,30 +5,45 @@ const {
   getWasherPaymentSummary,
   getCompanyPaymentSummary
 } = require('../controllers/paymentController');
+const { protect, requirePermission, filterByBranch } = require('../middleware/auth');
+
+// All routes require authentication and are scoped to the active branch
+// (?branchId=, X-Branch-Id header or token; owners may pass "all")
+router.use(protect);
+router.use(filterByBranch);
 
 /**
  * @route   GET /api/payments/daily-summary
- * @desc    Get daily payment summary for all washers
+ * @desc    Get payment summary for all washers for a date or date range
  * @query   date (optional) - Date in format YYYY-MM-DD, defaults to today
- * @access  Private
+ * @query   from, to (optional) - Date range in format YYYY-MM-DD, used instead of date
+ * @query   groupBy (optional) - day | week | month, adds per-period totals
+ * @query   branchId (optional) - One of the user's branches, or "all" for owners
+ * @access  Private (owner, branch_manager, viewer)
  */
-router.get('/daily-summary', getDailyPaymentSummary);
+router.get('/daily-summary', requirePermission('reports:read'), getDailyPaymentSummary);
 
 /**
  * @route   GET /api/payments/washer/:washerId
- * @desc    Get payment summary for a specific washer
+ * @desc    Get payment summary for a specific washer for a date or date range
  * @param   washerId - The washer's ID
  * @query   date (optional) - Date in format YYYY-MM-DD, defaults to today
- * @access  Private
+ * @query   from, to (optional) - Date range in format YYYY-MM-DD, used instead of date
+ * @query   groupBy (optional) - day | week | month, adds per-period totals
+ * @query   branchId (optional) - One of the user's branches, or "all" for owners
+ * @access  Private (owner, branch_manager, viewer)
  */
-router.get('/washer/:washerId', getWasherPaymentSummary);
+router.get('/washer/:washerId', requirePermission('reports:read'), getWasherPaymentSummary);
 
 /**
  * @route   GET /api/payments/company-summary
- * @desc    Get company payment summary for a date
+ * @desc    Get company payment summary for a date or date range
  * @query   date (optional) - Date in format YYYY-MM-DD, defaults to today
- * @access  Private
+ * @query   from, to (optional) - Date range in format YYYY-MM-DD, used instead of date
+ * @query   groupBy (optional) - day | week | month, adds per-period totals
+ * @query   branchId (optional) - One of the user's branches, or "all" for owners
+ * @access  Private (owner, branch_manager, viewer)
  */
-router.get('/company-summary', getCompanyPaymentSummary);
+router.get('/company-summary', requirePermission('reports:read'), getCompanyPaymentSummary);
 
 module.exports = router;
\ No newline at end of file
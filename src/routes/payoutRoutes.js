@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+
+const {
+  settleWasherEarnings,
+  recordAdvance,
+  recordDeduction,
+  getPayouts,
+  getWasherOutstandingBalance
+} = require('../controllers/payoutController');
+const { protect, requirePermission, filterByBranch, requireSingleBranch } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { PAYOUT_TYPES } = require('../services/payoutService');
+
+// All routes require authentication and act on the active branch (see filterByBranch)
+router.use(protect);
+router.use(filterByBranch);
+
+const washerIdRule = body('washerId')
+  .isString()
+  .notEmpty()
+  .withMessage('Washer ID is required');
+
+const methodRule = body('method')
+  .optional()
+  .isString()
+  .toLowerCase()
+  .isIn(['cash', 'transfer'])
+  .withMessage('Payment method must be either "cash" or "transfer"');
+
+const payoutEntryValidation = [
+  washerIdRule,
+
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0'),
+
+  methodRule,
+
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note must not exceed 200 characters')
+];
+
+const settleValidation = [
+  washerIdRule,
+
+  body('from')
+    .isISO8601()
+    .withMessage('"from" must be a valid date (YYYY-MM-DD)'),
+
+  body('to')
+    .isISO8601()
+    .withMessage('"to" must be a valid date (YYYY-MM-DD)'),
+
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0'),
+
+  methodRule,
+
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note must not exceed 200 characters')
+];
+
+const deductionValidation = [
+  washerIdRule,
+
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0'),
+
+  body('note')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required for deductions')
+    .isLength({ max: 200 })
+    .withMessage('Note must not exceed 200 characters')
+];
+
+/**
+ * POST /api/payouts/settle
+ * Settle a washer's earnings for a period (full or partial)
+ * Body: { washerId, from, to, amount?, method?, note? }
+ */
+router.post('/settle', requirePermission('payouts:manage'), requireSingleBranch, settleValidation, validate, settleWasherEarnings);
+
+/**
+ * POST /api/payouts/advance
+ * Record an advance paid to a washer
+ * Body: { washerId, amount, method?, note? }
+ */
+router.post('/advance', requirePermission('payouts:manage'), requireSingleBranch, payoutEntryValidation, validate, recordAdvance);
+
+/**
+ * POST /api/payouts/deduction
+ * Record a deduction from a washer's earnings
+ * Body: { washerId, amount, note }
+ */
+router.post('/deduction', requirePermission('payouts:manage'), requireSingleBranch, deductionValidation, validate, recordDeduction);
+
+/**
+ * GET /api/payouts
+ * Get payout ledger for user's branch
+ * Query: ?washerId=xxx&type=settlement|advance|deduction&from=YYYY-MM-DD&to=YYYY-MM-DD
+ */
+router.get(
+  '/',
+  requirePermission('payouts:read'),
+  query('type').optional().isIn(PAYOUT_TYPES).withMessage(`Type must be one of: ${PAYOUT_TYPES.join(', ')}`),
+  validate,
+  getPayouts
+);
+
+/**
+ * GET /api/payouts/washer/:washerId/balance
+ * Get a washer's outstanding balance
+ * Query: ?asOf=YYYY-MM-DD (optional)
+ */
+router.get('/washer/:washerId/balance', requirePermission('payouts:read'), requireSingleBranch, getWasherOutstandingBalance);
+
+module.exports = router;
@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+
+const {
+  createPromoCode,
+  getPromoCodes,
+  getPromoCodeById,
+  updatePromoCode,
+  deletePromoCode
+} = require('../controllers/promoCodeController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { DISCOUNT_VALUE_TYPES } = require('../services/discountService');
+
+// All routes require authentication
+router.use(protect);
+
+const limitRules = [
+  body('validFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('validFrom must be a valid date'),
+
+  body('validTo')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('validTo must be a valid date'),
+
+  body('maxUses')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('maxUses must be a whole number of at least 1'),
+
+  body('maxUsesPerCustomer')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('maxUsesPerCustomer must be a whole number of at least 1'),
+
+  body('description')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description must not exceed 200 characters')
+];
+
+const createPromoCodeValidation = [
+  body('code')
+    .isString()
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,30}$/)
+    .withMessage('Code must be 3-30 letters, digits, dashes or underscores'),
+
+  body('valueType')
+    .isIn(DISCOUNT_VALUE_TYPES)
+    .withMessage('valueType must be "percent" or "fixed"'),
+
+  body('value')
+    .isFloat({ gt: 0 })
+    .withMessage('Value must be greater than 0'),
+
+  body('serviceItemId')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Service item ID must be a string'),
+
+  body('branchId')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Branch ID must be a string'),
+
+  ...limitRules
+];
+
+const updatePromoCodeValidation = [
+  body('valueType')
+    .optional()
+    .isIn(DISCOUNT_VALUE_TYPES)
+    .withMessage('valueType must be "percent" or "fixed"'),
+
+  body('value')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Value must be greater than 0'),
+
+  ...limitRules,
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+/**
+ * POST /api/promo-codes
+ * Create a promo code (whole record or one service item, every branch or one)
+ * Body: { code, valueType: "percent"|"fixed", value, description?, serviceItemId?, branchId?,
+ *         validFrom?, validTo?, maxUses?, maxUsesPerCustomer? }
+ */
+router.post('/', requirePermission('promoCodes:manage'), createPromoCodeValidation, validate, createPromoCode);
+
+/**
+ * GET /api/promo-codes
+ * Get promo codes with their number of uses
+ * Query: ?branchId=xxx|global&isActive=true
+ */
+router.get('/', requirePermission('promoCodes:read'), getPromoCodes);
+
+/**
+ * GET /api/promo-codes/:id
+ * Get promo code by ID
+ */
+router.get('/:id', requirePermission('promoCodes:read'), getPromoCodeById);
+
+/**
+ * PUT /api/promo-codes/:id
+ * Update promo code
+ */
+router.put('/:id', requirePermission('promoCodes:manage'), updatePromoCodeValidation, validate, updatePromoCode);
+
+/**
+ * DELETE /api/promo-codes/:id
+ * Soft delete promo code (sets isActive to false)
+ */
+router.delete('/:id', requirePermission('promoCodes:manage'), deletePromoCode);
+
+module.exports = router;
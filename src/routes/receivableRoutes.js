@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+
+const {
+  getReceivables,
+  getCustomerReceivables,
+  settleCarWash,
+  settleCustomerBalance
+} = require('../controllers/receivableController');
+const { protect, requirePermission, filterByBranch, requireSingleBranch } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { PAYMENT_METHODS } = require('../services/paymentService');
+
+// All routes require authentication and act on the active branch (see filterByBranch)
+router.use(protect);
+router.use(filterByBranch);
+
+const paymentValidation = [
+  body('method')
+    .isString()
+    .toLowerCase()
+    .isIn(PAYMENT_METHODS)
+    .withMessage(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0'),
+
+  body('reference')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reference must not exceed 100 characters')
+];
+
+const carWashPaymentValidation = [
+  ...paymentValidation,
+
+  body('tendered')
+    .optional({ values: 'null' })
+    .isFloat({ gt: 0 })
+    .withMessage('Amount tendered must be greater than 0')
+];
+
+/**
+ * GET /api/receivables
+ * Get outstanding balances by customer, aged 0-30, 31-60, 61-90 and over 90 days
+ */
+router.get('/', requirePermission('receivables:read'), getReceivables);
+
+/**
+ * GET /api/receivables/customers/:customerId
+ * Get a customer's records with a balance, oldest first
+ */
+router.get('/customers/:customerId', requirePermission('receivables:read'), getCustomerReceivables);
+
+/**
+ * POST /api/receivables/customers/:customerId/payments
+ * Record a payment against a customer's balance; the oldest records are settled first
+ * Body: { method: "cash"|"transfer"|"pos", amount, reference? }
+ */
+router.post(
+  '/customers/:customerId/payments',
+  requirePermission('payments:record'),
+  requireSingleBranch,
+  paymentValidation,
+  validate,
+  settleCustomerBalance
+);
+
+/**
+ * POST /api/receivables/car-wash/:id/payments
+ * Record a payment against one car wash record's balance
+ * Body: { method: "cash"|"transfer"|"pos", amount, tendered?, reference? }
+ */
+router.post(
+  '/car-wash/:id/payments',
+  requirePermission('payments:record'),
+  requireSingleBranch,
+  carWashPaymentValidation,
+  validate,
+  settleCarWash
+);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 
 const {
   createCarWashRecord,
@@ -9,10 +9,78 @@ const {
   getAllWashersDailySummary,
   getCarWashRecords,
   getCarWashById,
-  getCompanyDailySummaryAllBranches
+  getCompanyDailySummaryAllBranches,
+  updateCarWashRecord,
+  voidCarWashRecord
 } = require('../controllers/recordController');
 const { validate } = require('../middleware/validate');
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission, filterByBranch, requireSingleBranch } = require('../middleware/auth');
+const { DISCOUNT_VALUE_TYPES } = require('../services/discountService');
+const { PAYMENT_METHODS } = require('../services/paymentService');
+
+// A discount is { type: "percent" | "fixed", value, reason }
+const discountRule = (field) => body(field)
+  .optional({ values: 'null' })
+  .custom(discount => DISCOUNT_VALUE_TYPES.includes(discount.type) && parseFloat(discount.value) > 0)
+  .withMessage(`${field} must have a type ("percent" or "fixed") and a value greater than 0`);
+
+// Validation rules for price overrides, discounts, promo codes and points
+const pricingValidation = [
+  body('items.*.overridePrice')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('overridePrice must be a number of at least 0'),
+  
+  discountRule('items.*.discount'),
+  discountRule('discount'),
+  
+  body('promoCode')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .withMessage('Promo code must be a string'),
+  
+  body('redeemPoints')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('redeemPoints must be a whole number')
+];
+
+// Validation rules for the payment method or split payment lines
+const paymentValidation = [
+  body('paymentMethod')
+    .optional()
+    .isString()
+    .toLowerCase()
+    .isIn(PAYMENT_METHODS)
+    .withMessage(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+  
+  body('payments')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Payments must be an array with at least one payment'),
+  
+  body('payments.*.method')
+    .isString()
+    .toLowerCase()
+    .isIn(PAYMENT_METHODS)
+    .withMessage(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+  
+  body('payments.*.amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Payment amount must be greater than 0'),
+  
+  body('payments.*.tendered')
+    .optional({ values: 'null' })
+    .isFloat({ gt: 0 })
+    .withMessage('Amount tendered must be greater than 0'),
+  
+  body('payments.*.reference')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .withMessage('Payment reference must be a string')
+];
 
 // Validation rules for creating car wash record
 const createCarWashValidation = [
@@ -40,14 +108,60 @@ const createCarWashValidation = [
     .trim()
     .withMessage('Customer phone must be a string'),
   
-  body('paymentMethod')
+  ...paymentValidation,
+  
+  body('washDate')
     .optional()
+    .isISO8601()
+    .withMessage('washDate must be a valid date'),
+  
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('Items must be an array with at least one item'),
+  
+  body('items.*.washerName')
     .isString()
-    .toLowerCase()
-    .isIn(['cash', 'transfer'])
-    .withMessage('Payment method must be either "cash" or "transfer"'),
+    .notEmpty()
+    .withMessage('Washer name is required for each item'),
+  
+  body('items.*.serviceItemName')
+    .isString()
+    .notEmpty()
+    .withMessage('Service item name is required for each item'),
+  
+  ...pricingValidation
+];
+
+// Validation rules for updating car wash record (all fields optional)
+const updateCarWashValidation = [
+  body('carNumber')
+    .optional()
+    .isString()
+    .trim()
+    .withMessage('Car number must be a string'),
+  
+  body('carModel')
+    .optional()
+    .isString()
+    .trim()
+    .withMessage('Car model must be a string'),
+  
+  body('customerName')
+    .optional()
+    .isString()
+    .trim()
+    .withMessage('Customer name must be a string'),
+  
+  body('customerPhone')
+    .optional()
+    .isString()
+    .trim()
+    .withMessage('Customer phone must be a string'),
+  
+  ...paymentValidation,
   
   body('items')
+    .optional()
     .isArray({ min: 1 })
     .withMessage('Items must be an array with at least one item'),
   
@@ -59,59 +173,136 @@ const createCarWashValidation = [
   body('items.*.serviceItemName')
     .isString()
     .notEmpty()
-    .withMessage('Service item name is required for each item')
+    .withMessage('Service item name is required for each item'),
+  
+  ...pricingValidation
+];
+
+// Validation rules for voiding car wash record
+const voidCarWashValidation = [
+  body('reason')
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('A reason (3-200 characters) is required to void a record')
+];
+
+// Validation rules for searching car wash records
+const searchCarWashValidation = [
+  ...['date', 'from', 'to'].map(field => query(field)
+    .optional()
+    .isISO8601()
+    .withMessage(`${field} must be a valid date (YYYY-MM-DD)`)),
+
+  ...['minAmount', 'maxAmount'].map(field => query(field)
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage(`${field} must be a number of 0 or more`)),
+
+  query('paymentMethod')
+    .optional()
+    .isIn([...PAYMENT_METHODS, 'split'])
+    .withMessage(`Payment method must be one of: ${[...PAYMENT_METHODS, 'split'].join(', ')}`),
+
+  query('search')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Search must be 2-50 characters'),
+
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('sortOrder must be asc or desc'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('limit must be between 1 and 200')
 ];
 
 // All routes require authentication (protect middleware adds user with branch info)
+// and act on the active branch (see filterByBranch)
 router.use(protect);
+router.use(filterByBranch);
 
 /**
  * POST /api/records/car-wash
  * Create a new car wash record
  * Automatically scoped to authenticated user's branch
- * Body: { carNumber, carModel, customerName, customerPhone, paymentMethod, items: [{washerName, serviceItemName}] }
+ * Body: { carNumber, carModel, customerName, customerPhone, washDate?, paymentMethod?, payments?,
+ *         items: [{ washerName, serviceItemName, customPrice?, overridePrice?, overrideReason?, discount? }],
+ *         discount?, promoCode?, redeemPoints? }
+ * payments: [{ method: "cash" | "transfer" | "pos", amount, tendered?, reference? }] up to the net
+ * total (anything left is owed, see /api/receivables); paymentMethod alone pays the whole total;
+ * change is tendered - amount
+ * Price overrides and manual discounts ({ type: "percent" | "fixed", value, reason }) need a manager
+ * Loyalty stamp rewards are applied automatically; redeemPoints spends the customer's points
+ * washDate (defaults to now) may be backdated within the user's role window; backdated
+ * entries are flagged in the audit log
  */
-router.post('/car-wash', createCarWashValidation, validate, createCarWashRecord);
+router.post('/car-wash', requirePermission('records:create'), requireSingleBranch, createCarWashValidation, validate, createCarWashRecord);
 
 /**
  * GET /api/records/car-wash
- * Get all car wash records for user's branch (optionally filtered by date and washerId)
- * Query params: ?date=2025-01-15&washerId=xxx
+ * Search car wash records for user's branch, a page at a time (defaults to today, newest first)
+ * Query params: ?date=2025-01-15 or ?from=2025-01-01&to=2025-01-31, washerId, serviceItemId,
+ * paymentMethod (cash | transfer | pos | split), search (plate, car model, customer name or phone),
+ * minAmount, maxAmount, includeVoided=true, sortBy (washDate | createdAt | totalAmount),
+ * sortOrder (asc | desc), limit (default 50, max 200), cursor (nextCursor of the previous page)
+ * Response pagination: { limit, total, sortBy, sortOrder, hasMore, nextCursor }
  */
-router.get('/car-wash', getCarWashRecords);
+router.get('/car-wash', requirePermission('records:read'), searchCarWashValidation, validate, getCarWashRecords);
 
 /**
  * GET /api/records/car-wash/:id
  * Get a single car wash record by ID (only if in user's branch)
  */
-router.get('/car-wash/:id', getCarWashById);
+router.get('/car-wash/:id', requirePermission('records:read'), getCarWashById);
+
+/**
+ * PUT /api/records/car-wash/:id
+ * Update a car wash record (only if in user's branch)
+ * Body: { carNumber?, carModel?, customerName?, customerPhone?, paymentMethod?, payments?, items?, discount?, promoCode?, redeemPoints? }
+ * items replaces all washed items; daily summaries are recomputed
+ * payments (or paymentMethod) replaces the payment lines taken with the wash
+ */
+router.put('/car-wash/:id', requirePermission('records:update'), requireSingleBranch, updateCarWashValidation, validate, updateCarWashRecord);
+
+/**
+ * DELETE /api/records/car-wash/:id
+ * Void a car wash record (soft delete, excluded from all reports)
+ * Body: { reason }
+ */
+router.delete('/car-wash/:id', requirePermission('records:void'), requireSingleBranch, voidCarWashValidation, validate, voidCarWashRecord);
 
 /**
  * GET /api/records/washer/:washerId/daily-summary
  * Get daily summary for a specific washer in user's branch
  * Query params: ?date=2025-01-15 (optional, defaults to today)
  */
-router.get('/washer/:washerId/daily-summary', getWasherDailySummary);
+router.get('/washer/:washerId/daily-summary', requirePermission('reports:read'), requireSingleBranch, getWasherDailySummary);
 
 /**
  * GET /api/records/washers/daily-summary
  * Get daily summaries for all washers in user's branch
  * Query params: ?date=2025-01-15 (optional, defaults to today)
  */
-router.get('/washers/daily-summary', getAllWashersDailySummary);
+router.get('/washers/daily-summary', requirePermission('reports:read'), getAllWashersDailySummary);
 
 /**
  * GET /api/records/company-summary
  * Get company daily summary for user's branch
  * Query params: ?date=2025-01-15 (optional, defaults to today)
  */
-router.get('/company-summary', getCompanyDailySummary);
+router.get('/company-summary', requirePermission('reports:read'), requireSingleBranch, getCompanyDailySummary);
 
 /**
  * GET /api/records/company-summary-all
  * Get company daily summary for ALL branches (no branch filter)
  * Query params: ?date=2025-01-15 (optional, defaults to today)
  */
-router.get('/company-summary-all', getCompanyDailySummaryAllBranches);
+router.get('/company-summary-all', requirePermission('reports:readAllBranches'), getCompanyDailySummaryAllBranches);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,99 @@
+/**
+ * Check daily summaries against the car wash records and optionally rebuild drifted days
+ *
+ * Usage: node src/scripts/rebuildSummaries.js [--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--branch=<id>] [--fix] [--include-closed]
+ * Defaults to yesterday and today for every active branch, so it can run as a nightly job
+ * Closed days are only rebuilt with --include-closed (e.g. to backfill new rollup fields)
+ * Exits with 1 when drift is left unfixed
+ */
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const prisma = require('../config/database');
+const { rebuildDailySummaries } = require('../services/summaryService');
+const { DEFAULT_TIME_ZONE, parseDateRange, formatDate, addDays } = require('../utils/dateRange');
+
+/**
+ * Read --key=value and --flag arguments
+ */
+const parseArgs = (argv) => {
+  const args = {};
+
+  argv.forEach(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    args[key] = value === undefined ? true : value;
+  });
+
+  return args;
+};
+
+/**
+ * Print the fields that differ between stored and expected totals
+ */
+const formatDifferences = ({ stored, expected }) => Object.keys(expected)
+  .filter(field => stored[field] !== expected[field])
+  .map(field => `${field} ${stored[field]} -> ${expected[field]}`)
+  .join(', ');
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const today = formatDate(new Date(), DEFAULT_TIME_ZONE);
+
+  const range = parseDateRange({
+    from: args.from || addDays(today, -1),
+    to: args.to || args.from || today
+  });
+
+  if (range.error) {
+    throw new Error(range.error);
+  }
+
+  const branchIds = args.branch
+    ? [args.branch]
+    : (await prisma.branch.findMany({ where: { isActive: true }, select: { id: true } })).map(branch => branch.id);
+
+  let unfixed = 0;
+
+  for (const branchId of branchIds) {
+    const result = await rebuildDailySummaries({
+      branchId,
+      from: range.from,
+      to: range.to,
+      fix: Boolean(args.fix),
+      includeClosed: Boolean(args['include-closed'])
+    });
+
+    console.log(`${branchId}: ${result.daysChecked} day(s) checked, ${result.drift.length} drifted, ${result.fixed} rebuilt`);
+
+    result.drift.forEach(day => {
+      const status = day.fixed ? 'rebuilt' : day.isClosed ? 'closed, not rebuilt' : 'not rebuilt';
+      console.log(`  ${day.date} (${status})`);
+
+      if (day.company) {
+        console.log(`    company: ${formatDifferences(day.company)}`);
+      }
+      day.washers.forEach(washer => {
+        console.log(`    washer ${washer.washerId}: ${formatDifferences(washer)}`);
+      });
+      day.items.forEach(item => {
+        console.log(`    item ${item.serviceItemId}: ${formatDifferences(item)}`);
+      });
+
+      if (!day.fixed) unfixed += 1;
+    });
+  }
+
+  if (unfixed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((e) => {
+    console.error('Error checking summaries:', e);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
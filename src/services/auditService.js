@@ -0,0 +1,77 @@
+const prisma = require('../config/database');
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete'];
+
+// Never written to the audit log
+const REDACTED_FIELDS = ['password'];
+
+// Change on every write, so they are left out of the diff
+const IGNORED_DIFF_FIELDS = ['updatedAt'];
+
+/**
+ * Turn an entity into plain JSON (dates as ISO strings) without secrets
+ */
+const toAuditSnapshot = (entity) => {
+  if (!entity) return null;
+
+  return JSON.parse(JSON.stringify(entity, (key, value) =>
+    REDACTED_FIELDS.includes(key) ? undefined : value
+  ));
+};
+
+/**
+ * Fields that differ between two snapshots: { field: { from, to } }
+ */
+const diffSnapshots = (before, after) => {
+  if (!before || !after) return null;
+
+  const changes = {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  keys.forEach(key => {
+    if (IGNORED_DIFF_FIELDS.includes(key)) return;
+
+    const from = before[key] === undefined ? null : before[key];
+    const to = after[key] === undefined ? null : after[key];
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from, to };
+    }
+  });
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+/**
+ * Write an audit log entry for a create, update or delete
+ * Pass the transaction client so the entry is committed (or rolled back) with the change
+ * req supplies the user, active branch, IP address and user agent
+ */
+const recordAudit = async (client, req, { action, entity, entityId, before, after, metadata, branchId }) => {
+  const beforeSnapshot = toAuditSnapshot(before);
+  const afterSnapshot = toAuditSnapshot(after);
+  const requestBranchId = req.branchId || (req.user ? req.user.branchId : null);
+
+  return (client || prisma).auditLog.create({
+    data: {
+      userId: req.user ? req.user.id : null,
+      branchId: branchId !== undefined ? branchId : requestBranchId,
+      action,
+      entity,
+      entityId: entityId || (afterSnapshot && afterSnapshot.id) || (beforeSnapshot && beforeSnapshot.id) || null,
+      before: beforeSnapshot || undefined,
+      after: afterSnapshot || undefined,
+      changes: diffSnapshots(beforeSnapshot, afterSnapshot) || undefined,
+      metadata: metadata ? toAuditSnapshot(metadata) : undefined,
+      ipAddress: req.ip || (req.socket && req.socket.remoteAddress) || null,
+      userAgent: req.get ? req.get('user-agent') || null : null
+    }
+  });
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  toAuditSnapshot,
+  diffSnapshots,
+  recordAudit
+};
@@ -0,0 +1,86 @@
+const prisma = require('../config/database');
+const { hasPermission } = require('../config/roles');
+const { DEFAULT_TIME_ZONE } = require('../utils/dateRange');
+
+// Active branch value owners use to see every branch at once
+const ALL_BRANCHES = 'all';
+
+/**
+ * Branch IDs a user belongs to: their home branch plus any extra memberships
+ * Expects user.branchId and (optionally) user.branchMemberships: [{ branchId }]
+ */
+const getMemberBranchIds = (user) => {
+  const memberships = (user.branchMemberships || []).map(membership => membership.branchId);
+  return [...new Set([user.branchId, ...memberships])];
+};
+
+/**
+ * Resolve the branch a request should act on
+ * Owners may pick any branch or "all"; everyone else must pick one of their branches
+ * Returns { branchId, branch }, { branchId: null, branch: null } for "all", or { status, error }
+ */
+const resolveActiveBranch = async (user, requestedBranchId) => {
+  const branchId = requestedBranchId || user.branchId;
+  const canAccessAnyBranch = hasPermission(user.role, 'branches:override');
+
+  if (branchId === ALL_BRANCHES) {
+    if (!canAccessAnyBranch) {
+      return { status: 403, error: 'Only owners can view all branches at once' };
+    }
+    return { branchId: null, branch: null };
+  }
+
+  if (!canAccessAnyBranch && !getMemberBranchIds(user).includes(branchId)) {
+    return { status: 403, error: 'You do not have access to this branch' };
+  }
+
+  if (user.branch && branchId === user.branch.id) {
+    return { branchId, branch: user.branch };
+  }
+
+  const branch = await prisma.branch.findUnique({
+    where: { id: branchId },
+    select: {
+      id: true,
+      name: true,
+      code: true,
+      isActive: true,
+      timezone: true
+    }
+  });
+
+  if (!branch) {
+    return { status: 404, error: 'Branch not found' };
+  }
+
+  if (!branch.isActive && !canAccessAnyBranch) {
+    return { status: 403, error: 'This branch is inactive. Contact administrator.' };
+  }
+
+  return { branchId, branch };
+};
+
+/**
+ * Time zone a request's days follow: the active branch's, or the default when viewing all branches
+ */
+const getRequestTimeZone = (req) => (req.branch && req.branch.timezone) || DEFAULT_TIME_ZONE;
+
+/**
+ * Time zone of a branch by ID (the default if the branch has none)
+ */
+const getBranchTimeZone = async (branchId, client = prisma) => {
+  const branch = await client.branch.findUnique({
+    where: { id: branchId },
+    select: { timezone: true }
+  });
+
+  return (branch && branch.timezone) || DEFAULT_TIME_ZONE;
+};
+
+module.exports = {
+  ALL_BRANCHES,
+  getMemberBranchIds,
+  resolveActiveBranch,
+  getRequestTimeZone,
+  getBranchTimeZone
+};
@@ -0,0 +1,67 @@
+const { fromSummaryDate } = require('../utils/dateRange');
+const { roundAmount } = require('../utils/money');
+const { getBranchDayWindow } = require('./summaryService');
+
+const CASH_SESSION_STATUSES = ['open', 'closed'];
+
+/**
+ * Money a branch should have taken on a day, by method
+ * Payments count on the day they were received (later settlements included);
+ * cash also loses washer payouts paid from the drawer
+ * Returns { cashReceived, cashPaidOut, transferReceived, posReceived }
+ */
+const getDayTakings = async (client, { branchId, startOfDay, endOfDay }) => {
+  const [payments, cashPayouts] = await Promise.all([
+    client.payment.groupBy({
+      by: ['method'],
+      where: {
+        createdAt: { gte: startOfDay, lte: endOfDay },
+        carWash: { branchId, isVoided: false }
+      },
+      _sum: { amount: true }
+    }),
+    client.washerPayout.aggregate({
+      where: {
+        branchId,
+        type: { in: ['settlement', 'advance'] },
+        method: 'cash',
+        paidAt: { gte: startOfDay, lte: endOfDay }
+      },
+      _sum: { amount: true }
+    })
+  ]);
+
+  const received = Object.fromEntries(payments.map(line => [line.method, line._sum.amount || 0]));
+
+  return {
+    cashReceived: roundAmount(received.cash || 0),
+    cashPaidOut: roundAmount(cashPayouts._sum.amount || 0),
+    transferReceived: roundAmount(received.transfer || 0),
+    posReceived: roundAmount(received.pos || 0)
+  };
+};
+
+/**
+ * What the drawer and the bank should show for a session
+ * Expected cash is the opening float plus cash received, less cash paid out
+ */
+const getExpectedTotals = async (client, session) => {
+  const { startOfDay, endOfDay } = await getBranchDayWindow(client, {
+    branchId: session.branchId,
+    date: fromSummaryDate(session.date)
+  });
+  const takings = await getDayTakings(client, { branchId: session.branchId, startOfDay, endOfDay });
+
+  return {
+    ...takings,
+    expectedCash: roundAmount(session.openingFloat + takings.cashReceived - takings.cashPaidOut),
+    expectedTransfer: takings.transferReceived,
+    expectedPos: takings.posReceived
+  };
+};
+
+module.exports = {
+  CASH_SESSION_STATUSES,
+  getDayTakings,
+  getExpectedTotals
+};
@@ -0,0 +1,94 @@
+const prisma = require('../config/database');
+
+// Split used when a service item has no applicable rule: 60% company, 40% washer
+const DEFAULT_WASHER_RATE = 0.4;
+
+// Without a rule, manual and promo discounts are absorbed by the company
+const DEFAULT_SHARES_DISCOUNTS = false;
+
+/**
+ * Load commission rules, ended ones included: a rule applies by its dates alone,
+ * so washes keep the split they were made under after the rule is ended
+ * When a branchId is given, only that branch's overrides and the global rules are loaded
+ */
+const loadCommissionRules = async ({ branchId, client = prisma } = {}) => {
+  const where = {};
+
+  if (branchId) {
+    where.OR = [{ branchId }, { branchId: null }];
+  }
+
+  return client.commissionRule.findMany({
+    where,
+    orderBy: { effectiveFrom: 'desc' }
+  });
+};
+
+/**
+ * Pick the rule that applies to a service item at a branch on a given date
+ * Branch-specific rules win over global rules; within the same scope,
+ * the rule with the latest effectiveFrom wins
+ */
+const findApplicableRule = (rules, { serviceItemId, branchId, date }) => {
+  const at = date ? new Date(date) : new Date();
+  let match = null;
+
+  for (const rule of rules) {
+    if (rule.serviceItemId !== serviceItemId) continue;
+    if (rule.branchId && rule.branchId !== branchId) continue;
+    if (rule.effectiveFrom > at) continue;
+    if (rule.effectiveTo && rule.effectiveTo <= at) continue;
+
+    if (!match) {
+      match = rule;
+    } else if (Boolean(rule.branchId) !== Boolean(match.branchId)) {
+      if (rule.branchId) match = rule;
+    } else if (rule.effectiveFrom > match.effectiveFrom) {
+      match = rule;
+    }
+  }
+
+  return match;
+};
+
+/**
+ * Calculate payment split for a price using a commission rule
+ * Falls back to the default 60/40 split when no rule applies
+ * sharesDiscounts tells whether discounts on the item come off the washer's share too
+ */
+const calculatePaymentSplit = (price, rule) => {
+  const washerRate = rule ? rule.washerRate : DEFAULT_WASHER_RATE;
+  const washerShare = price * washerRate;
+  const companyShare = price - washerShare;
+
+  return {
+    companyShare,
+    washerShare,
+    commissionRuleId: rule ? rule.id : null,
+    commissionRuleVersion: rule ? rule.version : null,
+    sharesDiscounts: rule ? rule.sharesDiscounts : DEFAULT_SHARES_DISCOUNTS
+  };
+};
+
+/**
+ * Load rules once and return a function that splits a washed item's price
+ * Usage: const splitPayment = await getCommissionResolver({ branchId });
+ *        splitPayment({ serviceItemId, branchId, date, price })
+ */
+const getCommissionResolver = async (options = {}) => {
+  const rules = await loadCommissionRules(options);
+
+  return ({ serviceItemId, branchId, date, price }) => {
+    const rule = findApplicableRule(rules, { serviceItemId, branchId, date });
+    return calculatePaymentSplit(price, rule);
+  };
+};
+
+module.exports = {
+  DEFAULT_WASHER_RATE,
+  DEFAULT_SHARES_DISCOUNTS,
+  loadCommissionRules,
+  findApplicableRule,
+  calculatePaymentSplit,
+  getCommissionResolver
+};
@@ -0,0 +1,122 @@
+const prisma = require('../config/database');
+const { roundAmount } = require('../utils/money');
+
+/**
+ * Normalize a plate number for matching: uppercase letters and digits only
+ * "lag-123 ab" -> "LAG123AB"
+ */
+const normalizePlate = (plate) => {
+  if (!plate) return null;
+  const normalized = String(plate).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return normalized || null;
+};
+
+/**
+ * Normalize a phone number for matching: digits only, with the
+ * international prefix (+234 / 234) replaced by the local 0
+ * "+234 803 123 4567" -> "08031234567"
+ */
+const normalizePhone = (phone) => {
+  if (!phone) return null;
+  const digits = String(phone).replace(/\D/g, '');
+  if (/^234\d{10}$/.test(digits)) return `0${digits.slice(3)}`;
+  return digits || null;
+};
+
+/**
+ * Find or create the customer and vehicle for a car wash record
+ * Customers are matched by normalized phone, vehicles by normalized plate.
+ * Blank details never overwrite known ones; a vehicle is linked to the
+ * customer who last brought it in.
+ * Returns { customerId, vehicleId } (either may be null)
+ */
+const matchCustomerAndVehicle = async (client = prisma, { carNumber, carModel, customerName, customerPhone }) => {
+  const normalizedPhone = normalizePhone(customerPhone);
+  const normalizedPlate = normalizePlate(carNumber);
+
+  let customer = null;
+  if (normalizedPhone) {
+    customer = await client.customer.upsert({
+      where: { normalizedPhone },
+      update: {
+        phone: customerPhone,
+        ...(customerName && { name: customerName })
+      },
+      create: {
+        name: customerName,
+        phone: customerPhone,
+        normalizedPhone
+      }
+    });
+  }
+
+  let vehicle = null;
+  if (normalizedPlate) {
+    vehicle = await client.vehicle.upsert({
+      where: { normalizedPlate },
+      update: {
+        plateNumber: carNumber,
+        ...(carModel && { model: carModel }),
+        ...(customer && { customerId: customer.id })
+      },
+      create: {
+        plateNumber: carNumber,
+        normalizedPlate,
+        model: carModel,
+        customerId: customer ? customer.id : null
+      }
+    });
+  }
+
+  return {
+    customerId: customer ? customer.id : (vehicle ? vehicle.customerId : null),
+    vehicleId: vehicle ? vehicle.id : null
+  };
+};
+
+/**
+ * Visit stats for customers or vehicles: visits, lifetime spend, first and last visit
+ * field: 'customerId' or 'vehicleId'; voided records are excluded
+ * Returns a map of id -> stats
+ */
+const getVisitStats = async ({ field, ids, branchFilter = {}, client = prisma }) => {
+  if (ids.length === 0) return {};
+
+  const groups = await client.carWash.groupBy({
+    by: [field],
+    where: {
+      [field]: { in: ids },
+      isVoided: false,
+      ...branchFilter
+    },
+    _count: { _all: true },
+    _sum: { totalAmount: true },
+    _min: { washDate: true },
+    _max: { washDate: true }
+  });
+
+  const stats = Object.fromEntries(ids.map(id => [id, {
+    visits: 0,
+    lifetimeSpend: 0,
+    firstVisit: null,
+    lastVisit: null
+  }]));
+
+  groups.forEach(group => {
+    stats[group[field]] = {
+      visits: group._count._all,
+      lifetimeSpend: roundAmount(group._sum.totalAmount || 0),
+      firstVisit: group._min.washDate,
+      lastVisit: group._max.washDate
+    };
+  });
+
+  return stats;
+};
+
+module.exports = {
+  normalizePlate,
+  normalizePhone,
+  matchCustomerAndVehicle,
+  getVisitStats
+};
@@ -0,0 +1,279 @@
+const prisma = require('../config/database');
+const { roundAmount } = require('../utils/money');
+
+const DISCOUNT_VALUE_TYPES = ['percent', 'fixed'];
+
+/**
+ * Normalize a promo code for storage and lookup: trimmed, uppercase
+ */
+const normalizePromoCode = (code) => String(code).trim().toUpperCase();
+
+/**
+ * Working copy of resolved items for pricing: each line tracks its discount and the
+ * part of it that also comes off the washer's commission
+ */
+const toPricingLines = (items) => items.map(item => ({
+  ...item,
+  discountAmount: 0,
+  commissionDiscount: 0
+}));
+
+/**
+ * What is left to pay on lines after the discounts applied so far
+ */
+const getOpenAmount = (lines) => roundAmount(
+  lines.reduce((sum, line) => sum + line.price - line.discountAmount, 0)
+);
+
+/**
+ * Amount a percentage or fixed discount takes off a base amount (never more than the base)
+ */
+const calculateDiscount = ({ valueType, value }, base) => {
+  const amount = valueType === 'percent' ? base * value / 100 : value;
+  return roundAmount(Math.min(Math.max(amount, 0), base));
+};
+
+/**
+ * Take an amount off a line
+ * reducesCommission: whether the washer's commission is computed on the discounted price
+ */
+const addLineDiscount = (line, amount, reducesCommission) => {
+  line.discountAmount = roundAmount(line.discountAmount + amount);
+  if (reducesCommission) {
+    line.commissionDiscount = roundAmount(line.commissionDiscount + amount);
+  }
+};
+
+/**
+ * Spread a record-level discount over the lines in proportion to what is left of
+ * each line's price; the last line takes the rounding remainder
+ * reducesCommission: function (line) => boolean
+ */
+const spreadDiscount = (lines, amount, reducesCommission) => {
+  const openLines = lines.filter(line => line.price - line.discountAmount > 0);
+  const base = openLines.reduce((sum, line) => sum + line.price - line.discountAmount, 0);
+  let left = amount;
+
+  openLines.forEach((line, index) => {
+    const share = index === openLines.length - 1
+      ? left
+      : roundAmount(amount * (line.price - line.discountAmount) / base);
+
+    left = roundAmount(left - share);
+    addLineDiscount(line, share, reducesCommission(line));
+  });
+};
+
+// Manual and promo discounts follow each item's commission policy
+const itemCommissionPolicy = (line) => line.sharesDiscounts;
+
+/**
+ * Find a promo code and check it can be used on a record
+ * date is the wash date; the code must also not have expired by enteredAt, when it
+ * was put on the record, so a backdated record cannot bring back an expired code
+ * client must be a transaction when the code has usage limits: the code stays
+ * locked until it ends, so redemptions running side by side are counted in turn
+ * Returns { promoCode } or { error }
+ */
+const findUsablePromoCode = async (client, { code, branchId, customerId, date, enteredAt = new Date() }) => {
+  const at = date ? new Date(date) : new Date();
+
+  const promoCode = await client.promoCode.findUnique({
+    where: { code: normalizePromoCode(code) }
+  });
+
+  if (!promoCode || !promoCode.isActive) {
+    return { error: 'Promo code not found or inactive' };
+  }
+
+  if (promoCode.branchId && promoCode.branchId !== branchId) {
+    return { error: 'Promo code is not valid at this branch' };
+  }
+
+  if (promoCode.validFrom > at || (promoCode.validTo && promoCode.validTo <= at)) {
+    return { error: 'Promo code is not valid on this date' };
+  }
+
+  if (promoCode.validTo && promoCode.validTo <= enteredAt) {
+    return { error: 'Promo code has expired' };
+  }
+
+  if (promoCode.maxUses !== null || promoCode.maxUsesPerCustomer !== null) {
+    await client.$queryRaw`SELECT "id" FROM "PromoCode" WHERE "id" = ${promoCode.id} FOR UPDATE`;
+  }
+
+  // Uses on voided records do not count
+  if (promoCode.maxUses !== null) {
+    const uses = await client.carWashDiscount.count({
+      where: { promoCodeId: promoCode.id, carWash: { isVoided: false } }
+    });
+
+    if (uses >= promoCode.maxUses) {
+      return { error: 'Promo code has reached its usage limit' };
+    }
+  }
+
+  if (promoCode.maxUsesPerCustomer !== null) {
+    if (!customerId) {
+      return { error: 'Promo code requires a known customer (phone number or plate)' };
+    }
+
+    const customerUses = await client.carWashDiscount.count({
+      where: { promoCodeId: promoCode.id, carWash: { isVoided: false, customerId } }
+    });
+
+    if (customerUses >= promoCode.maxUsesPerCustomer) {
+      return { error: 'Customer has already used this promo code the maximum number of times' };
+    }
+  }
+
+  return { promoCode };
+};
+
+/**
+ * Apply manual discounts and a promo code to pricing lines, in this order:
+ * item discounts (line.discount), the promo code, then the record discount
+ * Each discount is worked out on what is left to pay at that point
+ * Manual discounts are recorded with their reason and the approving manager
+ * promoEnteredAt: when the promo code was put on the record (default now)
+ * Returns { discounts } (CarWashDiscount data) or { error }
+ */
+const applyDiscounts = async (client, { lines, branchId, customerId, date, discount, promoCode, promoEnteredAt, approvedById }) => {
+  const discounts = [];
+
+  // Item discounts
+  lines.forEach(line => {
+    if (!line.discount) return;
+
+    const amount = calculateDiscount(
+      { valueType: line.discount.type, value: parseFloat(line.discount.value) },
+      line.price - line.discountAmount
+    );
+    if (amount === 0) return;
+
+    addLineDiscount(line, amount, itemCommissionPolicy(line));
+
+    discounts.push({
+      type: 'item',
+      valueType: line.discount.type,
+      value: parseFloat(line.discount.value),
+      amount,
+      serviceItemId: line.serviceItemId,
+      reason: line.discount.reason,
+      approvedById
+    });
+  });
+
+  // Promo code: on its service item, or spread over the record
+  if (promoCode) {
+    const check = await findUsablePromoCode(client, { code: promoCode, branchId, customerId, date, enteredAt: promoEnteredAt });
+    if (check.error) return { error: check.error };
+
+    const promo = check.promoCode;
+    const value = { valueType: promo.valueType, value: promo.value };
+    let promoAmount = 0;
+
+    if (promo.serviceItemId) {
+      const promoLines = lines.filter(line => line.serviceItemId === promo.serviceItemId);
+
+      if (promoLines.length === 0) {
+        return { error: `Promo code ${promo.code} does not apply to any item on this record` };
+      }
+
+      promoLines.forEach(line => {
+        const amount = calculateDiscount(value, line.price - line.discountAmount);
+        addLineDiscount(line, amount, itemCommissionPolicy(line));
+        promoAmount = roundAmount(promoAmount + amount);
+      });
+    } else {
+      promoAmount = calculateDiscount(value, getOpenAmount(lines));
+      spreadDiscount(lines, promoAmount, itemCommissionPolicy);
+    }
+
+    discounts.push({
+      type: 'promo',
+      description: promo.description || promo.code,
+      valueType: promo.valueType,
+      value: promo.value,
+      amount: promoAmount,
+      serviceItemId: promo.serviceItemId,
+      promoCodeId: promo.id
+    });
+  }
+
+  // Record discount
+  if (discount) {
+    const amount = calculateDiscount(
+      { valueType: discount.type, value: parseFloat(discount.value) },
+      getOpenAmount(lines)
+    );
+
+    if (amount > 0) {
+      spreadDiscount(lines, amount, itemCommissionPolicy);
+
+      discounts.push({
+        type: 'record',
+        valueType: discount.type,
+        value: parseFloat(discount.value),
+        amount,
+        reason: discount.reason,
+        approvedById
+      });
+    }
+  }
+
+  return { discounts };
+};
+
+/**
+ * Turn pricing lines back into washed item data once every discount is applied
+ * The company absorbs each line's discount, except the part that comes off the
+ * washer's commission (their share is then worked out on the discounted price)
+ * Returns { items, grossAmount, discountAmount, totalAmount }
+ */
+const finalizePricing = (lines, discounts) => {
+  const items = lines.map(({ commissionDiscount, ...line }) => {
+    if (line.discountAmount === 0) return line;
+
+    const washerShare = line.price > 0
+      ? roundAmount(line.washerShare * (line.price - commissionDiscount) / line.price)
+      : 0;
+
+    return {
+      ...line,
+      washerShare,
+      companyShare: roundAmount(line.price - line.discountAmount - washerShare)
+    };
+  });
+
+  const grossAmount = roundAmount(items.reduce((sum, item) => sum + item.price, 0));
+  const discountAmount = roundAmount(discounts.reduce((sum, discount) => sum + discount.amount, 0));
+
+  return {
+    items,
+    grossAmount,
+    discountAmount,
+    totalAmount: roundAmount(grossAmount - discountAmount)
+  };
+};
+
+/**
+ * Get a promo code's uses on records that are not voided
+ */
+const countPromoCodeUses = async ({ promoCodeId, client = prisma }) => client.carWashDiscount.count({
+  where: { promoCodeId, carWash: { isVoided: false } }
+});
+
+module.exports = {
+  DISCOUNT_VALUE_TYPES,
+  normalizePromoCode,
+  toPricingLines,
+  getOpenAmount,
+  calculateDiscount,
+  addLineDiscount,
+  spreadDiscount,
+  findUsablePromoCode,
+  applyDiscounts,
+  finalizePricing,
+  countPromoCodeUses
+};
@@ -0,0 +1,266 @@
+const prisma = require('../config/database');
+const { roundAmount } = require('../utils/money');
+const { getOpenAmount, addLineDiscount, spreadDiscount } = require('./discountService');
+
+const LOYALTY_RULE_TYPES = ['stamp', 'points'];
+
+// CarWashDiscount types created by loyalty rewards
+const LOYALTY_DISCOUNT_TYPES = ['loyalty_stamp', 'loyalty_points'];
+
+/**
+ * Load active loyalty rules
+ * When a branchId is given, only that branch's rules and the global rules are loaded
+ */
+const loadLoyaltyRules = async ({ branchId, client = prisma } = {}) => {
+  const where = { isActive: true };
+
+  if (branchId) {
+    where.OR = [{ branchId }, { branchId: null }];
+  }
+
+  return client.loyaltyRule.findMany({
+    where,
+    include: {
+      serviceItem: {
+        select: {
+          id: true,
+          name: true
+        }
+      }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+};
+
+/**
+ * Pick the points rule used at a branch: the branch's own rule wins over the global one
+ */
+const findPointsRule = (rules, branchId) => {
+  const pointsRules = rules.filter(rule => rule.type === 'points');
+
+  return pointsRules.find(rule => rule.branchId === branchId)
+    || pointsRules.find(rule => !rule.branchId)
+    || null;
+};
+
+/**
+ * A customer's loyalty balances: stamps per stamp rule and points (shared by every points rule)
+ * Entries of voided records no longer count
+ */
+const getLoyaltyBalances = async ({ customerId, client = prisma }) => {
+  const groups = await client.loyaltyEntry.groupBy({
+    by: ['ruleId'],
+    where: {
+      customerId,
+      carWash: { isVoided: false }
+    },
+    _sum: { quantity: true }
+  });
+
+  const rules = await client.loyaltyRule.findMany({
+    where: { id: { in: groups.map(group => group.ruleId) } },
+    select: { id: true, type: true }
+  });
+  const ruleTypes = Object.fromEntries(rules.map(rule => [rule.id, rule.type]));
+
+  const balances = { stamps: {}, points: 0 };
+
+  groups.forEach(group => {
+    const quantity = group._sum.quantity || 0;
+
+    if (ruleTypes[group.ruleId] === 'points') {
+      balances.points += quantity;
+    } else {
+      balances.stamps[group.ruleId] = quantity;
+    }
+  });
+
+  return balances;
+};
+
+/**
+ * A customer's loyalty status for the front desk: points and stamp cards
+ * Without a branchId (e.g. owners viewing "all") every active rule is shown
+ */
+const getLoyaltyStatus = async ({ customerId, branchId, client = prisma }) => {
+  const [rules, balances] = await Promise.all([
+    loadLoyaltyRules({ branchId, client }),
+    getLoyaltyBalances({ customerId, client })
+  ]);
+
+  const pointsRule = findPointsRule(rules, branchId);
+
+  return {
+    points: balances.points,
+    pointsValue: pointsRule ? roundAmount(Math.max(balances.points, 0) * pointsRule.pointValue) : 0,
+    stampCards: rules
+      .filter(rule => rule.type === 'stamp')
+      .map(rule => {
+        const stamps = balances.stamps[rule.id] || 0;
+
+        return {
+          ruleId: rule.id,
+          name: rule.name,
+          serviceItem: rule.serviceItem,
+          branchId: rule.branchId,
+          stamps,
+          stampsRequired: rule.stampsRequired,
+          // The next wash of the item is free
+          rewardDue: stamps >= rule.stampsRequired - 1
+        };
+      })
+  };
+};
+
+/**
+ * Hold a transaction-scoped lock on a customer's stamp and points balances
+ */
+const lockCustomer = (tx, customerId) =>
+  tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${customerId}))`;
+
+/**
+ * Apply a customer's loyalty rewards to pricing lines (see discountService), after
+ * any manual and promo discounts
+ * - Stamp cards: a record with the card's service item earns a stamp; once the card
+ *   holds stampsRequired - 1 stamps what is left of that item's price is free instead
+ * - Points: redeemPoints are taken off what is left to pay at the rule's pointValue,
+ *   then points are earned on the amount paid
+ * Washers keep their full commission unless the rule has reduceCommission set,
+ * so by default the company absorbs the reward
+ * Returns { discounts, entries } or { error }
+ * entries are saved with saveLoyaltyEntries once the record exists; client must be
+ * a transaction, which holds the customer's lock until then
+ */
+const applyLoyalty = async (client, { customerId, branchId, lines, redeemPoints = 0 }) => {
+  const discounts = [];
+  const entries = [];
+
+  if (!customerId) {
+    if (redeemPoints > 0) {
+      return { error: 'Points can only be redeemed for a known customer (phone number or plate)' };
+    }
+    return { discounts, entries };
+  }
+
+  // Balances are per customer across branches and days, so two records for the
+  // same customer wait for each other before reading them
+  await lockCustomer(client, customerId);
+
+  const [rules, balances] = await Promise.all([
+    loadLoyaltyRules({ branchId, client }),
+    getLoyaltyBalances({ customerId, client })
+  ]);
+
+  // Stamp cards (each rule is its own card)
+  rules.filter(rule => rule.type === 'stamp').forEach(rule => {
+    // Items already given away by another discount neither earn nor use stamps
+    const line = lines.find(item => item.serviceItemId === rule.serviceItemId && item.price - item.discountAmount > 0);
+    if (!line) return;
+
+    const stamps = balances.stamps[rule.id] || 0;
+
+    if (stamps < rule.stampsRequired - 1) {
+      entries.push({ ruleId: rule.id, type: 'earn', quantity: 1 });
+      return;
+    }
+
+    const amount = roundAmount(line.price - line.discountAmount);
+    addLineDiscount(line, amount, rule.reduceCommission);
+
+    discounts.push({
+      type: 'loyalty_stamp',
+      description: `${rule.name}: free ${rule.serviceItem.name}`,
+      amount,
+      loyaltyRuleId: rule.id,
+      serviceItemId: rule.serviceItemId,
+      reducesCommission: rule.reduceCommission
+    });
+    entries.push({ ruleId: rule.id, type: 'redeem', quantity: -(rule.stampsRequired - 1) });
+  });
+
+  const pointsRule = findPointsRule(rules, branchId);
+
+  // Points redemption
+  if (redeemPoints > 0) {
+    if (!pointsRule) {
+      return { error: 'No loyalty points program applies at this branch' };
+    }
+
+    if (redeemPoints > balances.points) {
+      return { error: `Customer only has ${balances.points} points` };
+    }
+
+    const amount = roundAmount(Math.min(redeemPoints * pointsRule.pointValue, getOpenAmount(lines)));
+    // Never charge more points than the discount is worth
+    const points = Math.min(redeemPoints, Math.ceil(amount / pointsRule.pointValue));
+
+    if (amount > 0) {
+      spreadDiscount(lines, amount, () => pointsRule.reduceCommission);
+
+      discounts.push({
+        type: 'loyalty_points',
+        description: `${pointsRule.name}: ${points} points redeemed`,
+        amount,
+        loyaltyRuleId: pointsRule.id,
+        points,
+        reducesCommission: pointsRule.reduceCommission
+      });
+      entries.push({ ruleId: pointsRule.id, type: 'redeem', quantity: -points });
+    }
+  }
+
+  // Points earned on the amount paid
+  if (pointsRule) {
+    const earned = Math.floor(getOpenAmount(lines) * pointsRule.pointsPerNaira);
+
+    if (earned > 0) {
+      entries.push({ ruleId: pointsRule.id, type: 'earn', quantity: earned });
+    }
+  }
+
+  return { discounts, entries };
+};
+
+/**
+ * Save the stamps and points a record earned or redeemed (from applyLoyalty)
+ * Must run inside the same transaction as the record
+ */
+const saveLoyaltyEntries = async (tx, { carWash, customerId, entries }) => {
+  if (!customerId || entries.length === 0) return;
+
+  await tx.loyaltyEntry.createMany({
+    data: entries.map(entry => ({
+      ...entry,
+      customerId,
+      carWashId: carWash.id,
+      branchId: carWash.branchId
+    }))
+  });
+};
+
+/**
+ * Total loyalty rewards given on car wash records matching a filter
+ */
+const getLoyaltyCost = async ({ carWashWhere, client = prisma }) => {
+  const result = await client.carWashDiscount.aggregate({
+    where: {
+      type: { in: LOYALTY_DISCOUNT_TYPES },
+      carWash: carWashWhere
+    },
+    _sum: { amount: true }
+  });
+
+  return roundAmount(result._sum.amount || 0);
+};
+
+module.exports = {
+  LOYALTY_RULE_TYPES,
+  LOYALTY_DISCOUNT_TYPES,
+  loadLoyaltyRules,
+  findPointsRule,
+  getLoyaltyBalances,
+  getLoyaltyStatus,
+  applyLoyalty,
+  saveLoyaltyEntries,
+  getLoyaltyCost
+};
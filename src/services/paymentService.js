@@ -0,0 +1,221 @@
+const { roundAmount } = require('../utils/money');
+
+const PAYMENT_METHODS = ['cash', 'transfer', 'pos'];
+
+// paid:    payment lines cover the total
+// partial: some of the total is still owed
+// unpaid:  nothing paid yet (on credit, e.g. fleet customers paying monthly)
+const PAYMENT_STATUSES = ['paid', 'partial', 'unpaid'];
+
+/**
+ * Payment status of a record from its total and what has been paid on it
+ */
+const getPaymentStatus = (totalAmount, amountPaid) => {
+  if (amountPaid >= totalAmount) return 'paid';
+  return amountPaid > 0 ? 'partial' : 'unpaid';
+};
+
+/**
+ * Method label stored on the record: the one method used, or "split"
+ */
+const getPaymentMethodLabel = (payments) => {
+  const methods = [...new Set(payments.map(payment => payment.method))];
+  return methods.length > 1 ? 'split' : methods[0] || null;
+};
+
+/**
+ * Check one payment line and work out the change on cash
+ * Returns Payment data or { error }
+ */
+const resolvePaymentLine = (line, receivedById) => {
+  const method = String(line.method).toLowerCase();
+  const amount = roundAmount(parseFloat(line.amount));
+
+  if (!PAYMENT_METHODS.includes(method)) {
+    return { error: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}` };
+  }
+
+  if (!(amount > 0)) {
+    return { error: 'Each payment amount must be greater than 0' };
+  }
+
+  let tendered = null;
+  let change = 0;
+
+  if (line.tendered !== undefined && line.tendered !== null) {
+    if (method !== 'cash') {
+      return { error: 'Only cash payments can have an amount tendered' };
+    }
+
+    tendered = roundAmount(parseFloat(line.tendered));
+    if (!(tendered >= amount)) {
+      return { error: 'Cash tendered must cover the cash amount' };
+    }
+
+    change = roundAmount(tendered - amount);
+  }
+
+  return {
+    method,
+    amount,
+    tendered,
+    change,
+    reference: line.reference || null,
+    receivedById
+  };
+};
+
+/**
+ * Check payment lines against a record's total and work out the change on cash lines
+ * payments: [{ method, amount, tendered?, reference? }]; a single paymentMethod is
+ * taken as one line paying the rest of the total
+ * keptPayments: lines already on the record that stay (e.g. later settlements)
+ * Lines may add up to less than the total (the rest is owed) but never more
+ * Returns { payments, paymentMethod, amountPaid, paymentStatus } or { error }
+ */
+const resolvePayments = ({ payments, paymentMethod, totalAmount, receivedById, keptPayments = [] }) => {
+  const keptAmount = roundAmount(keptPayments.reduce((sum, line) => sum + line.amount, 0));
+  let lines = payments;
+
+  if (!lines) {
+    const balance = roundAmount(totalAmount - keptAmount);
+    lines = paymentMethod && balance > 0 ? [{ method: paymentMethod, amount: balance }] : [];
+  }
+
+  const resolved = [];
+
+  for (const line of lines) {
+    const payment = resolvePaymentLine(line, receivedById);
+    if (payment.error) return { error: payment.error };
+
+    resolved.push(payment);
+  }
+
+  const amountPaid = roundAmount(resolved.reduce((sum, line) => sum + line.amount, keptAmount));
+  if (amountPaid > roundAmount(totalAmount)) {
+    return { error: `Payments add up to ${amountPaid} but the record total is ${roundAmount(totalAmount)}` };
+  }
+
+  const allPayments = [...keptPayments, ...resolved];
+
+  return {
+    payments: resolved,
+    paymentMethod: allPayments.length > 0
+      ? getPaymentMethodLabel(allPayments)
+      : paymentMethod ? paymentMethod.toLowerCase() : null,
+    amountPaid,
+    paymentStatus: getPaymentStatus(roundAmount(totalAmount), amountPaid)
+  };
+};
+
+const isSameLine = (a, b) =>
+  a.method === b.method &&
+  a.amount === b.amount &&
+  (a.tendered ?? null) === (b.tendered ?? null) &&
+  (a.reference || null) === (b.reference || null);
+
+/**
+ * Match payment lines sent on an edit against the ones already on the record
+ * Unchanged lines stay as they are, so they keep the time they were received and
+ * still count towards that day's takings
+ * existing: [{ id, method, amount, tendered, reference }]; sent: resolved lines
+ * Returns { removedIds, added }
+ */
+const diffPaymentLines = (existing, sent) => {
+  const unmatched = [...existing];
+  const added = [];
+
+  sent.forEach(line => {
+    const index = unmatched.findIndex(current => isSameLine(current, line));
+    if (index === -1) {
+      added.push(line);
+    } else {
+      unmatched.splice(index, 1);
+    }
+  });
+
+  return { removedIds: unmatched.map(line => line.id), added };
+};
+
+/**
+ * Lock car wash records until the transaction ends, so their balance can be read
+ * and paid without another payment landing in between (ids in one order, so two
+ * callers locking the same records wait instead of deadlocking)
+ */
+const lockCarWashes = (tx, ids) =>
+  tx.$queryRaw`SELECT "id" FROM "CarWash" WHERE "id" = ANY(${ids}) ORDER BY "id" FOR UPDATE`;
+
+/**
+ * Record a settlement paid after the wash against a record's balance
+ * carWash: { id, totalAmount, amountPaid, payments: [{ method }] }, read after
+ * lockCarWashes in the same transaction
+ * Returns the Payment or { error }
+ */
+const recordSettlement = async (client, { carWash, line, receivedById }) => {
+  const payment = resolvePaymentLine(line, receivedById);
+  if (payment.error) return { error: payment.error };
+
+  const balance = roundAmount(carWash.totalAmount - carWash.amountPaid);
+  if (payment.amount > balance) {
+    return { error: `Payment of ${payment.amount} is more than the balance of ${balance}` };
+  }
+
+  const created = await client.payment.create({
+    data: {
+      ...payment,
+      carWashId: carWash.id,
+      isSettlement: true
+    }
+  });
+
+  const amountPaid = roundAmount(carWash.amountPaid + payment.amount);
+
+  await client.carWash.update({
+    where: { id: carWash.id },
+    data: {
+      amountPaid,
+      paymentStatus: getPaymentStatus(carWash.totalAmount, amountPaid),
+      paymentMethod: getPaymentMethodLabel([...carWash.payments, payment])
+    }
+  });
+
+  return created;
+};
+
+/**
+ * Total car wash records' payment lines by method, plus what is still owed on them,
+ * so the breakdown adds up to the records' net total
+ * records: [{ totalAmount, amountPaid, payments: [{ method, amount }] }]
+ */
+const summarizePaymentMethods = (records) => {
+  const totals = Object.fromEntries(PAYMENT_METHODS.map(method => [method, 0]));
+  let outstanding = 0;
+
+  records.forEach(record => {
+    record.payments.forEach(payment => {
+      if (totals[payment.method] !== undefined) {
+        totals[payment.method] += payment.amount;
+      }
+    });
+
+    outstanding += record.totalAmount - record.amountPaid;
+  });
+
+  return {
+    ...Object.fromEntries(
+      Object.entries(totals).map(([method, amount]) => [method, roundAmount(amount)])
+    ),
+    outstanding: roundAmount(outstanding)
+  };
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+  getPaymentStatus,
+  resolvePayments,
+  diffPaymentLines,
+  lockCarWashes,
+  recordSettlement,
+  summarizePaymentMethods
+};
@@ -0,0 +1,91 @@
+const prisma = require('../config/database');
+const { roundAmount } = require('../utils/money');
+
+// Every payout type reduces what the company owes the washer:
+// settlement: earnings paid out for a period (may be partial)
+// advance:    money paid ahead of earnings
+// deduction:  money held back (damages, shortages, loan repayments)
+const PAYOUT_TYPES = ['settlement', 'advance', 'deduction'];
+
+/**
+ * Sum a washer's earnings (washer share of washed items) in a date window
+ * Either bound may be omitted; voided records do not count
+ */
+const getWasherEarnings = async ({ washerId, branchId, startOfDay, endOfDay, client = prisma }) => {
+  const washDate = {};
+  if (startOfDay) washDate.gte = startOfDay;
+  if (endOfDay) washDate.lte = endOfDay;
+
+  const result = await client.washedItem.aggregate({
+    where: {
+      washerId,
+      carWash: {
+        branchId,
+        isVoided: false,
+        washDate
+      }
+    },
+    _sum: { washerShare: true }
+  });
+
+  return result._sum.washerShare || 0;
+};
+
+/**
+ * Sum settlements recorded for a period that falls inside the given window
+ */
+const getSettledForPeriod = async ({ washerId, branchId, startOfDay, endOfDay, client = prisma }) => {
+  const result = await client.washerPayout.aggregate({
+    where: {
+      washerId,
+      branchId,
+      type: 'settlement',
+      periodStart: { gte: startOfDay },
+      periodEnd: { lte: endOfDay }
+    },
+    _sum: { amount: true }
+  });
+
+  return result._sum.amount || 0;
+};
+
+/**
+ * Get a washer's outstanding balance: everything earned minus everything paid or held back
+ * Pass asOf to get the balance at a point in time
+ */
+const getWasherBalance = async ({ washerId, branchId, asOf, client = prisma }) => {
+  const [totalEarned, payoutGroups] = await Promise.all([
+    getWasherEarnings({ washerId, branchId, endOfDay: asOf, client }),
+    client.washerPayout.groupBy({
+      by: ['type'],
+      where: {
+        washerId,
+        branchId,
+        ...(asOf && { paidAt: { lte: asOf } })
+      },
+      _sum: { amount: true }
+    })
+  ]);
+
+  const totals = Object.fromEntries(PAYOUT_TYPES.map(type => [type, 0]));
+  payoutGroups.forEach(group => {
+    totals[group.type] = group._sum.amount || 0;
+  });
+
+  const outstandingBalance = totalEarned - totals.settlement - totals.advance - totals.deduction;
+
+  return {
+    totalEarned: roundAmount(totalEarned),
+    totalSettled: roundAmount(totals.settlement),
+    totalAdvances: roundAmount(totals.advance),
+    totalDeductions: roundAmount(totals.deduction),
+    outstandingBalance: roundAmount(outstandingBalance)
+  };
+};
+
+module.exports = {
+  PAYOUT_TYPES,
+  getWasherEarnings,
+  getSettledForPeriod,
+  getWasherBalance
+};
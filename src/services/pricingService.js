@@ -0,0 +1,280 @@
+const prisma = require('../config/database');
+
+/**
+ * Load price history entries for service items
+ * When a branchId is given, that branch's overrides are loaded along with the global prices
+ */
+const loadServicePrices = async ({ serviceItemIds, branchId, client = prisma }) => {
+  return client.servicePrice.findMany({
+    where: {
+      serviceItemId: { in: serviceItemIds },
+      OR: branchId ? [{ branchId }, { branchId: null }] : [{ branchId: null }]
+    },
+    orderBy: { effectiveFrom: 'desc' }
+  });
+};
+
+/**
+ * Pick the price entry valid for a service item on a date within one scope
+ * (branchId null = global prices only); effectiveTo is exclusive
+ */
+const findPriceAt = (prices, { serviceItemId, branchId = null, date }) => {
+  const at = date ? new Date(date) : new Date();
+
+  return prices.find(entry =>
+    entry.serviceItemId === serviceItemId &&
+    (entry.branchId || null) === branchId &&
+    entry.effectiveFrom <= at &&
+    (!entry.effectiveTo || entry.effectiveTo > at)
+  ) || null;
+};
+
+/**
+ * Resolve a service item's price and availability at a branch on a date
+ * Branch price valid on the date > global price valid on the date > item's current price
+ * price 0 still means variable pricing (a custom price is required)
+ */
+const resolveServiceItem = (serviceItem, { branchId, override, prices = [], date }) => {
+  const globalEntry = findPriceAt(prices, { serviceItemId: serviceItem.id, date });
+  const branchEntry = branchId
+    ? findPriceAt(prices, { serviceItemId: serviceItem.id, branchId, date })
+    : null;
+
+  const defaultPrice = globalEntry ? globalEntry.price : serviceItem.price;
+
+  return {
+    ...serviceItem,
+    defaultPrice,
+    price: branchEntry ? branchEntry.price : defaultPrice,
+    hasBranchPrice: Boolean(branchEntry),
+    isAvailable: override ? override.isAvailable : true
+  };
+};
+
+/**
+ * Load service items with a branch's prices (as of date, default now) and availability resolved
+ * where: extra ServiceItem filter (e.g. { name: { in: names } })
+ * Without a branchId (e.g. owners viewing "all") the global prices are returned
+ */
+const getBranchServiceItems = async ({ branchId, where = {}, select, date, client = prisma }) => {
+  const serviceItems = await client.serviceItem.findMany({
+    where,
+    orderBy: { name: 'asc' },
+    ...(select && { select: { ...select, id: true, price: true } })
+  });
+
+  if (serviceItems.length === 0) return [];
+
+  const serviceItemIds = serviceItems.map(item => item.id);
+
+  const [overrides, prices] = await Promise.all([
+    branchId
+      ? client.branchServiceItem.findMany({
+        where: { branchId, serviceItemId: { in: serviceItemIds } }
+      })
+      : [],
+    loadServicePrices({ serviceItemIds, branchId, client })
+  ]);
+
+  const overrideMap = Object.fromEntries(overrides.map(override => [override.serviceItemId, override]));
+
+  return serviceItems.map(item => resolveServiceItem(item, {
+    branchId,
+    override: overrideMap[item.id],
+    prices,
+    date
+  }));
+};
+
+/**
+ * Current price of service items, read from the price history
+ * (the price columns only move when a change is written, so they miss a
+ * scheduled change that has since taken effect)
+ * items: [{ serviceItemId, branchId? }] - a branch's price wins over the global one
+ * Returns a function (serviceItemId, branchId) => price, or undefined without history
+ */
+const loadCurrentPrices = async (items, { client = prisma } = {}) => {
+  const serviceItemIds = [...new Set(items.map(item => item.serviceItemId))];
+  const branchIds = [...new Set(items.map(item => item.branchId).filter(Boolean))];
+
+  const prices = serviceItemIds.length === 0 ? [] : await client.servicePrice.findMany({
+    where: {
+      serviceItemId: { in: serviceItemIds },
+      OR: [{ branchId: { in: branchIds } }, { branchId: null }]
+    },
+    orderBy: { effectiveFrom: 'desc' }
+  });
+
+  return (serviceItemId, branchId = null) => {
+    const entry = (branchId && findPriceAt(prices, { serviceItemId, branchId }))
+      || findPriceAt(prices, { serviceItemId });
+    return entry ? entry.price : undefined;
+  };
+};
+
+/**
+ * Show the current price on the service item of each washed item of car wash records
+ * (the price charged stays on the washed item itself)
+ */
+const withCurrentItemPrices = async (records, { client = prisma } = {}) => {
+  const washedItems = records.flatMap(record => record.washedItems.map(item => ({
+    serviceItemId: item.serviceItem.id,
+    branchId: record.branchId
+  })));
+  const getPrice = await loadCurrentPrices(washedItems, { client });
+
+  return records.map(record => ({
+    ...record,
+    washedItems: record.washedItems.map(item => {
+      const price = getPrice(item.serviceItem.id, record.branchId);
+      return price === undefined ? item : { ...item, serviceItem: { ...item.serviceItem, price } };
+    })
+  }));
+};
+
+/**
+ * Keep the current-price columns (ServiceItem.price, BranchServiceItem.price)
+ * in step with the history entry valid right now, as of the last change written
+ * Reads go through the history instead (loadCurrentPrices, resolveServiceItem)
+ */
+const refreshCurrentPrice = async (tx, { serviceItemId, branchId = null }) => {
+  const now = new Date();
+
+  const current = await tx.servicePrice.findFirst({
+    where: {
+      serviceItemId,
+      branchId,
+      effectiveFrom: { lte: now },
+      OR: [{ effectiveTo: null }, { effectiveTo: { gt: now } }]
+    },
+    orderBy: { effectiveFrom: 'desc' }
+  });
+
+  if (!branchId) {
+    if (current) {
+      await tx.serviceItem.update({
+        where: { id: serviceItemId },
+        data: { price: current.price }
+      });
+    }
+    return;
+  }
+
+  await tx.branchServiceItem.upsert({
+    where: { branchId_serviceItemId: { branchId, serviceItemId } },
+    update: { price: current ? current.price : null },
+    create: { branchId, serviceItemId, price: current ? current.price : null }
+  });
+};
+
+/**
+ * Record a price change effective from a date (now, a past date for backfills,
+ * or a future date to schedule it)
+ * The entry in effect at that date ends when the new one starts; the new entry
+ * runs until the next scheduled change, if any. A change on the exact same
+ * start date replaces that entry's price.
+ * Must run inside a transaction
+ */
+const schedulePriceChange = async (tx, { serviceItemId, branchId = null, price, effectiveFrom, note, createdById }) => {
+  const from = effectiveFrom ? new Date(effectiveFrom) : new Date();
+
+  const entries = await tx.servicePrice.findMany({
+    where: { serviceItemId, branchId },
+    orderBy: { effectiveFrom: 'asc' }
+  });
+
+  const sameStart = entries.find(entry => entry.effectiveFrom.getTime() === from.getTime());
+  let entry;
+
+  if (sameStart) {
+    entry = await tx.servicePrice.update({
+      where: { id: sameStart.id },
+      data: {
+        price,
+        ...(note !== undefined && { note }),
+        createdById
+      }
+    });
+  } else {
+    const previous = [...entries].reverse().find(e => e.effectiveFrom < from);
+    const next = entries.find(e => e.effectiveFrom > from);
+
+    if (previous && (!previous.effectiveTo || previous.effectiveTo > from)) {
+      await tx.servicePrice.update({
+        where: { id: previous.id },
+        data: { effectiveTo: from }
+      });
+    }
+
+    entry = await tx.servicePrice.create({
+      data: {
+        serviceItemId,
+        branchId,
+        price,
+        effectiveFrom: from,
+        effectiveTo: next ? next.effectiveFrom : null,
+        note,
+        createdById
+      }
+    });
+  }
+
+  await refreshCurrentPrice(tx, { serviceItemId, branchId });
+
+  return entry;
+};
+
+/**
+ * End a branch's price override on a date (global prices apply from then on)
+ * Scheduled branch changes after that date are removed
+ * Must run inside a transaction
+ */
+const endBranchPrice = async (tx, { serviceItemId, branchId, effectiveFrom }) => {
+  const from = effectiveFrom ? new Date(effectiveFrom) : new Date();
+
+  await tx.servicePrice.deleteMany({
+    where: { serviceItemId, branchId, effectiveFrom: { gte: from } }
+  });
+
+  await tx.servicePrice.updateMany({
+    where: {
+      serviceItemId,
+      branchId,
+      effectiveFrom: { lt: from },
+      OR: [{ effectiveTo: null }, { effectiveTo: { gt: from } }]
+    },
+    data: { effectiveTo: from }
+  });
+
+  await refreshCurrentPrice(tx, { serviceItemId, branchId });
+};
+
+/**
+ * Cancel a scheduled (not yet effective) price change
+ * The entry before it runs on until the change after it, if any
+ * Must run inside a transaction
+ */
+const cancelScheduledPrice = async (tx, entry) => {
+  await tx.servicePrice.delete({ where: { id: entry.id } });
+
+  await tx.servicePrice.updateMany({
+    where: {
+      serviceItemId: entry.serviceItemId,
+      branchId: entry.branchId,
+      effectiveTo: entry.effectiveFrom
+    },
+    data: { effectiveTo: entry.effectiveTo }
+  });
+};
+
+module.exports = {
+  loadServicePrices,
+  findPriceAt,
+  resolveServiceItem,
+  getBranchServiceItems,
+  loadCurrentPrices,
+  withCurrentItemPrices,
+  schedulePriceChange,
+  endBranchPrice,
+  cancelScheduledPrice
+};
@@ -0,0 +1,128 @@
+const prisma = require('../config/database');
+
+// What happens when an item needs a specialist but the submitted washer is not certified
+// reject:        the record is rejected
+// keep_original: the submitted washer is credited anyway
+// queue:         the item is routed to the next certified specialist in the branch
+const SPECIALIST_FALLBACKS = ['reject', 'keep_original', 'queue'];
+
+/**
+ * Normalize a specialist category name ("Engine " -> "engine")
+ */
+const normalizeCategory = (category) => category.trim().toLowerCase();
+
+/**
+ * Category used to match specialists for a service item (defaults to the item name)
+ */
+const getSpecialistCategory = (serviceItem) =>
+  normalizeCategory(serviceItem.specialistCategory || serviceItem.name);
+
+/**
+ * Route items that require a specialist to a certified washer in the branch
+ * items: [{ washerId, washerName, serviceItem, ... }]
+ * Returns the routed items, any items that could not be routed, and the
+ * specialties picked from the queue (so their lastAssignedAt can be updated)
+ *
+ * Within one record every item of a category goes to the same queued specialist
+ */
+const assignSpecialists = async ({ branchId, items, client = prisma }) => {
+  const categories = [...new Set(
+    items
+      .filter(item => item.serviceItem.requiresSpecialist)
+      .map(item => getSpecialistCategory(item.serviceItem))
+  )];
+
+  if (categories.length === 0) {
+    return { items, errors: [], queuedSpecialtyIds: [] };
+  }
+
+  // Oldest assignment first, so the queue rotates between specialists
+  const specialties = await client.washerSpecialty.findMany({
+    where: {
+      branchId,
+      category: { in: categories },
+      isActive: true,
+      washer: { isActive: true }
+    },
+    include: {
+      washer: {
+        select: {
+          id: true,
+          name: true
+        }
+      }
+    },
+    orderBy: [
+      { lastAssignedAt: { sort: 'asc', nulls: 'first' } },
+      { createdAt: 'asc' }
+    ]
+  });
+
+  const queuePicks = {};
+  const errors = [];
+
+  const routedItems = items.map(item => {
+    const { serviceItem } = item;
+    if (!serviceItem.requiresSpecialist) return item;
+
+    const category = getSpecialistCategory(serviceItem);
+    const certified = specialties.filter(s => s.category === category);
+
+    if (certified.some(s => s.washerId === item.washerId)) {
+      return item;
+    }
+
+    switch (serviceItem.specialistFallback) {
+      case 'keep_original':
+        return item;
+
+      case 'queue': {
+        if (!queuePicks[category] && certified.length > 0) {
+          queuePicks[category] = certified[0];
+        }
+
+        const specialist = queuePicks[category];
+        if (!specialist) {
+          errors.push(`${serviceItem.name} (no active "${category}" specialist in your branch)`);
+          return item;
+        }
+
+        return {
+          ...item,
+          washerId: specialist.washerId,
+          washerName: specialist.washer.name
+        };
+      }
+
+      default:
+        errors.push(`${serviceItem.name} (${item.washerName} is not certified for "${category}")`);
+        return item;
+    }
+  });
+
+  return {
+    items: routedItems,
+    errors,
+    queuedSpecialtyIds: Object.values(queuePicks).map(s => s.id)
+  };
+};
+
+/**
+ * Move specialists picked from the queue to the back of it
+ */
+const markSpecialistsAssigned = async (client, specialtyIds) => {
+  if (specialtyIds.length === 0) return;
+
+  await client.washerSpecialty.updateMany({
+    where: { id: { in: specialtyIds } },
+    data: { lastAssignedAt: new Date() }
+  });
+};
+
+module.exports = {
+  SPECIALIST_FALLBACKS,
+  normalizeCategory,
+  getSpecialistCategory,
+  assignSpecialists,
+  markSpecialistsAssigned
+};
@@ -0,0 +1,664 @@
+const prisma = require('../config/database');
+const {
+  getDayWindow,
+  toSummaryDate,
+  fromSummaryDate,
+  formatDate,
+  addDays,
+  listPeriods
+} = require('../utils/dateRange');
+const { roundAmount } = require('../utils/money');
+const { badRequest } = require('../utils/errors');
+const { recordAudit } = require('./auditService');
+const { getBranchTimeZone } = require('./branchAccessService');
+const { LOYALTY_DISCOUNT_TYPES } = require('./loyaltyService');
+const { summarizePaymentMethods } = require('./paymentService');
+
+/**
+ * Window of the branch's business day a date falls in, in the branch's time zone
+ * date: an instant (e.g. a washDate) or a YYYY-MM-DD day
+ */
+const getBranchDayWindow = async (client, { branchId, date }) => {
+  const timeZone = await getBranchTimeZone(branchId, client);
+  return getDayWindow(date, timeZone);
+};
+
+// CompanyDailySummary fields rebuilt from the day's car wash records
+const COMPANY_TOTAL_FIELDS = [
+  'totalCarsWashed',
+  'totalItemsWashed',
+  'grossAmount',
+  'discountAmount',
+  'netAmount',
+  'companyShare',
+  'washerShare',
+  'loyaltyCost',
+  'cashAmount',
+  'transferAmount',
+  'posAmount',
+  'outstandingAmount'
+];
+
+const WASHER_TOTAL_FIELDS = ['totalCarsWashed', 'totalItemsWashed'];
+
+const ITEM_TOTAL_FIELDS = ['quantity', 'grossAmount', 'discountAmount', 'companyShare', 'washerShare'];
+
+// Car wash fields the summaries are built from
+const countedCarWashSelect = {
+  id: true,
+  washDate: true,
+  totalAmount: true,
+  amountPaid: true,
+  washedItems: {
+    select: {
+      washerId: true,
+      serviceItemId: true,
+      price: true,
+      discountAmount: true,
+      companyShare: true,
+      washerShare: true,
+      serviceItem: {
+        select: { price: true }
+      }
+    }
+  },
+  discounts: {
+    where: { type: { in: LOYALTY_DISCOUNT_TYPES } },
+    select: { amount: true }
+  },
+  payments: {
+    select: {
+      method: true,
+      amount: true,
+      createdAt: true
+    }
+  }
+};
+
+/**
+ * Payment totals of car wash records, as CompanyDailySummary fields
+ * paidBy: only count payments received up to then (a closed day keeps the totals it was closed with)
+ */
+const getPaymentTotals = (carWashes, paidBy = null) => {
+  const counted = paidBy
+    ? carWashes.map(carWash => {
+      const payments = carWash.payments.filter(payment => payment.createdAt <= paidBy);
+      return {
+        ...carWash,
+        payments,
+        amountPaid: payments.reduce((sum, payment) => sum + payment.amount, 0)
+      };
+    })
+    : carWashes;
+
+  const { cash, transfer, pos, outstanding } = summarizePaymentMethods(counted);
+
+  return {
+    cashAmount: cash,
+    transferAmount: transfer,
+    posAmount: pos,
+    outstandingAmount: outstanding
+  };
+};
+
+/**
+ * Build one day's totals from its car wash records: counts and money for the branch,
+ * counts per washer and money per service item
+ * Shares are the split stored on each washed item; variable-price items use their stored price
+ * paidBy: cut-off for the payment totals, see getPaymentTotals
+ * Returns { company, washers: { [washerId]: {...} }, items: { [serviceItemId]: {...} } }
+ */
+const countDailyTotals = (carWashes, { paidBy = null } = {}) => {
+  const washerTotals = {};
+  const itemTotals = {};
+  const company = {
+    totalCarsWashed: carWashes.length,
+    totalItemsWashed: 0,
+    grossAmount: 0,
+    discountAmount: 0,
+    companyShare: 0,
+    washerShare: 0,
+    loyaltyCost: 0
+  };
+
+  carWashes.forEach(carWash => {
+    carWash.washedItems.forEach(item => {
+      const price = item.price ?? item.serviceItem.price;
+
+      if (!washerTotals[item.washerId]) {
+        washerTotals[item.washerId] = { cars: new Set(), items: 0 };
+      }
+      washerTotals[item.washerId].cars.add(carWash.id);
+      washerTotals[item.washerId].items += 1;
+
+      if (!itemTotals[item.serviceItemId]) {
+        itemTotals[item.serviceItemId] = { quantity: 0, grossAmount: 0, discountAmount: 0, companyShare: 0, washerShare: 0 };
+      }
+      const itemTotal = itemTotals[item.serviceItemId];
+      itemTotal.quantity += 1;
+      itemTotal.grossAmount += price;
+      itemTotal.discountAmount += item.discountAmount;
+      itemTotal.companyShare += item.companyShare;
+      itemTotal.washerShare += item.washerShare;
+
+      company.totalItemsWashed += 1;
+      company.grossAmount += price;
+      company.discountAmount += item.discountAmount;
+      company.companyShare += item.companyShare;
+      company.washerShare += item.washerShare;
+    });
+
+    carWash.discounts.forEach(discount => {
+      company.loyaltyCost += discount.amount;
+    });
+  });
+
+  return {
+    company: {
+      ...company,
+      grossAmount: roundAmount(company.grossAmount),
+      discountAmount: roundAmount(company.discountAmount),
+      netAmount: roundAmount(company.grossAmount - company.discountAmount),
+      companyShare: roundAmount(company.companyShare),
+      washerShare: roundAmount(company.washerShare),
+      loyaltyCost: roundAmount(company.loyaltyCost),
+      ...getPaymentTotals(carWashes, paidBy)
+    },
+    washers: Object.fromEntries(
+      Object.entries(washerTotals).map(([washerId, totals]) => [washerId, {
+        totalCarsWashed: totals.cars.size,
+        totalItemsWashed: totals.items
+      }])
+    ),
+    items: Object.fromEntries(
+      Object.entries(itemTotals).map(([serviceItemId, totals]) => [serviceItemId, {
+        quantity: totals.quantity,
+        grossAmount: roundAmount(totals.grossAmount),
+        discountAmount: roundAmount(totals.discountAmount),
+        companyShare: roundAmount(totals.companyShare),
+        washerShare: roundAmount(totals.washerShare)
+      }])
+    )
+  };
+};
+
+/**
+ * Hold a transaction-scoped lock on a branch's day until the transaction ends
+ * Recomputes read the day's committed records and overwrite its rows, so two
+ * running side by side would each miss the other's record
+ */
+const lockBranchDay = (tx, { branchId, day }) =>
+  tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${branchId}), hashtext(${day}))`;
+
+/**
+ * Car wash records of a branch's day window that count towards its summaries
+ */
+const findCountedCarWashes = (client, { branchId, startOfDay, endOfDay }) =>
+  client.carWash.findMany({
+    where: {
+      branchId,
+      isVoided: false,
+      washDate: {
+        gte: startOfDay,
+        lte: endOfDay
+      }
+    },
+    select: countedCarWashSelect
+  });
+
+/**
+ * Recompute a branch's DailySummary, CompanyDailySummary and CompanyDailyItemSummary
+ * rows for one day from its car wash records (voided records excluded)
+ * washerIds: washers whose rows must be refreshed even if they no longer have
+ * any items that day (e.g. removed from an edited record) - they are reset to 0
+ * Must run inside the same transaction as the change that affects the counters;
+ * the day stays locked until it commits
+ * A closed day is frozen: changing it is refused, as a close may have committed
+ * since the caller checked (includeClosed rebuilds it anyway, e.g. to backfill new rollup fields)
+ */
+const recomputeDailySummaries = async (tx, { branchId, date, washerIds = [], includeClosed = false }) => {
+  const { day, startOfDay, endOfDay, summaryDate } = await getBranchDayWindow(tx, { branchId, date });
+
+  await lockBranchDay(tx, { branchId, day });
+
+  const companySummary = await tx.companyDailySummary.findUnique({
+    where: {
+      branchId_date: {
+        branchId,
+        date: summaryDate
+      }
+    },
+    select: { isClosed: true, closedAt: true }
+  });
+  const isClosed = Boolean(companySummary && companySummary.isClosed);
+
+  if (isClosed && !includeClosed) {
+    throw badRequest('This day is closed; a reopen is needed before its records can change');
+  }
+
+  const carWashes = await findCountedCarWashes(tx, { branchId, startOfDay, endOfDay });
+  const totals = countDailyTotals(carWashes, { paidBy: isClosed ? companySummary.closedAt : null });
+
+  // Washers asked for but without items that day are reset to 0
+  const washerTotals = {
+    ...Object.fromEntries(washerIds.map(washerId => [washerId, { totalCarsWashed: 0, totalItemsWashed: 0 }])),
+    ...totals.washers
+  };
+
+  for (const [washerId, washerTotal] of Object.entries(washerTotals)) {
+    await tx.dailySummary.upsert({
+      where: {
+        washerId_date_branchId: {
+          washerId,
+          date: summaryDate,
+          branchId
+        }
+      },
+      update: washerTotal,
+      create: {
+        washerId,
+        branchId,
+        date: summaryDate,
+        ...washerTotal
+      }
+    });
+  }
+
+  await tx.companyDailySummary.upsert({
+    where: {
+      branchId_date: {
+        branchId,
+        date: summaryDate
+      }
+    },
+    update: totals.company,
+    create: {
+      branchId,
+      date: summaryDate,
+      ...totals.company
+    }
+  });
+
+  await tx.companyDailyItemSummary.deleteMany({
+    where: { branchId, date: summaryDate }
+  });
+
+  await tx.companyDailyItemSummary.createMany({
+    data: Object.entries(totals.items).map(([serviceItemId, itemTotal]) => ({
+      branchId,
+      date: summaryDate,
+      serviceItemId,
+      ...itemTotal
+    }))
+  });
+};
+
+/**
+ * Refresh the payment totals (cash, transfer, POS, outstanding) of the day a car wash
+ * was washed on, after a later settlement against it
+ * A closed day is frozen and left as it was: the settlement counts on the day it is
+ * received (cash session takings), and the closed day keeps the balance it was closed with
+ */
+const refreshPaymentTotals = async (tx, { branchId, date }) => {
+  const { day, startOfDay, endOfDay, summaryDate } = await getBranchDayWindow(tx, { branchId, date });
+
+  await lockBranchDay(tx, { branchId, day });
+
+  if (await findClosedDay({ branchId, date: day, client: tx })) {
+    return;
+  }
+
+  const carWashes = await tx.carWash.findMany({
+    where: {
+      branchId,
+      isVoided: false,
+      washDate: {
+        gte: startOfDay,
+        lte: endOfDay
+      }
+    },
+    select: {
+      totalAmount: true,
+      amountPaid: true,
+      payments: countedCarWashSelect.payments
+    }
+  });
+
+  await tx.companyDailySummary.updateMany({
+    where: { branchId, date: summaryDate },
+    data: getPaymentTotals(carWashes)
+  });
+};
+
+const toSumSelect = (fields) => Object.fromEntries(fields.map(field => [field, true]));
+
+const fromSums = (sums, fields) => Object.fromEntries(
+  fields.map(field => [field, roundAmount(sums[field] || 0)])
+);
+
+/**
+ * Add up CompanyDailySummary totals (e.g. the days of one period)
+ */
+const combineCompanyTotals = (rows) => fromSums(
+  Object.fromEntries(COMPANY_TOTAL_FIELDS.map(field => [field, rows.reduce((sum, row) => sum + row[field], 0)])),
+  COMPANY_TOTAL_FIELDS
+);
+
+/**
+ * Payment method breakdown of CompanyDailySummary totals, as returned by the reports
+ */
+const toPaymentMethods = (totals) => ({
+  cash: totals.cashAmount,
+  transfer: totals.transferAmount,
+  pos: totals.posAmount,
+  outstanding: totals.outstandingAmount
+});
+
+/**
+ * Sum CompanyDailySummary rows over YYYY-MM-DD days in the database
+ * where: extra filters, e.g. a branch filter; by: fields to group on, e.g. ['date'] or ['branchId']
+ * Returns the totals, or one row per group (its by fields plus the totals) when by is given
+ */
+const sumCompanySummaries = async ({ where = {}, from, to, by, client = prisma }) => {
+  const args = {
+    where: {
+      ...where,
+      date: { gte: toSummaryDate(from), lte: toSummaryDate(to) }
+    },
+    _sum: toSumSelect(COMPANY_TOTAL_FIELDS)
+  };
+
+  if (!by) {
+    const result = await client.companyDailySummary.aggregate(args);
+    return fromSums(result._sum, COMPANY_TOTAL_FIELDS);
+  }
+
+  const rows = await client.companyDailySummary.groupBy({ by, ...args });
+
+  return rows.map(row => ({
+    ...Object.fromEntries(by.map(field => [field, row[field]])),
+    ...fromSums(row._sum, COMPANY_TOTAL_FIELDS)
+  }));
+};
+
+/**
+ * Sum CompanyDailyItemSummary rows per service item over YYYY-MM-DD days in the database
+ * by: extra fields to group on, e.g. ['branchId']
+ * Returns [{ serviceItemId, itemName, quantity, grossAmount, discountAmount, companyShare, washerShare }]
+ * ordered by gross amount (highest first)
+ */
+const sumItemSummaries = async ({ where = {}, from, to, by = [], client = prisma }) => {
+  const rows = await client.companyDailyItemSummary.groupBy({
+    by: [...by, 'serviceItemId'],
+    where: {
+      ...where,
+      date: { gte: toSummaryDate(from), lte: toSummaryDate(to) }
+    },
+    _sum: toSumSelect(ITEM_TOTAL_FIELDS)
+  });
+
+  const serviceItems = await client.serviceItem.findMany({
+    where: { id: { in: [...new Set(rows.map(row => row.serviceItemId))] } },
+    select: { id: true, name: true }
+  });
+  const itemNames = Object.fromEntries(serviceItems.map(item => [item.id, item.name]));
+
+  return rows
+    .map(row => ({
+      ...Object.fromEntries(by.map(field => [field, row[field]])),
+      serviceItemId: row.serviceItemId,
+      itemName: itemNames[row.serviceItemId],
+      ...fromSums(row._sum, ITEM_TOTAL_FIELDS)
+    }))
+    .sort((a, b) => b.grossAmount - a.grossAmount);
+};
+
+/**
+ * Find a branch's day if it is closed
+ * date: an instant or a YYYY-MM-DD day, read in the branch's time zone
+ * Returns the closed CompanyDailySummary, or null while the day is open
+ */
+const findClosedDay = async ({ branchId, date, client = prisma }) => {
+  const { summaryDate } = await getBranchDayWindow(client, { branchId, date });
+
+  return client.companyDailySummary.findFirst({
+    where: { branchId, date: summaryDate, isClosed: true }
+  });
+};
+
+/**
+ * Close a branch's day: bring its summaries in line with its records one last
+ * time, then freeze them and record who closed it
+ * Returns the closed CompanyDailySummary, or null if the day was already closed
+ */
+const closeDay = async (tx, { branchId, date, closedById }) => {
+  const { day, summaryDate } = await getBranchDayWindow(tx, { branchId, date });
+
+  await lockBranchDay(tx, { branchId, day });
+
+  if (await findClosedDay({ branchId, date: day, client: tx })) {
+    return null;
+  }
+
+  await recomputeDailySummaries(tx, { branchId, date: day });
+
+  return tx.companyDailySummary.update({
+    where: {
+      branchId_date: {
+        branchId,
+        date: summaryDate
+      }
+    },
+    data: {
+      isClosed: true,
+      closedAt: new Date(),
+      closedById
+    }
+  });
+};
+
+/**
+ * Reopen a closed day so its records can change again
+ * Returns the reopened CompanyDailySummary, or null if the day was not closed
+ */
+const reopenDay = async (tx, { branchId, date, reopenedById, reason }) => {
+  const { day, summaryDate } = await getBranchDayWindow(tx, { branchId, date });
+
+  await lockBranchDay(tx, { branchId, day });
+
+  if (!await findClosedDay({ branchId, date: day, client: tx })) {
+    return null;
+  }
+
+  return tx.companyDailySummary.update({
+    where: {
+      branchId_date: {
+        branchId,
+        date: summaryDate
+      }
+    },
+    data: {
+      isClosed: false,
+      reopenedAt: new Date(),
+      reopenedById,
+      reopenReason: reason
+    }
+  });
+};
+
+/**
+ * Pick summary fields off a row (a missing row counts as all 0)
+ */
+const pickTotals = (row, fields) => Object.fromEntries(
+  fields.map(field => [field, row ? row[field] : 0])
+);
+
+const totalsDiffer = (stored, expected) =>
+  Object.keys(expected).some(field => roundAmount(stored[field]) !== roundAmount(expected[field]));
+
+/**
+ * Compare keyed summary rows (per washer or per item) and keep the ones that differ
+ */
+const diffKeyedTotals = (storedRows, expectedTotals, fields, keyName) =>
+  [...new Set([...Object.keys(storedRows), ...Object.keys(expectedTotals)])]
+    .map(key => ({
+      [keyName]: key,
+      stored: pickTotals(storedRows[key], fields),
+      expected: pickTotals(expectedTotals[key], fields)
+    }))
+    .filter(entry => totalsDiffer(entry.stored, entry.expected));
+
+/**
+ * Group summary rows by day, then by a key (washerId or serviceItemId)
+ */
+const groupRowsByDay = (rows, keyName) => {
+  const byDay = {};
+  rows.forEach(row => {
+    const day = fromSummaryDate(row.date);
+    byDay[day] = { ...byDay[day], [row[keyName]]: row };
+  });
+  return byDay;
+};
+
+/**
+ * Compare a branch's stored summaries with totals rebuilt from its car wash records,
+ * for every day from one YYYY-MM-DD day to another (inclusive, in the branch's time zone)
+ * Returns only the days that drifted:
+ * [{ date, isClosed, company: { stored, expected } | null, washers: [{ washerId, stored, expected }],
+ *    items: [{ serviceItemId, stored, expected }] }]
+ */
+const findSummaryDrift = async (client, { branchId, from, to }) => {
+  const timeZone = await getBranchTimeZone(branchId, client);
+  const { startOfDay } = getDayWindow(from, timeZone);
+  const { endOfDay } = getDayWindow(to, timeZone);
+  const summaryDates = { gte: toSummaryDate(from), lte: toSummaryDate(to) };
+
+  const [carWashes, companyRows, washerRows, itemRows] = await Promise.all([
+    findCountedCarWashes(client, { branchId, startOfDay, endOfDay }),
+    client.companyDailySummary.findMany({
+      where: { branchId, date: summaryDates }
+    }),
+    client.dailySummary.findMany({
+      where: { branchId, date: summaryDates }
+    }),
+    client.companyDailyItemSummary.findMany({
+      where: { branchId, date: summaryDates }
+    })
+  ]);
+
+  const carWashesByDay = {};
+  carWashes.forEach(carWash => {
+    const day = formatDate(carWash.washDate, timeZone);
+    (carWashesByDay[day] = carWashesByDay[day] || []).push(carWash);
+  });
+
+  const companyRowsByDay = Object.fromEntries(companyRows.map(row => [fromSummaryDate(row.date), row]));
+  const washerRowsByDay = groupRowsByDay(washerRows, 'washerId');
+  const itemRowsByDay = groupRowsByDay(itemRows, 'serviceItemId');
+
+  const drift = [];
+
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    const companyRow = companyRowsByDay[day];
+    const expected = countDailyTotals(carWashesByDay[day] || [], {
+      paidBy: companyRow && companyRow.isClosed ? companyRow.closedAt : null
+    });
+
+    const companyStored = pickTotals(companyRow, COMPANY_TOTAL_FIELDS);
+    const companyExpected = pickTotals(expected.company, COMPANY_TOTAL_FIELDS);
+    const companyDrifted = totalsDiffer(companyStored, companyExpected);
+
+    const washers = diffKeyedTotals(washerRowsByDay[day] || {}, expected.washers, WASHER_TOTAL_FIELDS, 'washerId');
+    const items = diffKeyedTotals(itemRowsByDay[day] || {}, expected.items, ITEM_TOTAL_FIELDS, 'serviceItemId');
+
+    if (companyDrifted || washers.length > 0 || items.length > 0) {
+      drift.push({
+        date: day,
+        isClosed: Boolean(companyRow && companyRow.isClosed),
+        company: companyDrifted ? { stored: companyStored, expected: companyExpected } : null,
+        washers,
+        items
+      });
+    }
+  }
+
+  return drift;
+};
+
+/**
+ * One side (stored or expected) of a drifted day, for the audit log
+ */
+const toDriftSnapshot = (day, side) => ({
+  company: day.company ? day.company[side] : undefined,
+  washers: day.washers.map(washer => ({ washerId: washer.washerId, ...washer[side] })),
+  items: day.items.map(item => ({ serviceItemId: item.serviceItemId, ...item[side] }))
+});
+
+/**
+ * Check a branch's summaries over a range of YYYY-MM-DD days and, with fix, rebuild the drifted ones
+ * Each day is fixed in its own transaction and audited (req supplies the user; omit it for scheduled jobs)
+ * Closed days are reported but left alone (they need a reopen first) unless includeClosed is set
+ * Returns { branchId, from, to, daysChecked, drift, fixed }
+ */
+const rebuildDailySummaries = async ({ branchId, from, to, fix = false, includeClosed = false, req = {} }) => {
+  const drift = await findSummaryDrift(prisma, { branchId, from, to });
+  let fixed = 0;
+
+  if (fix) {
+    for (const day of drift) {
+      if (day.isClosed && !includeClosed) continue;
+
+      try {
+        await prisma.$transaction(async (tx) => {
+          await recomputeDailySummaries(tx, {
+            branchId,
+            date: day.date,
+            washerIds: day.washers.map(washer => washer.washerId),
+            includeClosed
+          });
+
+          await recordAudit(tx, req, {
+            action: 'update',
+            entity: 'CompanyDailySummary',
+            branchId,
+            before: toDriftSnapshot(day, 'stored'),
+            after: toDriftSnapshot(day, 'expected'),
+            metadata: { operation: 'rebuild', date: day.date, isClosed: day.isClosed }
+          });
+        });
+      } catch (error) {
+        // Closed since the check: left alone like the other closed days
+        if (error.statusCode !== 400) throw error;
+        day.isClosed = true;
+        continue;
+      }
+
+      day.fixed = true;
+      fixed += 1;
+    }
+  }
+
+  return {
+    branchId,
+    from,
+    to,
+    daysChecked: listPeriods(from, to, 'day').length,
+    drift,
+    fixed
+  };
+};
+
+module.exports = {
+  getBranchDayWindow,
+  recomputeDailySummaries,
+  refreshPaymentTotals,
+  findClosedDay,
+  closeDay,
+  reopenDay,
+  findSummaryDrift,
+  rebuildDailySummaries,
+  combineCompanyTotals,
+  toPaymentMethods,
+  sumCompanySummaries,
+  sumItemSummaries
+};
@@ -0,0 +1,275 @@
+const GROUP_BY_OPTIONS = ['day', 'week', 'month'];
+
+// Longest range a report may cover, to keep single requests bounded
+const MAX_RANGE_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Business days follow the branch's IANA time zone; this one is used when a
+// request spans every branch or a branch has none set
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'Africa/Lagos';
+
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatters = new Map();
+
+/**
+ * Intl formatter giving an instant's wall-clock parts in a time zone (cached per zone)
+ */
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+
+  return formatters.get(timeZone);
+};
+
+/**
+ * Whether a string is an IANA time zone this runtime knows, e.g. "Africa/Lagos"
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock parts of an instant in a time zone: { year, month, day, hour, minute, second }
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+  return parts;
+};
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds (Lagos: +1 hour)
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const wallClockAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Instant at which a day starts in a time zone
+ * Where a DST change skips midnight, the day starts at the first wall-clock time that exists
+ */
+const getDayStart = (dayKey, timeZone) => {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  const midnightAsUtc = Date.UTC(year, month - 1, day);
+
+  // Local midnight is within a day of midnight UTC; a DST change in that window
+  // gives two candidate offsets, and the day starts at the earliest candidate on it
+  const candidates = [midnightAsUtc - DAY_MS, midnightAsUtc + DAY_MS]
+    .map(instant => midnightAsUtc - getTimeZoneOffset(new Date(instant), timeZone))
+    .filter(start => formatDate(new Date(start), timeZone) === dayKey);
+
+  // A day a zone skipped altogether (Samoa, 2011-12-30) is empty: it starts when the next one does
+  if (candidates.length === 0) {
+    return getDayStart(addDays(dayKey, 1), timeZone);
+  }
+
+  return new Date(Math.min(...candidates));
+};
+
+/**
+ * Format an instant as YYYY-MM-DD: its calendar day in a time zone
+ */
+const formatDate = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Move a YYYY-MM-DD day by a number of calendar days
+ */
+const addDays = (dayKey, days) => {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+/**
+ * Turn a query or body value into a YYYY-MM-DD day in a time zone
+ * A plain date is taken as that calendar day; a timestamp as the day it falls on
+ * Returns null when the value is not a date
+ */
+const toDayKey = (value, timeZone) => {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : formatDate(value, timeZone);
+  }
+
+  if (typeof value === 'string' && DAY_KEY_PATTERN.test(value)) {
+    const date = new Date(`${value}T00:00:00.000Z`);
+    return isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value ? null : value;
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : formatDate(date, timeZone);
+};
+
+/**
+ * Date stored in @db.Date columns (daily summaries, cash sessions) for a day
+ */
+const toSummaryDate = (dayKey) => new Date(`${dayKey}T00:00:00.000Z`);
+
+/**
+ * YYYY-MM-DD day of a date read from a @db.Date column
+ */
+const fromSummaryDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Window of the business day an instant (or YYYY-MM-DD day) falls in, in a time zone
+ * Returns { day, startOfDay, endOfDay, summaryDate }
+ */
+const getDayWindow = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const day = toDayKey(date, timeZone);
+  const startOfDay = getDayStart(day, timeZone);
+  const endOfDay = new Date(getDayStart(addDays(day, 1), timeZone).getTime() - 1);
+
+  return {
+    day,
+    startOfDay,
+    endOfDay,
+    summaryDate: toSummaryDate(day)
+  };
+};
+
+/**
+ * Parse report query params into a date window in a time zone
+ * Accepts ?date=YYYY-MM-DD (single day) or ?from=YYYY-MM-DD&to=YYYY-MM-DD,
+ * plus an optional ?groupBy=day|week|month
+ * Defaults to today, so callers that only send ?date keep working
+ * Returns { error } when the params are invalid
+ */
+const parseDateRange = ({ date, from, to, groupBy } = {}, timeZone = DEFAULT_TIME_ZONE) => {
+  const today = formatDate(new Date(), timeZone);
+  const startDay = toDayKey(from || date || today, timeZone);
+  const endDay = toDayKey(to || from || date || today, timeZone);
+
+  if (!startDay || !endDay) {
+    return { error: 'Dates must be in format YYYY-MM-DD' };
+  }
+
+  if (startDay > endDay) {
+    return { error: '"from" must be on or before "to"' };
+  }
+
+  if ((toSummaryDate(endDay) - toSummaryDate(startDay)) / DAY_MS >= MAX_RANGE_DAYS) {
+    return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+
+  if (groupBy && !GROUP_BY_OPTIONS.includes(groupBy)) {
+    return { error: `groupBy must be one of: ${GROUP_BY_OPTIONS.join(', ')}` };
+  }
+
+  return {
+    startOfDay: getDayWindow(startDay, timeZone).startOfDay,
+    endOfDay: getDayWindow(endDay, timeZone).endOfDay,
+    from: startDay,
+    to: endDay,
+    groupBy: groupBy || null,
+    timeZone
+  };
+};
+
+/**
+ * Get the first day of the period a YYYY-MM-DD day falls in
+ * Weeks start on Monday
+ */
+const getPeriodStart = (dayKey, groupBy) => {
+  if (groupBy === 'week') {
+    const daysSinceMonday = (toSummaryDate(dayKey).getUTCDay() + 6) % 7;
+    return addDays(dayKey, -daysSinceMonday);
+  }
+
+  if (groupBy === 'month') {
+    return `${dayKey.slice(0, 7)}-01`;
+  }
+
+  return dayKey;
+};
+
+/**
+ * Get the period key for a YYYY-MM-DD day: "2025-01-15" (day), "2025-01-13" (week starting Monday), "2025-01" (month)
+ */
+const getPeriodKey = (dayKey, groupBy) => {
+  const key = getPeriodStart(dayKey, groupBy);
+  return groupBy === 'month' ? key.slice(0, 7) : key;
+};
+
+/**
+ * List every period key between two YYYY-MM-DD days (inclusive), so empty periods still show up
+ */
+const listPeriods = (fromDay, toDay, groupBy) => {
+  const keys = [];
+  let cursor = getPeriodStart(fromDay, groupBy);
+
+  while (cursor <= toDay) {
+    keys.push(getPeriodKey(cursor, groupBy));
+
+    if (groupBy === 'month') {
+      const [year, month] = cursor.split('-').map(Number);
+      cursor = new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 10);
+    } else {
+      cursor = addDays(cursor, groupBy === 'week' ? 7 : 1);
+    }
+  }
+
+  return keys;
+};
+
+/**
+ * Group records into periods of a range from parseDateRange, using its time zone
+ * Returns an ordered array of { period, records } covering the whole range
+ */
+const groupByPeriod = (records, getDate, { from, to, groupBy, timeZone = DEFAULT_TIME_ZONE }) => {
+  const buckets = new Map(
+    listPeriods(from, to, groupBy).map(key => [key, []])
+  );
+
+  records.forEach(record => {
+    const key = getPeriodKey(formatDate(getDate(record), timeZone), groupBy);
+    if (buckets.has(key)) {
+      buckets.get(key).push(record);
+    }
+  });
+
+  return [...buckets.entries()].map(([period, periodRecords]) => ({
+    period,
+    records: periodRecords
+  }));
+};
+
+module.exports = {
+  GROUP_BY_OPTIONS,
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getTimeZoneOffset,
+  formatDate,
+  addDays,
+  toDayKey,
+  toSummaryDate,
+  fromSummaryDate,
+  getDayWindow,
+  parseDateRange,
+  getPeriodKey,
+  listPeriods,
+  groupByPeriod
+};
@@ -0,0 +1,6 @@
+/**
+ * Error thrown inside a transaction to roll it back and answer with a 400
+ */
+const badRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+module.exports = { badRequest };
@@ -1,8 +1,9 @@
 const jwt = require('jsonwebtoken');
 
-const generateToken = (userId) => {
+// branchId: active branch selected at login / switch ("all" for owners viewing every branch)
+const generateToken = (userId, branchId) => {
   return jwt.sign(
-    { id: userId },
+    { id: userId, ...(branchId && { branchId }) },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRE || '7d' }
   );
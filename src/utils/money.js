@@ -0,0 +1,6 @@
+/**
+ * Round a money amount to 2 decimal places
+ */
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+module.exports = { roundAmount };
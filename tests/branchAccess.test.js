@@ -0,0 +1,170 @@
+/**
+ * Authentication and branch scoping of records, washers and payments
+ * Prisma is replaced by an in-memory mock; queries filter on the branch the request resolved to
+ */
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../src/config/database', () => require('./helpers/prismaMock').createPrismaMock());
+
+const request = require('supertest');
+const prisma = require('../src/config/database');
+const app = require('../src/app');
+const { tokenFor, mockAuthLookups } = require('./helpers/fixtures');
+
+// One of each in Branch B, out of reach of Branch A's staff
+const carWashes = [{ id: 'wash-b', branchId: 'branch-b', washedItems: [] }];
+const washers = [{ id: 'washer-b', branchId: 'branch-b', name: 'Washer B', phone: null, isActive: true }];
+
+// findFirst honouring the id and branchId filters, like the database would
+const findScoped = (rows) => async ({ where }) => rows.find(row =>
+  row.id === where.id && (!where.branchId || row.branchId === where.branchId)
+) || null;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  mockAuthLookups(prisma);
+  prisma.carWash.findFirst.mockImplementation(findScoped(carWashes));
+  prisma.washer.findFirst.mockImplementation(findScoped(washers));
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe('unauthenticated requests', () => {
+  it.each([
+    '/api/records/car-wash',
+    '/api/records/car-wash/wash-b',
+    '/api/washers',
+    '/api/washers/washer-b',
+    '/api/payments/daily-summary',
+    '/api/payments/company-summary',
+    '/api/payments/washer/washer-b'
+  ])('GET %s without a token is 401', async (path) => {
+    const res = await request(app).get(path);
+
+    expect(res.status).toBe(401);
+    expect(res.body.success).toBe(false);
+  });
+
+  it('rejects a token signed with another secret', async () => {
+    const jwt = require('jsonwebtoken');
+    const forged = jwt.sign({ id: 'owner-a' }, 'not-the-secret');
+
+    const res = await request(app)
+      .get('/api/payments/company-summary')
+      .set('Authorization', `Bearer ${forged}`);
+
+    expect(res.status).toBe(401);
+    expect(prisma.user.findUnique).not.toHaveBeenCalled();
+  });
+});
+
+describe('cross-branch requests', () => {
+  it.each([
+    '/api/records/car-wash',
+    '/api/washers',
+    '/api/payments/daily-summary',
+    '/api/payments/company-summary',
+    '/api/payments/washer/washer-b'
+  ])('GET %s?branchId=<another branch> is 403 for a branch manager', async (path) => {
+    const res = await request(app)
+      .get(`${path}?branchId=branch-b`)
+      .set('Authorization', tokenFor('manager-a'));
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('You do not have access to this branch');
+  });
+
+  it('rejects another branch picked with the X-Branch-Id header', async () => {
+    const res = await request(app)
+      .get('/api/payments/daily-summary')
+      .set('Authorization', tokenFor('viewer-a'))
+      .set('X-Branch-Id', 'branch-b');
+
+    expect(res.status).toBe(403);
+  });
+
+  it('only lets owners view every branch at once', async () => {
+    const res = await request(app)
+      .get('/api/payments/company-summary?branchId=all')
+      .set('Authorization', tokenFor('manager-a'));
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Only owners can view all branches at once');
+  });
+
+  it('does not find another branch\'s car wash record by ID', async () => {
+    const res = await request(app)
+      .get('/api/records/car-wash/wash-b')
+      .set('Authorization', tokenFor('manager-a'));
+
+    expect(res.status).toBe(404);
+    expect(prisma.carWash.findFirst).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { id: 'wash-b', branchId: 'branch-a' } })
+    );
+  });
+
+  it('does not find another branch\'s washer by ID', async () => {
+    const res = await request(app)
+      .get('/api/washers/washer-b')
+      .set('Authorization', tokenFor('manager-a'));
+
+    expect(res.status).toBe(404);
+  });
+
+  it('does not report on another branch\'s washer', async () => {
+    const res = await request(app)
+      .get('/api/payments/washer/washer-b')
+      .set('Authorization', tokenFor('viewer-a'));
+
+    expect(res.status).toBe(404);
+    expect(prisma.washedItem.findMany).not.toHaveBeenCalled();
+  });
+
+  it('does not let a branch manager void another branch\'s record', async () => {
+    const res = await request(app)
+      .delete('/api/records/car-wash/wash-b')
+      .set('Authorization', tokenFor('manager-a'))
+      .send({ reason: 'Duplicate entry' });
+
+    expect(res.status).toBe(404);
+    expect(prisma.carWash.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('routers mounted at /api', () => {
+  it('authenticate a request for another /api router only once', async () => {
+    const res = await request(app)
+      .get('/api/payments/company-summary?date=2026-01-05')
+      .set('Authorization', tokenFor('manager-a'));
+
+    expect(res.status).toBe(200);
+    expect(prisma.user.findUnique).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('owner branch override', () => {
+  it('lets an owner query another branch\'s payments with ?branchId=', async () => {
+    const res = await request(app)
+      .get('/api/payments/company-summary?branchId=branch-b&date=2026-01-05')
+      .set('Authorization', tokenFor('owner-a'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.branch.id).toBe('branch-b');
+    expect(prisma.companyDailySummary.aggregate).toHaveBeenCalledWith(
+      expect.objectContaining({ where: expect.objectContaining({ branchId: 'branch-b' }) })
+    );
+  });
+
+  it('lets an owner read another branch\'s washer with ?branchId=', async () => {
+    const res = await request(app)
+      .get('/api/washers/washer-b?branchId=branch-b')
+      .set('Authorization', tokenFor('owner-a'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.id).toBe('washer-b');
+  });
+});
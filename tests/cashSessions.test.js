@@ -0,0 +1,89 @@
+/**
+ * Opening and closing the cash drawer for a branch's day
+ * Prisma is replaced by an in-memory mock
+ */
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../src/config/database', () => require('./helpers/prismaMock').createPrismaMock());
+
+const request = require('supertest');
+const prisma = require('../src/config/database');
+const app = require('../src/app');
+const { tokenFor, mockAuthLookups } = require('./helpers/fixtures');
+
+const openSession = {
+  id: 'session-1',
+  branchId: 'branch-a',
+  date: new Date('2026-01-05T00:00:00.000Z'),
+  status: 'open',
+  openingFloat: 2000
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  mockAuthLookups(prisma);
+  prisma.cashSession.findUnique.mockResolvedValue(null);
+  prisma.cashSession.findFirst.mockResolvedValue(openSession);
+  prisma.cashSession.update.mockImplementation(async ({ data }) => ({ ...openSession, ...data }));
+  prisma.companyDailySummary.findFirst.mockResolvedValue(null);
+  prisma.companyDailySummary.update.mockImplementation(async ({ data }) => ({ id: 'day-1', ...data }));
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe('opening a cash session', () => {
+  it('answers an open that lost the race to another one with a 400', async () => {
+    const error = new Error('Unique constraint failed on the fields: (`branchId`,`date`)');
+    error.code = 'P2002';
+    prisma.cashSession.create.mockRejectedValue(error);
+
+    const res = await request(app)
+      .post('/api/cash-sessions/open')
+      .set('Authorization', tokenFor('cashier-a'))
+      .send({ openingFloat: 2000, date: '2026-01-05' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('A cash session is already open for this day');
+  });
+});
+
+describe('closing a cash session', () => {
+  const closeSession = (body) => request(app)
+    .post('/api/cash-sessions/session-1/close')
+    .set('Authorization', tokenFor('cashier-a'))
+    .send(body);
+
+  beforeEach(() => {
+    prisma.payment.groupBy.mockResolvedValue([
+      { method: 'cash', _sum: { amount: 4500 } },
+      { method: 'transfer', _sum: { amount: 3000 } }
+    ]);
+    prisma.washerPayout.aggregate.mockResolvedValue({ _sum: { amount: 1000 } });
+  });
+
+  it('stores the variances against what the day took', async () => {
+    const res = await closeSession({ countedCash: 5400, statementTransfer: 3000 });
+
+    expect(res.status).toBe(200);
+    expect(prisma.cashSession.update.mock.calls[0][0].data).toMatchObject({
+      status: 'closed',
+      // 2000 float + 4500 cash received - 1000 paid out
+      expectedCash: 5500,
+      cashVariance: -100,
+      expectedTransfer: 3000,
+      transferVariance: 0
+    });
+  });
+
+  it('closes the day with the session', async () => {
+    await closeSession({ countedCash: 5500, statementTransfer: 3000 });
+
+    expect(prisma.companyDailySummary.update).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ isClosed: true, closedById: 'cashier-a' })
+    }));
+  });
+});
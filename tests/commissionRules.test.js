@@ -0,0 +1,156 @@
+/**
+ * Commission rule versions: which split a wash resolves to, and how changing or
+ * deleting a rule leaves past washes on the split they were made under
+ */
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../src/config/database', () => require('./helpers/prismaMock').createPrismaMock());
+
+const request = require('supertest');
+const prisma = require('../src/config/database');
+const app = require('../src/app');
+const { DEFAULT_WASHER_RATE, getCommissionResolver } = require('../src/services/commissionService');
+const { tokenFor, mockAuthLookups } = require('./helpers/fixtures');
+
+const rule = (fields) => ({
+  serviceItemId: 'item-wash',
+  branchId: null,
+  sharesDiscounts: false,
+  description: null,
+  effectiveTo: null,
+  isActive: true,
+  ...fields
+});
+
+// Version 1 ran through January and was replaced by version 2; Branch A has its own
+// override from March, deleted in April
+const rules = [
+  rule({ id: 'v1', version: 1, washerRate: 0.4, effectiveFrom: new Date('2026-01-01'), effectiveTo: new Date('2026-02-01'), isActive: false }),
+  rule({ id: 'v2', version: 2, washerRate: 0.45, effectiveFrom: new Date('2026-02-01') }),
+  rule({ id: 'branch', version: 1, washerRate: 0.5, branchId: 'branch-a', effectiveFrom: new Date('2026-03-01'), effectiveTo: new Date('2026-04-01'), isActive: false })
+];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  mockAuthLookups(prisma);
+  prisma.commissionRule.findMany.mockResolvedValue(rules);
+  prisma.washedItem.findFirst.mockResolvedValue(null);
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe('resolving a split by wash date', () => {
+  const resolveAt = async (date, branchId = 'branch-a') => {
+    const splitPayment = await getCommissionResolver({ branchId });
+    return splitPayment({ serviceItemId: 'item-wash', branchId, date: new Date(date), price: 1000 });
+  };
+
+  it('loads ended and deleted rules too', async () => {
+    await getCommissionResolver({ branchId: 'branch-a' });
+
+    expect(prisma.commissionRule.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { OR: [{ branchId: 'branch-a' }, { branchId: null }] }
+    }));
+  });
+
+  it.each([
+    ['2026-01-15T10:00:00Z', 'v1', 400],
+    ['2026-01-31T23:59:59Z', 'v1', 400],
+    ['2026-02-01T00:00:00Z', 'v2', 450],
+    ['2026-03-10T10:00:00Z', 'branch', 500],
+    ['2026-04-10T10:00:00Z', 'v2', 450]
+  ])('gives a wash on %s the split of %s', async (date, ruleId, washerShare) => {
+    const split = await resolveAt(date);
+
+    expect(split.commissionRuleId).toBe(ruleId);
+    expect(split.washerShare).toBe(washerShare);
+  });
+
+  it('falls back to the default split before any rule', async () => {
+    const split = await resolveAt('2025-12-31T10:00:00Z');
+
+    expect(split.commissionRuleId).toBeNull();
+    expect(split.washerShare).toBe(1000 * DEFAULT_WASHER_RATE);
+  });
+
+  it('keeps the branch override to its own branch', async () => {
+    const split = await resolveAt('2026-03-10T10:00:00Z', 'branch-b');
+
+    expect(split.commissionRuleId).toBe('v2');
+  });
+});
+
+describe('changing a rule', () => {
+  const current = rule({ id: 'v2', version: 2, washerRate: 0.45, effectiveFrom: new Date('2026-02-01') });
+
+  const updateRule = (body) => request(app)
+    .put('/api/commission-rules/v2')
+    .set('Authorization', tokenFor('owner-a'))
+    .send(body);
+
+  beforeEach(() => {
+    prisma.commissionRule.findUnique.mockResolvedValue(current);
+    prisma.commissionRule.update.mockImplementation(async ({ data }) => ({ ...current, ...data }));
+    prisma.commissionRule.create.mockImplementation(async ({ data }) => ({ id: 'v3', ...data }));
+  });
+
+  it('ends the rule and starts the next version for a new rate', async () => {
+    const res = await updateRule({ washerRate: 0.5 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.version).toBe(3);
+
+    const { data: ended } = prisma.commissionRule.update.mock.calls[0][0];
+    const { data: created } = prisma.commissionRule.create.mock.calls[0][0];
+
+    expect(ended.isActive).toBe(false);
+    expect(created).toMatchObject({ washerRate: 0.5, version: 3, effectiveTo: null });
+    expect(created.effectiveFrom).toEqual(ended.effectiveTo);
+  });
+
+  it('refuses to move the dates of a rule that has applied to a wash', async () => {
+    prisma.washedItem.findFirst.mockResolvedValue({ id: 'item-1' });
+
+    const res = await updateRule({ effectiveFrom: '2026-01-15' });
+
+    expect(res.status).toBe(400);
+    expect(prisma.commissionRule.update).not.toHaveBeenCalled();
+  });
+
+  it('lets the dates of an unused rule change', async () => {
+    const res = await updateRule({ effectiveTo: '2026-12-31' });
+
+    expect(res.status).toBe(200);
+    expect(prisma.commissionRule.update.mock.calls[0][0].data.effectiveTo).toEqual(new Date('2026-12-31'));
+  });
+
+  it('ends a deleted rule now rather than hiding it from past washes', async () => {
+    const res = await request(app)
+      .delete('/api/commission-rules/v2')
+      .set('Authorization', tokenFor('owner-a'));
+
+    expect(res.status).toBe(200);
+
+    const { data } = prisma.commissionRule.update.mock.calls[0][0];
+    expect(data.isActive).toBe(false);
+    expect(data.effectiveTo.getTime()).toBeGreaterThan(current.effectiveFrom.getTime());
+  });
+
+  it('gives a deleted rule that had not started an empty window', async () => {
+    const future = rule({ id: 'v2', version: 1, washerRate: 0.45, effectiveFrom: new Date('2999-01-01') });
+    prisma.commissionRule.findUnique.mockResolvedValue(future);
+
+    await request(app)
+      .delete('/api/commission-rules/v2')
+      .set('Authorization', tokenFor('owner-a'));
+
+    expect(prisma.commissionRule.update.mock.calls[0][0].data).toEqual({
+      isActive: false,
+      effectiveTo: future.effectiveFrom
+    });
+  });
+});
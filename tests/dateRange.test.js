@@ -0,0 +1,170 @@
+/**
+ * Business day windows in a branch's time zone: DST changes, non-whole-hour
+ * and negative offsets, and a calendar day a zone skipped
+ */
+const {
+  formatDate,
+  getDayWindow,
+  parseDateRange,
+  groupByPeriod
+} = require('../src/utils/dateRange');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Length of a window in hours (endOfDay is the last millisecond of the day)
+const hoursIn = ({ startOfDay, endOfDay }) => (endOfDay.getTime() + 1 - startOfDay.getTime()) / HOUR_MS;
+
+describe('getDayWindow', () => {
+  it.each([
+    // day, time zone, start, end, hours
+    ['2026-03-08', 'America/New_York', '2026-03-08T05:00:00.000Z', '2026-03-09T03:59:59.999Z', 23],
+    ['2026-11-01', 'America/New_York', '2026-11-01T04:00:00.000Z', '2026-11-02T04:59:59.999Z', 25],
+    ['2026-03-29', 'Europe/London', '2026-03-29T00:00:00.000Z', '2026-03-29T22:59:59.999Z', 23],
+    ['2026-10-25', 'Europe/London', '2026-10-24T23:00:00.000Z', '2026-10-25T23:59:59.999Z', 25],
+    ['2026-01-05', 'Asia/Kathmandu', '2026-01-04T18:15:00.000Z', '2026-01-05T18:14:59.999Z', 24],
+    ['2026-01-05', 'America/Los_Angeles', '2026-01-05T08:00:00.000Z', '2026-01-06T07:59:59.999Z', 24],
+    ['2026-01-05', 'America/St_Johns', '2026-01-05T03:30:00.000Z', '2026-01-06T03:29:59.999Z', 24],
+    ['2026-01-05', 'Africa/Lagos', '2026-01-04T23:00:00.000Z', '2026-01-05T22:59:59.999Z', 24]
+  ])('%s in %s runs from %s to %s', (day, timeZone, start, end, hours) => {
+    const window = getDayWindow(day, timeZone);
+
+    expect(window.day).toBe(day);
+    expect(window.startOfDay.toISOString()).toBe(start);
+    expect(window.endOfDay.toISOString()).toBe(end);
+    expect(hoursIn(window)).toBe(hours);
+    expect(window.summaryDate.toISOString()).toBe(`${day}T00:00:00.000Z`);
+  });
+
+  it('starts a day whose midnight was skipped at the first wall-clock time that exists', () => {
+    // Sao Paulo moved its clocks from 00:00 to 01:00 on 2018-11-04
+    const window = getDayWindow('2018-11-04', 'America/Sao_Paulo');
+
+    expect(window.startOfDay.toISOString()).toBe('2018-11-04T03:00:00.000Z');
+    expect(hoursIn(window)).toBe(23);
+  });
+
+  describe('Pacific/Apia, which skipped 2011-12-30', () => {
+    it('ends 2011-12-29 when 2011-12-31 starts', () => {
+      const before = getDayWindow('2011-12-29', 'Pacific/Apia');
+      const after = getDayWindow('2011-12-31', 'Pacific/Apia');
+
+      expect(before.startOfDay.toISOString()).toBe('2011-12-29T10:00:00.000Z');
+      expect(after.startOfDay.getTime()).toBe(before.endOfDay.getTime() + 1);
+      expect(hoursIn(before)).toBe(24);
+      expect(hoursIn(after)).toBe(24);
+    });
+
+    it('gives the skipped day an empty window', () => {
+      const window = getDayWindow('2011-12-30', 'Pacific/Apia');
+
+      expect(window.startOfDay.toISOString()).toBe('2011-12-30T10:00:00.000Z');
+      expect(hoursIn(window)).toBe(0);
+    });
+  });
+
+  it('takes an instant as the day it falls on in the time zone', () => {
+    // 20:00 UTC is already the next day in Kathmandu (+05:45) but not in New York
+    const instant = new Date('2026-01-05T20:00:00.000Z');
+
+    expect(getDayWindow(instant, 'Asia/Kathmandu').day).toBe('2026-01-06');
+    expect(getDayWindow(instant, 'America/New_York').day).toBe('2026-01-05');
+  });
+});
+
+describe('parseDateRange', () => {
+  it('covers whole business days from the start of "from" to the end of "to"', () => {
+    const range = parseDateRange({ from: '2026-03-07', to: '2026-03-08' }, 'America/New_York');
+
+    expect(range).toEqual({
+      startOfDay: new Date('2026-03-07T05:00:00.000Z'),
+      endOfDay: new Date('2026-03-09T03:59:59.999Z'),
+      from: '2026-03-07',
+      to: '2026-03-08',
+      groupBy: null,
+      timeZone: 'America/New_York'
+    });
+  });
+
+  it('reads ?date as a single day', () => {
+    const range = parseDateRange({ date: '2026-10-25' }, 'Europe/London');
+
+    expect(range.from).toBe('2026-10-25');
+    expect(range.to).toBe('2026-10-25');
+    expect(hoursIn(range)).toBe(25);
+  });
+
+  it('defaults to today in the time zone', () => {
+    const range = parseDateRange({}, 'Asia/Kathmandu');
+
+    expect(range.from).toBe(formatDate(new Date(), 'Asia/Kathmandu'));
+    expect(range.to).toBe(range.from);
+  });
+
+  it('keeps a range ending on a skipped day from overlapping the next one', () => {
+    const range = parseDateRange({ from: '2011-12-29', to: '2011-12-30' }, 'Pacific/Apia');
+
+    expect(range.endOfDay.getTime()).toBeLessThan(getDayWindow('2011-12-31', 'Pacific/Apia').startOfDay.getTime());
+  });
+
+  it.each([
+    [{ date: '2026-02-30' }, 'Dates must be in format YYYY-MM-DD'],
+    [{ date: 'yesterday' }, 'Dates must be in format YYYY-MM-DD'],
+    [{ from: '2026-01-06', to: '2026-01-05' }, '"from" must be on or before "to"'],
+    [{ from: '2025-01-01', to: '2026-01-02' }, 'Date range cannot exceed 366 days'],
+    [{ date: '2026-01-05', groupBy: 'year' }, 'groupBy must be one of: day, week, month']
+  ])('rejects %j', (query, error) => {
+    expect(parseDateRange(query, 'Africa/Lagos')).toEqual({ error });
+  });
+});
+
+describe('groupByPeriod', () => {
+  const getDate = record => record.at;
+
+  it('buckets records by the day they fall on in the range\'s time zone', () => {
+    const range = parseDateRange({ from: '2026-01-05', to: '2026-01-06', groupBy: 'day' }, 'Asia/Kathmandu');
+    const records = [
+      { id: 'late', at: new Date('2026-01-05T18:14:59.999Z') },
+      { id: 'next', at: new Date('2026-01-05T18:15:00.000Z') }
+    ];
+
+    expect(groupByPeriod(records, getDate, range)).toEqual([
+      { period: '2026-01-05', records: [records[0]] },
+      { period: '2026-01-06', records: [records[1]] }
+    ]);
+  });
+
+  it('counts the extra hour of a 25-hour day towards that day', () => {
+    const range = parseDateRange({ from: '2026-11-01', to: '2026-11-02', groupBy: 'day' }, 'America/New_York');
+    // 23:30 on 2026-11-01 in New York, after the clocks went back
+    const record = { at: new Date('2026-11-02T04:30:00.000Z') };
+
+    expect(groupByPeriod([record], getDate, range)[0]).toEqual({ period: '2026-11-01', records: [record] });
+  });
+
+  it('lists empty periods and starts weeks on Monday', () => {
+    const range = parseDateRange({ from: '2026-01-01', to: '2026-01-20', groupBy: 'week' }, 'America/Los_Angeles');
+    // Sunday evening in Los Angeles, already Monday in UTC
+    const record = { at: new Date('2026-01-12T03:00:00.000Z') };
+
+    expect(groupByPeriod([record], getDate, range)).toEqual([
+      { period: '2025-12-29', records: [] },
+      { period: '2026-01-05', records: [record] },
+      { period: '2026-01-12', records: [] },
+      { period: '2026-01-19', records: [] }
+    ]);
+  });
+
+  it('groups by calendar month in the time zone and drops records outside the range', () => {
+    const range = parseDateRange({ from: '2026-01-01', to: '2026-02-28', groupBy: 'month' }, 'Europe/London');
+    const records = [
+      { id: 'jan', at: new Date('2026-01-31T23:59:59.999Z') },
+      { id: 'feb', at: new Date('2026-02-01T00:00:00.000Z') },
+      { id: 'mar', at: new Date('2026-03-01T00:00:00.000Z') }
+    ];
+
+    expect(groupByPeriod(records, getDate, range)).toEqual([
+      { period: '2026-01', records: [records[0]] },
+      { period: '2026-02', records: [records[1]] }
+    ]);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Closing and reopening a branch's day, and rebuilding its summaries
+ * Prisma is replaced by an in-memory mock holding one day's CompanyDailySummary row
+ */
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../src/config/database', () => require('./helpers/prismaMock').createPrismaMock());
+
+const request = require('supertest');
+const prisma = require('../src/config/database');
+const app = require('../src/app');
+const { tokenFor, mockAuthLookups } = require('./helpers/fixtures');
+
+const DAY = '2026-01-05';
+
+// The day was closed with nothing counted; a record entered before the close is missing
+const carWash = {
+  id: 'wash-a',
+  washDate: new Date(`${DAY}T09:00:00.000Z`),
+  totalAmount: 4500,
+  amountPaid: 4500,
+  washedItems: [{
+    washerId: 'washer-a',
+    serviceItemId: 'item-wash',
+    price: 5000,
+    discountAmount: 500,
+    companyShare: 2700,
+    washerShare: 1800,
+    serviceItem: { price: 5000 }
+  }],
+  discounts: [],
+  payments: [{ method: 'cash', amount: 4500, createdAt: new Date(`${DAY}T09:05:00.000Z`) }]
+};
+
+let summary;
+
+// Answer CompanyDailySummary queries from the one row, honouring the isClosed filter
+const mockSummaryRow = () => {
+  prisma.companyDailySummary.findFirst.mockImplementation(async ({ where }) =>
+    (where.isClosed && !summary.isClosed ? null : summary));
+  prisma.companyDailySummary.findUnique.mockImplementation(async () => summary);
+  prisma.companyDailySummary.findMany.mockImplementation(async () => [summary]);
+  prisma.companyDailySummary.update.mockImplementation(async ({ data }) => Object.assign(summary, data));
+  prisma.companyDailySummary.upsert.mockImplementation(async ({ update }) => Object.assign(summary, update));
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  summary = {
+    id: 'day-1',
+    branchId: 'branch-a',
+    date: new Date(`${DAY}T00:00:00.000Z`),
+    isClosed: true,
+    closedAt: new Date(`${DAY}T20:00:00.000Z`),
+    totalCarsWashed: 0,
+    grossAmount: 0
+  };
+
+  mockAuthLookups(prisma);
+  mockSummaryRow();
+  prisma.carWash.findMany.mockResolvedValue([carWash]);
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+const rebuild = () => request(app)
+  .post('/api/days/summaries/rebuild')
+  .set('Authorization', tokenFor('owner-a'))
+  .send({ date: DAY });
+
+const reopen = () => request(app)
+  .post('/api/days/reopen')
+  .set('Authorization', tokenFor('owner-a'))
+  .send({ date: DAY, reason: 'Record entered before the close was missed' });
+
+describe('rebuilding summaries', () => {
+  it('reports a closed day\'s drift without changing it', async () => {
+    const res = await rebuild();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.driftedDays).toBe(1);
+    expect(res.body.data.fixedDays).toBe(0);
+    expect(prisma.companyDailySummary.upsert).not.toHaveBeenCalled();
+  });
+
+  it('rebuilds the day once it is reopened', async () => {
+    const reopened = await reopen();
+
+    expect(reopened.status).toBe(200);
+    expect(summary.isClosed).toBe(false);
+    expect(summary.reopenedById).toBe('owner-a');
+
+    const res = await rebuild();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.fixedDays).toBe(1);
+    expect(summary).toMatchObject({
+      totalCarsWashed: 1,
+      grossAmount: 5000,
+      discountAmount: 500,
+      netAmount: 4500,
+      companyShare: 2700,
+      washerShare: 1800,
+      cashAmount: 4500,
+      outstandingAmount: 0
+    });
+    expect(prisma.companyDailyItemSummary.createMany).toHaveBeenCalledWith({
+      data: [expect.objectContaining({ serviceItemId: 'item-wash', quantity: 1, grossAmount: 5000 })]
+    });
+  });
+});
+
+describe('counting a day', () => {
+  it('counts a free item at its 0 price, not the catalogue price', async () => {
+    summary.isClosed = false;
+    prisma.carWash.findMany.mockResolvedValue([{
+      ...carWash,
+      washedItems: [
+        ...carWash.washedItems,
+        { washerId: 'washer-a', serviceItemId: 'item-wax', price: 0, discountAmount: 0, companyShare: 0, washerShare: 0, serviceItem: { price: 3000 } }
+      ]
+    }]);
+
+    await rebuild();
+
+    expect(summary).toMatchObject({ totalItemsWashed: 2, grossAmount: 5000, netAmount: 4500 });
+    expect(summary.companyShare + summary.washerShare).toBe(summary.netAmount);
+  });
+});
+
+describe('reopening a day', () => {
+  it('refuses a day that is not closed', async () => {
+    summary.isClosed = false;
+
+    const res = await reopen();
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe(`${DAY} is not closed`);
+  });
+
+  it('refuses a reopen that lost the race to another one', async () => {
+    // Closed when checked, reopened by the time the lock is held
+    prisma.companyDailySummary.findFirst
+      .mockResolvedValueOnce(summary)
+      .mockResolvedValueOnce(null);
+
+    const res = await reopen();
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe(`${DAY} is not closed`);
+    expect(prisma.companyDailySummary.update).not.toHaveBeenCalled();
+  });
+
+  it('is left to owners', async () => {
+    const res = await request(app)
+      .post('/api/days/reopen')
+      .set('Authorization', tokenFor('manager-a'))
+      .send({ date: DAY, reason: 'Missed record' });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('closing a day', () => {
+  it('refuses a day after today', async () => {
+    const res = await request(app)
+      .post('/api/days/close')
+      .set('Authorization', tokenFor('manager-a'))
+      .send({ date: '2999-01-01' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Days after today cannot be closed');
+  });
+
+  it('refuses a day closed by someone else in the meantime', async () => {
+    // Open when checked, closed by the time the lock is held
+    prisma.companyDailySummary.findFirst
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(summary);
+
+    const res = await request(app)
+      .post('/api/days/close')
+      .set('Authorization', tokenFor('manager-a'))
+      .send({ date: DAY });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe(`${DAY} is already closed`);
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Usage limits of promo codes and loyalty rewards
+ * The services run against an in-memory Prisma mock standing in for a transaction
+ */
+jest.mock('../src/config/database', () => require('./helpers/prismaMock').createPrismaMock());
+
+const tx = require('../src/config/database');
+const { findUsablePromoCode, toPricingLines } = require('../src/services/discountService');
+const { applyLoyalty } = require('../src/services/loyaltyService');
+
+const promoCode = (fields = {}) => ({
+  id: 'promo-1',
+  code: 'JAN10',
+  branchId: null,
+  isActive: true,
+  validFrom: new Date('2026-01-01T00:00:00.000Z'),
+  validTo: new Date('2026-02-01T00:00:00.000Z'),
+  maxUses: null,
+  maxUsesPerCustomer: null,
+  ...fields
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('findUsablePromoCode', () => {
+  const usePromo = (fields = {}) => findUsablePromoCode(tx, {
+    code: 'jan10',
+    branchId: 'branch-a',
+    customerId: 'customer-1',
+    date: new Date('2026-01-20T10:00:00.000Z'),
+    enteredAt: new Date('2026-01-20T10:00:00.000Z'),
+    ...fields
+  });
+
+  it('rejects a code that has reached its usage limit', async () => {
+    tx.promoCode.findUnique.mockResolvedValue(promoCode({ maxUses: 100 }));
+    tx.carWashDiscount.count.mockResolvedValue(100);
+
+    expect(await usePromo()).toEqual({ error: 'Promo code has reached its usage limit' });
+  });
+
+  it('locks a limited code before counting its uses', async () => {
+    tx.promoCode.findUnique.mockResolvedValue(promoCode({ maxUses: 100 }));
+    tx.carWashDiscount.count.mockResolvedValue(99);
+
+    const result = await usePromo();
+
+    expect(result.promoCode.id).toBe('promo-1');
+    expect(tx.$queryRaw.mock.calls[0][0].join('')).toContain('FOR UPDATE');
+    expect(tx.$queryRaw.mock.invocationCallOrder[0]).toBeLessThan(tx.carWashDiscount.count.mock.invocationCallOrder[0]);
+  });
+
+  it('does not lock a code without limits', async () => {
+    tx.promoCode.findUnique.mockResolvedValue(promoCode());
+
+    await usePromo();
+
+    expect(tx.$queryRaw).not.toHaveBeenCalled();
+  });
+
+  it('rejects a customer who has used the code up', async () => {
+    tx.promoCode.findUnique.mockResolvedValue(promoCode({ maxUsesPerCustomer: 1 }));
+    tx.carWashDiscount.count.mockResolvedValue(1);
+
+    expect(await usePromo()).toEqual({
+      error: 'Customer has already used this promo code the maximum number of times'
+    });
+    expect(tx.carWashDiscount.count).toHaveBeenCalledWith({
+      where: { promoCodeId: 'promo-1', carWash: { isVoided: false, customerId: 'customer-1' } }
+    });
+  });
+
+  it('needs a known customer for a per-customer limit', async () => {
+    tx.promoCode.findUnique.mockResolvedValue(promoCode({ maxUsesPerCustomer: 1 }));
+
+    expect(await usePromo({ customerId: null })).toEqual({
+      error: 'Promo code requires a known customer (phone number or plate)'
+    });
+  });
+
+  it('rejects an expired code on a record backdated into its window', async () => {
+    tx.promoCode.findUnique.mockResolvedValue(promoCode());
+
+    expect(await usePromo({ enteredAt: new Date('2026-02-03T10:00:00.000Z') })).toEqual({
+      error: 'Promo code has expired'
+    });
+  });
+
+  it('rejects a wash date outside the code\'s window', async () => {
+    tx.promoCode.findUnique.mockResolvedValue(promoCode());
+
+    expect(await usePromo({ date: new Date('2025-12-31T10:00:00.000Z') })).toEqual({
+      error: 'Promo code is not valid on this date'
+    });
+  });
+});
+
+describe('applyLoyalty', () => {
+  const stampRule = {
+    id: 'stamps',
+    type: 'stamp',
+    name: 'Fifth wash free',
+    branchId: null,
+    serviceItemId: 'item-wash',
+    serviceItem: { id: 'item-wash', name: 'Wash' },
+    stampsRequired: 5,
+    reduceCommission: false
+  };
+  const pointsRule = {
+    id: 'points',
+    type: 'points',
+    name: 'Points',
+    branchId: null,
+    pointValue: 10,
+    pointsPerNaira: 0.01,
+    reduceCommission: false
+  };
+
+  // Both the active rules and the rules the balances are held on
+  const mockBalances = (balances) => {
+    tx.loyaltyRule.findMany.mockResolvedValue([stampRule, pointsRule]);
+    tx.loyaltyEntry.groupBy.mockResolvedValue(
+      Object.entries(balances).map(([ruleId, quantity]) => ({ ruleId, _sum: { quantity } }))
+    );
+  };
+
+  const lines = () => toPricingLines([{ serviceItemId: 'item-wash', price: 5000 }]);
+
+  it('rejects redeeming more points than the customer holds', async () => {
+    mockBalances({ points: 40 });
+
+    const result = await applyLoyalty(tx, { customerId: 'customer-1', branchId: 'branch-a', lines: lines(), redeemPoints: 50 });
+
+    expect(result).toEqual({ error: 'Customer only has 40 points' });
+  });
+
+  it('locks the customer before reading the balances', async () => {
+    mockBalances({ points: 40 });
+
+    await applyLoyalty(tx, { customerId: 'customer-1', branchId: 'branch-a', lines: lines(), redeemPoints: 40 });
+
+    expect(tx.$executeRaw.mock.calls[0].slice(1)).toEqual(['customer-1']);
+    expect(tx.$executeRaw.mock.invocationCallOrder[0]).toBeLessThan(tx.loyaltyEntry.groupBy.mock.invocationCallOrder[0]);
+  });
+
+  it('redeems points up to the balance', async () => {
+    mockBalances({ points: 40 });
+
+    const result = await applyLoyalty(tx, { customerId: 'customer-1', branchId: 'branch-a', lines: lines(), redeemPoints: 40 });
+
+    expect(result.discounts).toContainEqual(expect.objectContaining({ type: 'loyalty_points', amount: 400, points: 40 }));
+    expect(result.entries).toContainEqual({ ruleId: 'points', type: 'redeem', quantity: -40 });
+  });
+
+  it('gives the item free once the card is full and spends its stamps', async () => {
+    mockBalances({ stamps: 4 });
+
+    const result = await applyLoyalty(tx, { customerId: 'customer-1', branchId: 'branch-a', lines: lines() });
+
+    expect(result.discounts).toContainEqual(expect.objectContaining({ type: 'loyalty_stamp', amount: 5000 }));
+    expect(result.entries).toContainEqual({ ruleId: 'stamps', type: 'redeem', quantity: -4 });
+  });
+
+  it('only earns a stamp while the card is not full', async () => {
+    mockBalances({ stamps: 3 });
+
+    const result = await applyLoyalty(tx, { customerId: 'customer-1', branchId: 'branch-a', lines: lines() });
+
+    expect(result.discounts).toEqual([]);
+    expect(result.entries).toContainEqual({ ruleId: 'stamps', type: 'earn', quantity: 1 });
+  });
+
+  it('needs a known customer to redeem points', async () => {
+    const result = await applyLoyalty(tx, { customerId: null, branchId: 'branch-a', lines: lines(), redeemPoints: 10 });
+
+    expect(result).toEqual({ error: 'Points can only be redeemed for a known customer (phone number or plate)' });
+    expect(tx.$executeRaw).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Branches, users and tokens shared by the HTTP tests
+ * Every user is homed in Branch A; Branch B is out of reach of everyone but the owner
+ */
+const { generateToken } = require('../../src/utils/generateToken');
+
+const branches = {
+  'branch-a': { id: 'branch-a', name: 'Branch A', code: 'A', isActive: true, timezone: 'Africa/Lagos' },
+  'branch-b': { id: 'branch-b', name: 'Branch B', code: 'B', isActive: true, timezone: 'Africa/Lagos' }
+};
+
+const makeUser = (id, role) => ({
+  id,
+  email: `${id}@example.com`,
+  name: id,
+  role,
+  isActive: true,
+  branchId: 'branch-a',
+  branch: branches['branch-a'],
+  branchMemberships: []
+});
+
+const users = {
+  'cashier-a': makeUser('cashier-a', 'cashier'),
+  'manager-a': makeUser('manager-a', 'branch_manager'),
+  'viewer-a': makeUser('viewer-a', 'viewer'),
+  'owner-a': makeUser('owner-a', 'owner')
+};
+
+const tokenFor = (userId) => `Bearer ${generateToken(userId)}`;
+
+/**
+ * Answer the user and branch lookups of the auth middleware from the fixtures
+ */
+const mockAuthLookups = (prisma) => {
+  prisma.user.findUnique.mockImplementation(async ({ where }) => users[where.id] || null);
+  prisma.branch.findUnique.mockImplementation(async ({ where }) => branches[where.id] || null);
+};
+
+module.exports = { branches, users, tokenFor, mockAuthLookups };
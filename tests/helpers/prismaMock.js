@@ -0,0 +1,44 @@
+/**
+ * In-memory stand-in for the Prisma client used by src/config/database
+ * Every model method is a jest.fn() created on first use; list queries resolve
+ * to [] and the rest to null until a test gives them an implementation
+ */
+const defaultResult = (method) => {
+  if (method === 'findMany' || method === 'groupBy') return [];
+  if (method === 'count') return 0;
+  if (method === 'aggregate') return { _sum: {} };
+  return null;
+};
+
+const createModelMock = () => new Proxy({}, {
+  get: (methods, method) => {
+    if (typeof method !== 'string') return undefined;
+    if (!methods[method]) {
+      methods[method] = jest.fn().mockResolvedValue(defaultResult(method));
+    }
+    return methods[method];
+  }
+});
+
+const createPrismaMock = () => {
+  const models = {
+    $transaction: jest.fn(async (fn) => fn(client)),
+    $executeRaw: jest.fn().mockResolvedValue(1),
+    $queryRaw: jest.fn().mockResolvedValue([]),
+    $disconnect: jest.fn()
+  };
+
+  const client = new Proxy(models, {
+    get: (target, model) => {
+      if (typeof model !== 'string' || model === '__esModule' || model === 'then') return undefined;
+      if (!target[model]) {
+        target[model] = createModelMock();
+      }
+      return target[model];
+    }
+  });
+
+  return client;
+};
+
+module.exports = { createPrismaMock };
@@ -0,0 +1,232 @@
+/**
+ * Settlements against record and customer balances, and payment lines kept on an edit
+ * Prisma is replaced by an in-memory mock; a closed day is a CompanyDailySummary row with isClosed set
+ */
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../src/config/database', () => require('./helpers/prismaMock').createPrismaMock());
+
+const request = require('supertest');
+const prisma = require('../src/config/database');
+const app = require('../src/app');
+const { diffPaymentLines } = require('../src/services/paymentService');
+const { tokenFor, mockAuthLookups } = require('./helpers/fixtures');
+
+const washDate = new Date('2026-01-05T09:00:00.000Z');
+
+// A 5000 wash with 3000 paid in cash
+const openRecord = (fields = {}) => ({
+  id: 'wash-a',
+  branchId: 'branch-a',
+  carNumber: 'ABC123',
+  customerId: 'customer-1',
+  washDate,
+  totalAmount: 5000,
+  amountPaid: 3000,
+  paymentStatus: 'partial',
+  isVoided: false,
+  payments: [{ method: 'cash' }],
+  ...fields
+});
+
+const closedDay = { id: 'day-1', branchId: 'branch-a', isClosed: true, closedAt: new Date('2026-01-05T20:00:00.000Z') };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  mockAuthLookups(prisma);
+  prisma.companyDailySummary.findFirst.mockResolvedValue(null);
+  prisma.companyDailySummary.findUnique.mockResolvedValue(null);
+  prisma.carWash.findFirst.mockResolvedValue({ id: 'wash-a', isVoided: false });
+  prisma.carWash.findUnique.mockResolvedValue(openRecord());
+  prisma.carWash.findMany.mockResolvedValue([]);
+  prisma.payment.create.mockImplementation(async ({ data }) => ({ id: 'payment-1', ...data }));
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+const payRecord = (body) => request(app)
+  .post('/api/receivables/car-wash/wash-a/payments')
+  .set('Authorization', tokenFor('cashier-a'))
+  .send(body);
+
+describe('paying a record\'s balance', () => {
+  it('rejects a payment over the balance', async () => {
+    const res = await payRecord({ method: 'cash', amount: 2500 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Payment of 2500 is more than the balance of 2000');
+    expect(prisma.payment.create).not.toHaveBeenCalled();
+    expect(prisma.carWash.update).not.toHaveBeenCalled();
+  });
+
+  it('locks the record before reading its balance', async () => {
+    await payRecord({ method: 'cash', amount: 500 });
+
+    const [lock] = prisma.$queryRaw.mock.invocationCallOrder;
+    const [read] = prisma.carWash.findUnique.mock.invocationCallOrder;
+
+    expect(prisma.$queryRaw.mock.calls[0][0].join('')).toContain('FOR UPDATE');
+    expect(lock).toBeLessThan(read);
+  });
+
+  it('marks the record paid when the payment covers the balance', async () => {
+    const res = await payRecord({ method: 'transfer', amount: 2000 });
+
+    expect(res.status).toBe(201);
+    expect(prisma.carWash.update).toHaveBeenCalledWith({
+      where: { id: 'wash-a' },
+      data: { amountPaid: 5000, paymentStatus: 'paid', paymentMethod: 'split' }
+    });
+  });
+
+  it('rejects a record voided since it was looked up', async () => {
+    prisma.carWash.findUnique.mockResolvedValue(openRecord({ isVoided: true }));
+
+    const res = await payRecord({ method: 'cash', amount: 500 });
+
+    expect(res.status).toBe(400);
+    expect(prisma.payment.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses payments while today is closed', async () => {
+    prisma.companyDailySummary.findFirst.mockResolvedValue(closedDay);
+
+    const res = await payRecord({ method: 'cash', amount: 500 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Today is closed for this branch; a reopen is needed before taking payments');
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('leaves a closed wash day\'s payment totals alone', async () => {
+    // Today is open, the wash day is closed
+    prisma.companyDailySummary.findFirst
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(closedDay);
+
+    const res = await payRecord({ method: 'cash', amount: 500 });
+
+    expect(res.status).toBe(201);
+    expect(prisma.companyDailySummary.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('paying a customer\'s balance', () => {
+  const payCustomer = (body) => request(app)
+    .post('/api/receivables/customers/customer-1/payments')
+    .set('Authorization', tokenFor('cashier-a'))
+    .send(body);
+
+  beforeEach(() => {
+    const records = [
+      openRecord({ id: 'wash-1', amountPaid: 4000 }),
+      openRecord({ id: 'wash-2', amountPaid: 0, paymentStatus: 'unpaid', payments: [] })
+    ];
+
+    // The first query finds the open records to lock, the second reads them locked
+    prisma.carWash.findMany
+      .mockResolvedValueOnce(records.map(record => ({ id: record.id })))
+      .mockResolvedValueOnce(records);
+  });
+
+  it('rejects a payment over the customer\'s balance', async () => {
+    const res = await payCustomer({ method: 'cash', amount: 6500 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Payment of 6500 is more than the balance of 6000');
+    expect(prisma.$queryRaw).toHaveBeenCalledTimes(1);
+    expect(prisma.payment.create).not.toHaveBeenCalled();
+  });
+
+  it('settles the oldest records first', async () => {
+    const res = await payCustomer({ method: 'transfer', amount: 3000 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.balance).toBe(3000);
+    expect(prisma.payment.create.mock.calls.map(([{ data }]) => [data.carWashId, data.amount])).toEqual([
+      ['wash-1', 1000],
+      ['wash-2', 2000]
+    ]);
+  });
+});
+
+describe('editing a record\'s payment lines', () => {
+  const editRecord = (body) => request(app)
+    .put('/api/records/car-wash/wash-a')
+    .set('Authorization', tokenFor('manager-a'))
+    .send(body);
+
+  beforeEach(() => {
+    prisma.carWash.findFirst.mockResolvedValue({
+      ...openRecord(),
+      createdAt: washDate,
+      washedItems: [],
+      discounts: [],
+      payments: []
+    });
+    prisma.payment.findMany.mockResolvedValue([
+      { id: 'line-cash', method: 'cash', amount: 2000, tendered: null, reference: null, isSettlement: false },
+      { id: 'line-pos', method: 'pos', amount: 1000, tendered: null, reference: null, isSettlement: false }
+    ]);
+    prisma.carWash.update.mockImplementation(async ({ data }) => ({ id: 'wash-a', washedItems: [], ...data }));
+  });
+
+  it('keeps unchanged lines and replaces the changed one', async () => {
+    const res = await editRecord({
+      payments: [
+        { method: 'cash', amount: 2000 },
+        { method: 'transfer', amount: 1000 }
+      ]
+    });
+
+    expect(res.status).toBe(200);
+    expect(prisma.payment.deleteMany).toHaveBeenCalledWith({ where: { id: { in: ['line-pos'] } } });
+    expect(prisma.carWash.update.mock.calls[0][0].data.payments.create).toEqual([
+      expect.objectContaining({ method: 'transfer', amount: 1000 })
+    ]);
+  });
+
+  it('refuses the edit when the day closed after the first check', async () => {
+    prisma.companyDailySummary.findUnique.mockResolvedValue(closedDay);
+
+    const res = await editRecord({ payments: [{ method: 'cash', amount: 3000 }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('This day is closed; a reopen is needed before its records can change');
+  });
+
+  it('refuses the edit on a closed day', async () => {
+    prisma.companyDailySummary.findFirst.mockResolvedValue(closedDay);
+
+    const res = await editRecord({ carModel: 'Corolla' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('This day is closed; a reopen is needed before its records can be edited');
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('diffPaymentLines', () => {
+  const line = (id, method, amount, fields = {}) => ({ id, method, amount, tendered: null, reference: null, ...fields });
+
+  it('matches each sent line to at most one existing line', () => {
+    const existing = [line('a', 'cash', 500), line('b', 'cash', 500)];
+    const sent = [line(undefined, 'cash', 500)];
+
+    expect(diffPaymentLines(existing, sent)).toEqual({ removedIds: ['b'], added: [] });
+  });
+
+  it('treats a new tendered amount or reference as a changed line', () => {
+    const existing = [line('a', 'cash', 500, { tendered: 1000 }), line('b', 'transfer', 700, { reference: 'T-1' })];
+    const sent = [line(undefined, 'cash', 500, { tendered: 500 }), line(undefined, 'transfer', 700, { reference: 'T-1' })];
+
+    const { removedIds, added } = diffPaymentLines(existing, sent);
+
+    expect(removedIds).toEqual(['a']);
+    expect(added).toEqual([sent[0]]);
+  });
+});